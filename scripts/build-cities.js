@@ -0,0 +1,158 @@
+/**
+ * Generate src/data/cities.js from the GeoNames cities15000 dump (every
+ * populated place with at least 15,000 people) and the GeoNames admin1
+ * codes, both installed as dev dependencies:
+ *
+ *   npm run build:cities
+ *
+ * Only cities of the countries in src/data/countries.js are kept. Names
+ * and regions are folded to ASCII; Latin-script alternate names are kept
+ * for matching. When two places would get the same gazetteer id (same
+ * name in the same region) only the most populous one is kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cities15000 = require('cities15000');
+const admin1Codes = require('cities.json/admin1');
+const { COUNTRIES } = require('../src/data/countries');
+
+const OUTPUT = path.join(__dirname, '..', 'src', 'data', 'cities.js');
+
+const FIELD = Object.fromEntries(cities15000.fields.map((field, position) => [field, position]));
+
+const foldAscii = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '')
+    .trim();
+
+// Same normalization and slugs as LocationResolver
+const normalize = (value) => foldAscii(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const slugify = (value) => normalize(value).replace(/ /g, '-');
+
+const LATIN_NAME = /^[A-Z][A-Za-z0-9 .'()-]*$/;
+
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+const round = (value) => Number(Number(value).toFixed(3));
+
+/**
+ * Alternate names worth matching on: Latin script once accents are
+ * removed, capitalised (GeoNames' lowercase romanisations of other
+ * scripts are left out), and different from the name and from each other
+ */
+const alternateNames = (name, alternates) => {
+    const seen = new Set([normalize(name)]);
+
+    return alternates.split(',').filter(alternate => {
+        const key = normalize(alternate);
+        if (!key || seen.has(key) || !LATIN_NAME.test(foldAscii(alternate))) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    }).map(foldAscii);
+};
+
+const readCities = () => {
+    const countries = new Map(COUNTRIES.map(country => [country.code, country]));
+    const regions = new Map(admin1Codes.map(({ code, name }) => [code, foldAscii(name)]));
+    const skipped = new Map();
+
+    const cities = fs.readFileSync(cities15000.file, 'utf8').split('\n')
+        .filter(Boolean)
+        .map(line => line.split('\t'))
+        .filter(fields => {
+            const countryCode = fields[FIELD.country];
+            if (countries.has(countryCode) && fields[FIELD.tz]) return true;
+            skipped.set(countryCode, (skipped.get(countryCode) || 0) + 1);
+            return false;
+        })
+        .map(fields => {
+            const countryCode = fields[FIELD.country];
+            const name = foldAscii(fields[FIELD.asciiname]) || foldAscii(fields[FIELD.name]);
+
+            return {
+                name,
+                alternateNames: alternateNames(name, `${fields[FIELD.name]},${fields[FIELD.alternativeNames]}`),
+                admin1: regions.get(`${countryCode}.${fields[FIELD.adminCode]}`) || countries.get(countryCode).name,
+                country: countries.get(countryCode),
+                latitude: round(fields[FIELD.lat]),
+                longitude: round(fields[FIELD.lon]),
+                population: Number(fields[FIELD.population]) || 0,
+                timezone: fields[FIELD.tz]
+            };
+        })
+        .sort((a, b) => a.country.name.localeCompare(b.country.name) || b.population - a.population || a.name.localeCompare(b.name));
+
+    const ids = new Set();
+    const unique = cities.filter(city => {
+        const id = `${city.country.code.toLowerCase()}-${slugify(city.admin1)}-${slugify(city.name)}`;
+        if (ids.has(id)) return false;
+        ids.add(id);
+        return true;
+    });
+
+    return { cities: unique, duplicates: cities.length - unique.length, skipped };
+};
+
+const formatRow = (city) => `    [${[
+    quote(city.name),
+    `[${city.alternateNames.map(quote).join(', ')}]`,
+    quote(city.admin1),
+    quote(city.country.code),
+    city.latitude,
+    city.longitude,
+    city.population,
+    quote(city.timezone)
+].join(', ')}],`;
+
+const render = (cities) => {
+    const lines = [];
+    let country = null;
+
+    cities.forEach(city => {
+        if (city.country !== country) {
+            if (country) lines.push('');
+            lines.push(`    // ${city.country.name}`);
+            country = city.country;
+        }
+        lines.push(formatRow(city));
+    });
+
+    return `/**
+ * Cities of the bundled gazetteer, generated from the GeoNames cities15000
+ * dump by scripts/build-cities.js; do not edit by hand. Each row is
+ *
+ *   [name, alternate names, admin1 (state/province/region), country code,
+ *    latitude, longitude, population, IANA time zone]
+ *
+ * Names and regions are ASCII as in GeoNames' asciiname column; accented
+ * and other Latin-script spellings go in the alternate names.
+ *
+ * GeoNames data (https://www.geonames.org/) is licensed under CC BY 4.0.
+ */
+
+const CITIES = [
+${lines.join('\n').replace(/,$/, '')}
+];
+
+module.exports = {
+    CITIES
+};
+`;
+};
+
+const { cities, duplicates, skipped } = readCities();
+fs.writeFileSync(OUTPUT, render(cities));
+
+console.log(`Wrote ${cities.length} cities to ${path.relative(process.cwd(), OUTPUT)} (${duplicates} duplicate ids dropped)`);
+if (skipped.size > 0) {
+    const summary = [...skipped].sort((a, b) => b[1] - a[1]).map(([code, count]) => `${code} ${count}`).join(', ');
+    console.log(`Skipped cities of countries missing from src/data/countries.js: ${summary}`);
+}
@@ -7,6 +7,9 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 
 const chartRoutes = require('./routes/chartRoutes');
+const v2Routes = require('./routes/v2Routes');
+const ChartController = require('./controllers/chartController');
+const ChartStore = require('./services/ChartStore');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -52,6 +55,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // API Routes
+app.use('/api/v2', v2Routes);
 app.use('/api', chartRoutes);
 
 // Health check endpoint
@@ -64,8 +68,39 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Example request of the API overview. Its response is a real chart of the
+// same birth data from the local calculator, generated on first use.
+const EXAMPLE_BIRTH_DATA = {
+    name: 'John Doe',
+    day: 15,
+    month: 6,
+    year: 1990,
+    hour: 14,
+    minute: 30,
+    country: 'Pakistan',
+    city: 'Peshawar',
+    timezone_utc: false
+};
+
+let cachedExampleResponse = null;
+
+const getExampleResponse = async () => {
+    if (!cachedExampleResponse) {
+        const controller = new ChartController({ chartStore: new ChartStore(1) });
+        cachedExampleResponse = await controller.exampleChartResponse(EXAMPLE_BIRTH_DATA);
+    }
+    return cachedExampleResponse;
+};
+
 // Root endpoint with API documentation
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+    let exampleResponse = null;
+    try {
+        exampleResponse = await getExampleResponse();
+    } catch (error) {
+        logger.warn('Could not generate the example chart', { error: error.message });
+    }
+
     res.json({
         success: true,
         message: 'JovianArchive Human Design Chart Scraper API',
@@ -75,44 +110,29 @@ app.get('/', (req, res) => {
             generate_chart_post: 'POST /api/generate-chart',
             generate_chart_get: 'GET /api/generate-chart',
             submit_birth_data_post: 'POST /api/submit-birth-data',
-            submit_birth_data_get: 'GET /api/submit-birth-data'
+            submit_birth_data_get: 'GET /api/submit-birth-data',
+            get_chart: 'GET /api/charts/:id',
+            chart_bodygraph: 'GET /api/charts/:id/bodygraph.svg',
+            chart_report: 'GET /api/charts/:id/report.pdf',
+            transits: 'GET /api/transits?datetime=',
+            transit_overlay: 'POST /api/transits/overlay',
+            composite: 'POST /api/composite',
+            penta: 'POST /api/penta',
+            cycles: 'POST /api/cycles',
+            cycle: 'POST /api/cycles/:cycle',
+            location_search: 'GET /api/locations/search?q=&country=',
+            location: 'GET /api/locations/:id',
+            v2: '/api/v2 (the endpoints of the OpenAPI document; no submit-birth-data aliases)',
+            v2_openapi: 'GET /api/v2/openapi.json',
+            v2_docs: 'GET /api/v2/docs'
         },
         example_request: {
             method: 'POST',
             url: '/api/generate-chart',
-            body: {
-                name: 'John Doe',
-                day: 15,
-                month: 6,
-                year: 1990,
-                hour: 14,
-                minute: 30,
-                country: 'Pakistan',
-                city: 'Peshawar',
-                timezone_utc: false
-            }
+            body: EXAMPLE_BIRTH_DATA
         },
-        example_response: {
-            success: true,
-            message: 'Chart generated successfully',
-            data: {
-                birth_data: { /* birth data */ },
-                chart_properties: {
-                    type: 'Generator',
-                    strategy: 'To Respond',
-                    not_self_theme: 'Frustration',
-                    inner_authority: 'Sacral',
-                    profile: '1/3',
-                    definition: 'Single Definition',
-                    incarnation_cross: 'Right Angle Cross of the Sphinx'
-                },
-                design_data: [ /* design data array */ ],
-                personality_data: [ /* personality data array */ ],
-                chart_image_url: 'https://www.jovianarchive.com/chart-image-url',
-                download_data: 'base64-encoded-chart-data',
-                generated_at: '2025-01-17T10:00:00.000Z'
-            }
-        }
+        example_response: exampleResponse,
+        schema: 'GET /api/v2/openapi.json'
     });
 });
 
@@ -128,7 +148,20 @@ app.use('*', (req, res) => {
             'POST /api/generate-chart',
             'GET /api/generate-chart',
             'POST /api/submit-birth-data',
-            'GET /api/submit-birth-data'
+            'GET /api/submit-birth-data',
+            'GET /api/charts/:id',
+            'GET /api/charts/:id/bodygraph.svg',
+            'GET /api/charts/:id/report.pdf',
+            'GET /api/transits',
+            'POST /api/transits/overlay',
+            'POST /api/composite',
+            'POST /api/penta',
+            'POST /api/cycles',
+            'POST /api/cycles/:cycle',
+            'GET /api/locations/search',
+            'GET /api/locations/:id',
+            'GET /api/v2/openapi.json',
+            'GET /api/v2/docs'
         ]
     });
 });
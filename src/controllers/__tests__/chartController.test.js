@@ -0,0 +1,153 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ChartController = require('../chartController');
+const { validateBirthRecord } = require('../../middleware/validation');
+
+const birthData = {
+    name: 'John Doe',
+    day: 15,
+    month: 6,
+    year: 1990,
+    hour: 14,
+    minute: 30,
+    city: 'Peshawar',
+    country: 'Pakistan'
+};
+
+// Express response stand-in recording the status and JSON body
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(body => {
+        res.body = body;
+        return res;
+    });
+    return res;
+};
+
+describe('ChartController', () => {
+    let controller;
+
+    beforeEach(() => {
+        controller = new ChartController();
+    });
+
+    describe('prepareBirthData', () => {
+        it('resolves the birth place of a complete record', () => {
+            const prepared = controller.prepareBirthData(birthData);
+
+            expect(prepared.errors).toBeUndefined();
+            expect(prepared.birthData.location_id).toBe('pk-khyber-pakhtunkhwa-peshawar');
+        });
+
+        it('rejects time_unknown', () => {
+            const { hour, minute, ...day } = birthData;
+            const prepared = controller.prepareBirthData({ ...day, time_unknown: true });
+
+            expect(prepared.status).toBe(422);
+            expect(prepared.errors.time_unknown[0]).toMatch(/exact birth time/);
+        });
+
+        it('rejects a record without a minute', () => {
+            const { minute, ...noMinute } = birthData;
+            const prepared = controller.prepareBirthData(noMinute);
+
+            expect(prepared.status).toBe(422);
+            expect(Object.keys(prepared.errors)).toEqual(['minute']);
+        });
+    });
+
+    describe('loadChart', () => {
+        it('returns 422 for birth_data with time_unknown without generating a chart', async () => {
+            const generateChart = jest.spyOn(controller, 'generateChart');
+            const { hour, minute, ...day } = birthData;
+
+            const loaded = await controller.loadChart({ birth_data: { ...day, time_unknown: true } });
+
+            expect(loaded).toMatchObject({ success: false, status: 422, message: 'Validation failed' });
+            expect(loaded.errors).toHaveProperty('time_unknown');
+            expect(generateChart).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('respondWithUnknownTime', () => {
+        it('names the next calendar day when the end of the birth day falls in a DST gap', () => {
+            // Havana's clocks skipped from 00:00 to 01:00 on 1 April 1990
+            const res = mockResponse();
+            const { birthData: lastOfMarch } = controller.prepareBirthData({
+                ...birthData, day: 31, month: 3, city: 'Havana', country: 'Cuba', dst_choice: 'reject'
+            });
+
+            controller.respondWithUnknownTime(res, lastOfMarch);
+
+            expect(res.status).toHaveBeenCalledWith(422);
+            expect(res.body.errors.dst_choice[0]).toMatch(/^1990-04-01 00:00 does not exist \(clocks went forward\) in America\/Havana/);
+        });
+    });
+
+    describe('resolveBirthPlace', () => {
+        it('returns 409 with the candidates for an ambiguous city', () => {
+            const place = controller.resolveBirthPlace({ ...birthData, city: 'Hyderabad', country: undefined });
+
+            expect(place.status).toBe(409);
+            expect(place.message).toBe('Birth place is ambiguous');
+            expect(place.candidates.map(candidate => candidate.id)).toContain('pk-sindh-hyderabad');
+        });
+
+        it('returns 422 with the candidates for a partial city name', () => {
+            const place = controller.resolveBirthPlace({ ...birthData, city: 'Pesh' });
+
+            expect(place.status).toBe(422);
+            expect(place.errors.city[0]).toBe('No place is named exactly "Pesh" in Pakistan; retry with the location_id of one of the candidates');
+        });
+
+        const withDatetime = (birthDatetime, place = { city: 'Berlin', country: 'Germany' }) =>
+            controller.resolveBirthPlace(validateBirthRecord({ name: 'John Doe', birth_datetime: birthDatetime, ...place }).value);
+
+        it('keeps the time zone of the place when the birth_datetime offset matches it', () => {
+            const { birthData } = withDatetime('1990-06-15T14:30:00+05:00', { city: 'Peshawar', country: 'Pakistan' });
+            const { date, timezone } = controller.localCalculator.resolveBirthTime(birthData);
+
+            expect(timezone).toBe('Asia/Karachi');
+            expect(date.toISOString()).toBe('1990-06-15T09:30:00.000Z');
+        });
+
+        it('rejects an offset the time zone of the place did not have', () => {
+            const place = withDatetime('1990-06-15T14:30:00+04:00', { city: 'Peshawar', country: 'Pakistan' });
+
+            expect(place.status).toBe(422);
+            expect(place.errors.birth_datetime[0]).toBe('UTC+04:00 does not match Asia/Karachi, which was at UTC+05:00 at that time');
+        });
+
+        it('picks the side of a DST overlap from the offset', () => {
+            expect(withDatetime('2021-10-31T02:30:00+02:00').birthData.dst_choice).toBe('earlier');
+            expect(withDatetime('2021-10-31T02:30:00+01:00').birthData.dst_choice).toBe('later');
+        });
+
+        it('rejects an offset for a time in a DST gap', () => {
+            expect(withDatetime('2021-03-28T02:30:00+01:00').errors.birth_datetime[0]).toMatch(/does not exist in Europe\/Berlin/);
+        });
+    });
+
+    describe('respondWithChart', () => {
+        it.each(['svg', 'pdf'])('rejects verify with format=%s instead of dropping it', async (format) => {
+            const generateChart = jest.spyOn(controller, 'generateChart');
+            const res = mockResponse();
+
+            await controller.respondWithChart(res, birthData, { verify: true, format });
+
+            expect(res.status).toHaveBeenCalledWith(422);
+            expect(Object.keys(res.body.errors)).toEqual(['verify']);
+            expect(generateChart).not.toHaveBeenCalled();
+        });
+
+        it('rejects sensitivity_minutes with format=svg', async () => {
+            const res = mockResponse();
+
+            await controller.respondWithChart(res, birthData, { sensitivityMinutes: 30, format: 'svg' });
+
+            expect(res.status).toHaveBeenCalledWith(422);
+            expect(res.body.errors.sensitivity_minutes[0]).toMatch(/format=svg/);
+        });
+    });
+});
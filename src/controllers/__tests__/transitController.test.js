@@ -0,0 +1,50 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const TransitController = require('../transitController');
+
+describe('TransitController', () => {
+    const controller = new TransitController({ chartController: null });
+
+    describe('parseDatetime', () => {
+        const parse = (value) => {
+            const { date, error } = controller.parseDatetime(value);
+            return error ? { error } : date.toISOString();
+        };
+
+        it('defaults to now', () => {
+            const before = Date.now();
+            const { date } = controller.parseDatetime(undefined);
+
+            expect(date.getTime()).toBeGreaterThanOrEqual(before);
+        });
+
+        it.each([
+            ['2024-01-01T12:00:00Z', '2024-01-01T12:00:00.000Z'],
+            ['2024-01-01T17:00:00+05:00', '2024-01-01T12:00:00.000Z'],
+            ['2024-01-01T08:30:00.25-0330', '2024-01-01T12:00:00.250Z'],
+            ['2024-01-01', '2024-01-01T00:00:00.000Z']
+        ])('reads %s', (value, expected) => {
+            expect(parse(value)).toBe(expected);
+        });
+
+        it('reads a datetime without an offset as UTC', () => {
+            expect(parse('2024-07-01T12:00:00')).toBe('2024-07-01T12:00:00.000Z');
+        });
+
+        it.each(['1', 'Jan 1 2024', '2024-01-01T12:00:00 GMT', '1704110400000'])('rejects %s as not ISO 8601', (value) => {
+            expect(parse(value).error).toMatch(/ISO 8601/);
+        });
+
+        it.each(['2024-02-30T12:00', '2024-01-01T24:00', '2024-01-01T12:60'])('rejects the impossible %s', (value) => {
+            expect(parse(value).error).toMatch(/not a valid date and time/);
+        });
+
+        it('rejects an offset beyond 14 hours', () => {
+            expect(parse('2024-01-01T12:00+15:00').error).toMatch(/at most 14 hours/);
+        });
+
+        it('rejects a moment outside the ephemeris range', () => {
+            expect(parse('1700-01-01T00:00:00Z').error).toMatch(/^Datetime must be between/);
+        });
+    });
+});
@@ -2,14 +2,57 @@ const JovianArchiveService = require('../services/JovianArchiveService');
 const JovianArchivePuppeteerService = require('../services/JovianArchivePuppeteerService');
 const JovianArchiveFetchService = require('../services/JovianArchiveFetchService');
 const MaiaMechanicsApiService = require('../services/MaiaMechanicsApiService');
+const LocalCalculatorService = require('../services/LocalCalculatorService');
+const ChartProviderChain = require('../services/ChartProviderChain');
+const ChartStore = require('../services/ChartStore');
+const ChartReportService = require('../services/ChartReportService');
+const LocationResolver = require('../services/LocationResolver');
+const { CHART_FORMATS, validateBirthRecord, validateChartRecord } = require('../middleware/validation');
+const { buildBirthData, buildLocation, createChartResult } = require('../utils/chartSchema');
+const {
+    TYPE_DETAILS,
+    formatPlanetActivation,
+    activationsFromPlanets,
+    describeBodygraph,
+    gateModesFromActivations,
+    chartActivations,
+    deriveProfile
+} = require('../utils/mechanics');
+const { renderBodygraph } = require('../utils/bodygraphSvg');
+const { compareCharts } = require('../utils/chartDiff');
+const { resolveCross } = require('../utils/incarnationCross');
+const { deriveVariables } = require('../utils/variables');
+const {
+    MAX_SENSITIVITY_MINUTES,
+    findChangePoints,
+    scanSegments,
+    findStableParts,
+    groupVariants
+} = require('../utils/birthTimeScan');
+const { parseBirthDatetime } = require('../utils/birthDatetime');
+const { DST_CHOICES, isValidTimeZone, parseOffset, formatWallClock, formatOffset } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
+// Flags arrive as booleans from validated JSON and query strings, or as
+// 'true' from query strings that skipped validation
+const isTrue = (value) => value === true || value === 'true';
+
+// Properties re-derived from the activations by applyMechanics
+const MECHANICS_PROPERTIES = ['type', 'authority', 'definition', 'profile'];
+
 class ChartController {
-    constructor() {
-        this.jovianArchiveService = new JovianArchiveService();
-        this.jovianArchivePuppeteerService = new JovianArchivePuppeteerService();
-        this.jovianArchiveFetchService = new JovianArchiveFetchService();
-        this.maiaMechanicsApiService = new MaiaMechanicsApiService();
+    constructor({ chartStore = new ChartStore() } = {}) {
+        this.chartStore = chartStore;
+        this.reportService = new ChartReportService();
+        this.locationResolver = new LocationResolver();
+        this.localCalculator = new LocalCalculatorService();
+        this.providerChain = new ChartProviderChain([
+            new MaiaMechanicsApiService(),
+            new JovianArchivePuppeteerService(),
+            new JovianArchiveService(),
+            new JovianArchiveFetchService(),
+            this.localCalculator
+        ]);
     }
 
     /**
@@ -17,155 +60,53 @@ class ChartController {
      */
     async submitBirthData(req, res) {
         try {
-            const birthData = req.body;
-            console.log("Raw request body:", req.body);
-            console.log("Parsed birthData:", birthData);
+            const {
+                verify,
+                sensitivity_minutes: sensitivityMinutes,
+                time_unknown: timeUnknown,
+                format,
+                ...body
+            } = req.body;
+            const place = this.resolveBirthPlace({
+                ...body,
+                variable_chart: isTrue(body.variable_chart)
+            });
+            if (place.errors) {
+                return this.sendPlaceError(res, place);
+            }
+            const { birthData } = place;
 
             logger.info('Chart generation request received', { birthData });
 
-            // Try Maia Mechanics API first (no captcha, server-side)
-            try {
-                const maia = await this.maiaMechanicsApiService.submitBirthData(birthData);
-                if (maia.success && maia.data && (maia.data.chart || maia.data.meta)) {
-                    // Transform to readable format
-                    const readableData = this.transformToReadableFormat(maia.data, birthData);
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Chart generated successfully using Maia Mechanics API',
-                        data: readableData,
-                        source: 'maia_mechanics'
-                    });
-                } else {
-                    logger.warn('Maia Mechanics API returned unsuccessful response', { 
-                        success: maia.success, 
-                        hasData: !!maia.data,
-                        dataKeys: maia.data ? Object.keys(maia.data) : []
-                    });
-                }
-            } catch (e) {
-                logger.error('Maia Mechanics API failed, falling back to other methods', { 
-                    error: e.message,
-                    stack: e.stack?.substring(0, 200)
-                });
+            const chartFormat = this.parseFormat(format ?? req.query.format);
+            if (chartFormat.error) {
+                return this.sendValidationError(res, { format: [chartFormat.error] });
             }
 
-            // Try Puppeteer service first (more reliable)
-            const result = await this.jovianArchivePuppeteerService.submitBirthData(birthData);
-            console.log("Puppeteer results:", result);
-            if (result.success) {
-                // Check if we got actual chart data or just JavaScript
-                const chartProperties = result.data.chart_properties || {};
-                const designData = result.data.design_data || [];
-                const personalityData = result.data.personality_data || [];
-                const chartImageUrl = result.data.chart_image_url || null;
-                const downloadData = result.data.download_data || null;
-
-                // Check if the response contains actual chart data
-                const hasChartData = Object.keys(chartProperties).length > 0 ||
-                                   designData.length > 0 ||
-                                   personalityData.length > 0;
-
-                if (hasChartData) {
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Chart generated successfully',
-                        data: {
-                            birth_data: birthData,
-                            chart_properties: chartProperties,
-                            design_data: designData,
-                            personality_data: personalityData,
-                            chart_image_url: chartImageUrl,
-                            download_data: downloadData,
-                            generated_at: new Date().toISOString()
-                        },
-                    });
-                } else {
-                    return res.status(500).json({
-                        success: false,
-                        message: 'Failed to extract chart data from website response',
-                        error: 'The website returned JavaScript code instead of chart data. This may indicate the website has changed its structure or is using anti-bot measures.',
-                    });
-                }
-            } else {
-                // Fallback to axios service if Puppeteer fails
-                logger.warn('Puppeteer service failed, trying axios fallback', { error: result.error });
-                const fallbackResult = await this.jovianArchiveService.submitBirthData(birthData);
-                console.log("Axios fallback results:", fallbackResult);
-                
-                if (fallbackResult.success) {
-                    const chartProperties = fallbackResult.data.chart_properties || {};
-                    const designData = fallbackResult.data.design_data || [];
-                    const personalityData = fallbackResult.data.personality_data || [];
-                    const chartImageUrl = fallbackResult.data.chart_image_url || null;
-                    const downloadData = fallbackResult.data.download_data || null;
-
-                    const hasChartData = Object.keys(chartProperties).length > 0 ||
-                                         designData.length > 0 ||
-                                         personalityData.length > 0;
-
-                    if (hasChartData) {
-                        return res.status(200).json({
-                            success: true,
-                            message: 'Chart generated successfully using axios fallback',
-                            data: {
-                                birth_data: birthData,
-                                chart_properties: chartProperties,
-                                design_data: designData,
-                                personality_data: personalityData,
-                                chart_image_url: chartImageUrl,
-                                download_data: downloadData,
-                                generated_at: new Date().toISOString()
-                            }
-                        });
-                    }
-                }
+            if (isTrue(timeUnknown) || isTrue(req.query.time_unknown)) {
+                return this.respondWithUnknownTime(res, birthData, chartFormat.format);
+            }
 
-                {
-                    // Try fetch service as second fallback
-                    logger.warn('Axios fallback also failed, trying fetch service', { 
-                        puppeteerError: result.error, 
-                        axiosError: fallbackResult.error
-                    });
-                    const fetchResult = await this.jovianArchiveFetchService.submitBirthData(birthData);
-                    console.log("Fetch service results:", fetchResult);
-                    
-                    if (fetchResult.success) {
-                        const chartProperties = fetchResult.data.chart_properties || {};
-                        const designData = fetchResult.data.design_data || [];
-                        const personalityData = fetchResult.data.personality_data || [];
-                        const chartImageUrl = fetchResult.data.chart_image_url || null;
-                        const downloadData = fetchResult.data.download_data || null;
-
-                        const hasChartData = Object.keys(chartProperties).length > 0 ||
-                                             designData.length > 0 ||
-                                             personalityData.length > 0;
-
-                        if (hasChartData) {
-                            return res.status(200).json({
-                                success: true,
-                                message: 'Chart generated successfully using fetch service',
-                                data: {
-                                    birth_data: birthData,
-                                    chart_properties: chartProperties,
-                                    design_data: designData,
-                                    personality_data: personalityData,
-                                    chart_image_url: chartImageUrl,
-                                    download_data: downloadData,
-                                    generated_at: new Date().toISOString()
-                                }
-                            });
-                        }
-                    } else {
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Failed to generate chart with all three methods (Puppeteer, axios, and fetch)',
-                            error: result.error,
-                            fallbackError: fallbackResult.error,
-                            fetchError: fetchResult.error
-                        });
-                    }
-                }
+            const missingTime = this.findMissingTime(birthData);
+            if (missingTime) {
+                return this.sendValidationError(res, missingTime);
             }
+
+            const unresolvedTime = this.checkBirthTime(birthData);
+            if (unresolvedTime) {
+                return this.sendValidationError(res, unresolvedTime);
+            }
+
+            const sensitivity = this.parseSensitivityMinutes(sensitivityMinutes ?? req.query.sensitivity_minutes);
+            if (sensitivity.error) {
+                return this.sendValidationError(res, { sensitivity_minutes: [sensitivity.error] });
+            }
+
+            return await this.respondWithChart(res, birthData, {
+                verify: isTrue(verify) || isTrue(req.query.verify),
+                sensitivityMinutes: sensitivity.minutes,
+                format: chartFormat.format
+            });
         } catch (error) {
             logger.error('Chart generation failed', {
                 error: error.message,
@@ -187,150 +128,64 @@ class ChartController {
      */
     async submitBirthDataGet(req, res) {
         try {
-            const birthData = {
+            const place = this.resolveBirthPlace({
                 name: req.query.name,
                 email: req.query.email,
-                day: parseInt(req.query.day) || 0,
-                month: parseInt(req.query.month) || 0,
-                year: parseInt(req.query.year) || 0,
-                hour: parseInt(req.query.hour) || 0,
-                minute: parseInt(req.query.minute) || 0,
+                day: this.parseQueryInteger(req.query.day),
+                month: this.parseQueryInteger(req.query.month),
+                year: this.parseQueryInteger(req.query.year),
+                hour: this.parseQueryInteger(req.query.hour),
+                minute: this.parseQueryInteger(req.query.minute),
+                second: this.parseQueryInteger(req.query.second),
+                birth_datetime: req.query.birth_datetime,
                 country: req.query.country,
                 city: req.query.city,
-                timezone_utc: req.query.timezone_utc === 'true',
-            };
+                location_id: req.query.location_id,
+                latitude: req.query.latitude,
+                longitude: req.query.longitude,
+                timezone: req.query.timezone,
+                utc_offset: req.query.utc_offset,
+                timezone_utc: isTrue(req.query.timezone_utc),
+                dst_choice: req.query.dst_choice,
+                variable_chart: isTrue(req.query.variable_chart),
+            });
 
-            // Validation removed for testing
+            if (place.errors) {
+                return this.sendPlaceError(res, place);
+            }
+            const { birthData } = place;
 
             logger.info('Chart generation request received (GET)', { birthData });
 
-            // Try Maia Mechanics API first (GET)
-            try {
-                const maia = await this.maiaMechanicsApiService.submitBirthData(birthData);
-                if (maia.success && maia.data && (maia.data.chart || maia.data.meta)) {
-                    // Transform to readable format
-                    const readableData = this.transformToReadableFormat(maia.data, birthData);
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Chart generated successfully using Maia Mechanics API',
-                        data: readableData,
-                        source: 'maia_mechanics'
-                    });
-                } else {
-                    logger.warn('Maia Mechanics API returned unsuccessful response (GET)', { 
-                        success: maia.success, 
-                        hasData: !!maia.data,
-                        dataKeys: maia.data ? Object.keys(maia.data) : []
-                    });
-                }
-            } catch (e) {
-                logger.error('Maia Mechanics API failed (GET), falling back to other methods', { 
-                    error: e.message,
-                    stack: e.stack?.substring(0, 200)
-                });
+            const chartFormat = this.parseFormat(req.query.format);
+            if (chartFormat.error) {
+                return this.sendValidationError(res, { format: [chartFormat.error] });
             }
 
-            // Try Puppeteer service first (more reliable)
-            const result = await this.jovianArchivePuppeteerService.submitBirthData(birthData);
-
-            if (result.success) {
-                // Check if we got actual chart data or just JavaScript
-                const chartProperties = result.data.chart_properties || {};
-                const designData = result.data.design_data || [];
-                const personalityData = result.data.personality_data || [];
-                const chartImageUrl = result.data.chart_image_url || null;
-                const downloadData = result.data.download_data || null;
-
-                // Check if the response contains actual chart data
-                const hasChartData = Object.keys(chartProperties).length > 0 ||
-                                   designData.length > 0 ||
-                                   personalityData.length > 0;
-
-                if (hasChartData) {
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Chart generated successfully',
-                        data: {
-                            birth_data: birthData,
-                            chart_properties: chartProperties,
-                            design_data: designData,
-                            personality_data: personalityData,
-                            chart_image_url: chartImageUrl,
-                            download_data: downloadData,
-                            generated_at: new Date().toISOString()
-                        },
-                    });
-                } else {
-                    return res.status(500).json({
-                        success: false,
-                        message: 'Failed to extract chart data from website response',
-                        error: 'The website returned JavaScript code instead of chart data. This may indicate the website has changed its structure or is using anti-bot measures.',
-                    });
-                }
-            } else {
-                // Fallback to axios service if Puppeteer fails (match POST logic)
-                logger.warn('Puppeteer service failed (GET), trying axios fallback', { error: result.error });
-                const fallbackResult = await this.jovianArchiveService.submitBirthData(birthData);
-
-                if (fallbackResult.success) {
-                    const chartProperties = fallbackResult.data.chart_properties || {};
-                    const designData = fallbackResult.data.design_data || [];
-                    const personalityData = fallbackResult.data.personality_data || [];
-                    const chartImageUrl = fallbackResult.data.chart_image_url || null;
-                    const downloadData = fallbackResult.data.download_data || null;
-
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Chart generated successfully using axios fallback',
-                        data: {
-                            birth_data: birthData,
-                            chart_properties: chartProperties,
-                            design_data: designData,
-                            personality_data: personalityData,
-                            chart_image_url: chartImageUrl,
-                            download_data: downloadData,
-                            generated_at: new Date().toISOString()
-                        }
-                    });
-                }
+            if (isTrue(req.query.time_unknown)) {
+                return this.respondWithUnknownTime(res, birthData, chartFormat.format);
+            }
 
-                // Try fetch service as second fallback
-                logger.warn('Axios fallback (GET) also failed, trying fetch service', {
-                    puppeteerError: result.error,
-                    axiosError: fallbackResult.error
-                });
-                const fetchResult = await this.jovianArchiveFetchService.submitBirthData(birthData);
-
-                if (fetchResult.success) {
-                    const chartProperties = fetchResult.data.chart_properties || {};
-                    const designData = fetchResult.data.design_data || [];
-                    const personalityData = fetchResult.data.personality_data || [];
-                    const chartImageUrl = fetchResult.data.chart_image_url || null;
-                    const downloadData = fetchResult.data.download_data || null;
-
-                    return res.status(200).json({
-                        success: true,
-                        message: 'Chart generated successfully using fetch service',
-                        data: {
-                            birth_data: birthData,
-                            chart_properties: chartProperties,
-                            design_data: designData,
-                            personality_data: personalityData,
-                            chart_image_url: chartImageUrl,
-                            download_data: downloadData,
-                            generated_at: new Date().toISOString()
-                        }
-                    });
-                }
+            const missingTime = this.findMissingTime(birthData);
+            if (missingTime) {
+                return this.sendValidationError(res, missingTime);
+            }
 
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to generate chart with all three methods (Puppeteer, axios, and fetch)',
-                    error: result.error,
-                    fallbackError: fallbackResult.error,
-                    fetchError: fetchResult.error
-                });
+            const unresolvedTime = this.checkBirthTime(birthData);
+            if (unresolvedTime) {
+                return this.sendValidationError(res, unresolvedTime);
             }
+
+            const sensitivity = this.parseSensitivityMinutes(req.query.sensitivity_minutes);
+            if (sensitivity.error) {
+                return this.sendValidationError(res, { sensitivity_minutes: [sensitivity.error] });
+            }
+
+            return await this.respondWithChart(res, birthData, {
+                verify: isTrue(req.query.verify),
+                sensitivityMinutes: sensitivity.minutes,
+                format: chartFormat.format
+            });
         } catch (error) {
             logger.error('Chart generation failed (GET)', {
                 error: error.message,
@@ -347,9 +202,999 @@ class ChartController {
     }
 
     /**
-     * Transform Maia Mechanics API data to readable format
+     * Return a previously generated chart by its chart_id
+     */
+    getChart(req, res) {
+        const chart = this.chartStore.get(req.params.id);
+
+        if (!chart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chart not found',
+                chart_id: req.params.id
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: chart
+        });
+    }
+
+    /**
+     * Bodygraph of a previously generated chart as an SVG image
+     */
+    getChartBodygraph(req, res) {
+        const chart = this.chartStore.get(req.params.id);
+
+        if (!chart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chart not found',
+                chart_id: req.params.id
+            });
+        }
+
+        return this.sendBodygraph(res, chart);
+    }
+
+    /**
+     * Send a chart's bodygraph as SVG, with its chart_id in X-Chart-Id so
+     * the JSON chart can be fetched later
+     */
+    sendBodygraph(res, chart) {
+        return res.status(200)
+            .type('image/svg+xml')
+            .set('X-Chart-Id', chart.chart_id)
+            .send(renderBodygraph(chart));
+    }
+
+    /**
+     * PDF report of a previously generated chart
+     */
+    async getChartReport(req, res) {
+        const chart = this.chartStore.get(req.params.id);
+
+        if (!chart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chart not found',
+                chart_id: req.params.id
+            });
+        }
+
+        return this.sendReport(res, chart);
+    }
+
+    /**
+     * Send a chart's PDF report (see ChartReportService), with its chart_id
+     * in X-Chart-Id
+     */
+    async sendReport(res, chart) {
+        const report = await this.reportService.generatePdf(chart);
+
+        if (!report.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to generate the chart report',
+                error: report.error
+            });
+        }
+
+        return res.status(200)
+            .type('application/pdf')
+            .set('Content-Disposition', `inline; filename="chart-${chart.chart_id}.pdf"`)
+            .set('X-Chart-Id', chart.chart_id)
+            .send(report.data);
+    }
+
+    /**
+     * Find the chart a request refers to: a stored chart (chart_id), an
+     * inline canonical chart (chart) or birth data to generate one from
+     * (birth_data). Resolves to { success, chart } or
+     * { success: false, status, message, errors }, plus candidates when the
+     * birth place is unknown or ambiguous.
+     */
+    async loadChart({ chart_id: chartId, chart, birth_data: birthData } = {}) {
+        if (chartId) {
+            const stored = this.chartStore.get(chartId);
+            return stored
+                ? { success: true, chart: stored }
+                : { success: false, status: 404, message: 'Chart not found', errors: { chart_id: [`No stored chart with id ${chartId}`] } };
+        }
+
+        if (chart) {
+            const validated = validateChartRecord(chart);
+            return validated.errors
+                ? { success: false, status: 422, message: 'Validation failed', errors: validated.errors }
+                : { success: true, chart: validated.value };
+        }
+
+        if (birthData) {
+            const prepared = this.prepareBirthData(birthData);
+            if (prepared.errors) {
+                return { success: false, ...prepared };
+            }
+
+            const result = await this.generateChart(prepared.birthData);
+            if (!result.success) {
+                return {
+                    success: false,
+                    status: 500,
+                    message: 'Failed to generate chart with all configured providers',
+                    errors: result.errors
+                };
+            }
+
+            result.data.chart_id = this.chartStore.save(result.data);
+            return { success: true, chart: result.data };
+        }
+
+        return {
+            success: false,
+            status: 422,
+            message: 'Validation failed',
+            errors: { chart: ['Provide chart_id, chart or birth_data'] }
+        };
+    }
+
+    /**
+     * Birth data from a request body that did not go through the route
+     * validation: validated, with an exact birth time (time_unknown is only
+     * supported by chart generation), its place resolved and its local time
+     * converting to one instant. Returns { birthData }, or
+     * { status, message, errors } (plus candidates for a birth place).
+     */
+    prepareBirthData(birthData) {
+        const validated = validateBirthRecord(birthData);
+        if (validated.errors) {
+            return { status: 422, message: 'Validation failed', errors: validated.errors };
+        }
+
+        if (validated.value.time_unknown) {
+            return {
+                status: 422,
+                message: 'Validation failed',
+                errors: { time_unknown: ['An exact birth time is needed here; give hour and minute instead of time_unknown'] }
+            };
+        }
+
+        const missingTime = this.findMissingTime(validated.value);
+        if (missingTime) {
+            return { status: 422, message: 'Validation failed', errors: missingTime };
+        }
+
+        const place = this.resolveBirthPlace(validated.value);
+        if (place.errors) {
+            return place;
+        }
+
+        const unresolvedTime = this.checkBirthTime(place.birthData);
+        if (unresolvedTime) {
+            return { status: 422, message: 'Validation failed', errors: unresolvedTime };
+        }
+
+        return { birthData: place.birthData };
+    }
+
+    /**
+     * Load the charts of several people, in order. Each entry is accepted by
+     * loadChart, or is itself a birth record. Stops at the first failure and
+     * reports it with the entry's index.
+     */
+    async loadCharts(entries) {
+        const charts = [];
+
+        for (const [index, entry] of entries.entries()) {
+            const isReference = entry && (entry.chart_id || entry.chart || entry.birth_data);
+            const loaded = await this.loadChart(isReference ? entry : { birth_data: entry });
+
+            if (!loaded.success) {
+                return { ...loaded, index };
+            }
+            charts.push(loaded.chart);
+        }
+
+        return { success: true, charts };
+    }
+
+    /**
+     * Run the provider chain and send the chart (or the collected errors).
+     * With options.verify a second provider's chart is compared against it,
+     * with options.sensitivityMinutes the birth time sensitivity is added.
+     * With options.format 'svg' only the bodygraph image is sent, with
+     * 'pdf' the chart report; neither has room for the verification or
+     * sensitivity sections, so asking for those as well is a 422.
+     */
+    async respondWithChart(res, birthData, { verify = false, sensitivityMinutes = null, format = 'json' } = {}) {
+        if (format !== 'json' && (verify || sensitivityMinutes)) {
+            const errors = {};
+            if (verify) {
+                errors.verify = [`Verify mode adds a verification section to the JSON chart; it cannot be combined with format=${format}`];
+            }
+            if (sensitivityMinutes) {
+                errors.sensitivity_minutes = [`Sensitivity analysis adds a section to the JSON chart; it cannot be combined with format=${format}`];
+            }
+            return this.sendValidationError(res, errors);
+        }
+
+        const result = await this.generateChart(birthData);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to generate chart with all configured providers',
+                errors: result.errors
+            });
+        }
+
+        result.data.chart_id = this.chartStore.save(result.data);
+
+        if (format === 'svg') {
+            return this.sendBodygraph(res, result.data);
+        }
+
+        if (format === 'pdf') {
+            return this.sendReport(res, result.data);
+        }
+
+        const response = {
+            success: true,
+            message: `Chart generated successfully using ${result.provider.label}`,
+            data: result.data,
+            source: result.provider.source
+        };
+
+        if (verify) {
+            response.verification = await this.verifyChart(birthData, result);
+        }
+
+        if (sensitivityMinutes) {
+            response.sensitivity = this.analyzeSensitivity(birthData, sensitivityMinutes);
+        }
+
+        return res.status(200).json(response);
+    }
+
+    /**
+     * Response body of a chart request for a birth record, calculated by the
+     * local calculator alone so it needs no network, without raw_data. The
+     * API overview shows it as its example response.
+     */
+    async exampleChartResponse(birthData) {
+        const prepared = this.prepareBirthData(birthData);
+        if (!prepared.birthData) {
+            throw new Error(`${prepared.message}: ${JSON.stringify(prepared.errors)}`);
+        }
+
+        const result = await this.localCalculator.submitBirthData(prepared.birthData);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const chart = this.finishChart(this.localCalculator, result.data, prepared.birthData);
+        delete chart.raw_data;
+        chart.chart_id = this.chartStore.save(chart);
+
+        return {
+            success: true,
+            message: `Chart generated successfully using ${this.localCalculator.label}`,
+            data: chart,
+            source: this.localCalculator.source
+        };
+    }
+
+    /**
+     * Chart for a birth day without a known time: the day is sampled from
+     * local midnight to midnight and the response has the parts of the chart
+     * that hold all day, plus each Type and Profile with the times it covers
+     */
+    respondWithUnknownTime(res, birthData, format = 'json') {
+        if (format !== 'json') {
+            return this.sendValidationError(res, {
+                format: [`format=${format} needs a birth time; use format=json with time_unknown`]
+            });
+        }
+
+        // The day runs from local midnight to the next one; a midnight in a
+        // DST gap or overlap that dst_choice "reject" leaves unresolved is
+        // reported like a birth time would be
+        const dayStartData = { ...birthData, hour: 0, minute: 0, second: 0 };
+        const nextDay = new Date(Date.UTC(Number(birthData.year), Number(birthData.month) - 1, Number(birthData.day) + 1));
+        const dayEndData = {
+            ...dayStartData,
+            year: nextDay.getUTCFullYear(),
+            month: nextDay.getUTCMonth() + 1,
+            day: nextDay.getUTCDate()
+        };
+        const unresolved = [dayStartData, dayEndData].find(data => !this.localCalculator.resolveBirthTime(data).date);
+        if (unresolved) {
+            return this.sendValidationError(res, this.checkBirthTime(unresolved));
+        }
+
+        const dayStart = this.localCalculator.resolveBirthMoment(dayStartData);
+        const dayEnd = this.localCalculator.resolveBirthMoment(dayEndData);
+        const { timezone } = dayStart;
+
+        const segments = scanSegments(this.localCalculator, dayStart.birthDate, dayEnd.birthDate);
+        const stable = findStableParts(segments);
+        const dayLength = dayEnd.birthDate - dayStart.birthDate;
+
+        const describeVariants = (field) => groupVariants(segments, field).map(variant => ({
+            value: variant.value,
+            minutes: Number((variant.duration / 60000).toFixed(2)),
+            share: Number((variant.duration / dayLength).toFixed(3)),
+            ranges: variant.ranges.map(range => ({
+                start_local: formatWallClock(range.start, timezone),
+                end_local: formatWallClock(range.end, timezone),
+                start_utc: range.start.toISOString(),
+                end_utc: range.end.toISOString()
+            }))
+        }));
+
+        logger.info('Unknown birth time chart calculated', {
+            date: `${birthData.year}-${birthData.month}-${birthData.day}`,
+            timezone,
+            segments: segments.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Birth time unknown: chart sampled across the whole birth day',
+            data: {
+                time_unknown: true,
+                birth_data: {
+                    ...buildBirthData(birthData, { location: this.describeLocation(birthData) }),
+                    date_local: formatWallClock(dayStart.birthDate, timezone).slice(0, 10),
+                    timezone
+                },
+                window: {
+                    start_utc: dayStart.birthDate.toISOString(),
+                    end_utc: dayEnd.birthDate.toISOString(),
+                    start_local: formatWallClock(dayStart.birthDate, timezone),
+                    end_local: formatWallClock(dayEnd.birthDate, timezone)
+                },
+                stable: {
+                    properties: stable.properties,
+                    activations: stable.activations,
+                    channels: stable.channels,
+                    defined_centers: stable.definedCenters
+                },
+                variants: {
+                    type: describeVariants('type'),
+                    profile: describeVariants('profile')
+                },
+                change_points: segments.length - 1
+            },
+            source: this.localCalculator.source
+        });
+    }
+
+    /**
+     * Validation errors for a missing hour or minute, or null
      */
-    transformToReadableFormat(apiData, birthData) {
+    findMissingTime(birthData) {
+        const errors = {};
+
+        ['hour', 'minute'].forEach(field => {
+            if (birthData[field] === undefined || birthData[field] === null || birthData[field] === '') {
+                errors[field] = [`${field.charAt(0).toUpperCase()}${field.slice(1)} is required unless time_unknown is true`];
+            }
+        });
+
+        return Object.keys(errors).length > 0 ? errors : null;
+    }
+
+    /**
+     * Birth data with its place pinned down: coordinates with a time zone or
+     * UTC offset, or one gazetteer location, given as location_id or matched
+     * from city and country; a UTC birth time may have no place. When the
+     * place is invalid, unknown or matches
+     * several locations, returns { status, message, errors, candidates }
+     * instead, so the client can retry with the location_id of the right
+     * candidate rather than get a chart for a guessed city. A birth_datetime
+     * offset that the place's time zone did not have is rejected the same way
+     * (see checkStatedOffset).
+     */
+    resolveBirthPlace(birthData) {
+        const place = this.locateBirthPlace(birthData);
+        if (place.errors) {
+            return place;
+        }
+
+        return this.checkStatedOffset(place.birthData);
+    }
+
+    /**
+     * The place part of resolveBirthPlace
+     */
+    locateBirthPlace(birthData) {
+        let location;
+
+        // A UTC birth time needs no place to be converted
+        if (birthData.timezone_utc && !birthData.location_id && !birthData.city && !birthData.country
+            && !this.hasCoordinates(birthData)) {
+            return { birthData };
+        }
+
+        if (!birthData.location_id && this.hasCoordinates(birthData)) {
+            const errors = this.checkCoordinates(birthData);
+            if (errors) {
+                return { status: 422, message: 'Validation failed', errors, candidates: [] };
+            }
+
+            return {
+                birthData: {
+                    ...birthData,
+                    latitude: Number(birthData.latitude),
+                    longitude: Number(birthData.longitude)
+                }
+            };
+        }
+
+        if (birthData.location_id) {
+            location = this.locationResolver.getById(birthData.location_id);
+            if (!location) {
+                return {
+                    status: 422,
+                    message: 'Validation failed',
+                    errors: { location_id: [`Unknown location_id: ${birthData.location_id}`] },
+                    candidates: []
+                };
+            }
+        } else {
+            const match = this.locationResolver.match(birthData);
+            if (!match.location) {
+                return this.describePlaceMismatch(birthData, match);
+            }
+            location = match.location;
+        }
+
+        return {
+            birthData: {
+                ...birthData,
+                location_id: location.id,
+                city: location.name,
+                country: location.country
+            }
+        };
+    }
+
+    /**
+     * A birth_datetime with a UTC offset ("1990-06-15T14:30:00+05:00") keeps
+     * its wall clock in the birth place's time zone, and the offset must be
+     * one that zone had at that local time. In a DST overlap the offset picks
+     * the side, replacing dst_choice. Returns { birthData }, or a 422 as
+     * resolveBirthPlace does.
+     */
+    checkStatedOffset(birthData) {
+        if (!birthData.birth_datetime || birthData.timezone_utc) {
+            return { birthData };
+        }
+
+        const { offsetMinutes } = parseBirthDatetime(birthData.birth_datetime);
+        if (offsetMinutes === null || offsetMinutes === undefined) {
+            return { birthData };
+        }
+
+        const { timezone, offsetMinutes: zoneOffset, transition, options } = this.localCalculator.resolveBirthTime({
+            ...birthData,
+            dst_choice: 'compatible'
+        });
+        const sides = transition ? options : [{ dst_choice: null, offsetMinutes: zoneOffset }];
+        const side = transition === 'gap' ? null : sides.find(option => option.offsetMinutes === offsetMinutes);
+
+        if (side) {
+            return { birthData: side.dst_choice ? { ...birthData, dst_choice: side.dst_choice } : birthData };
+        }
+
+        const stated = `UTC${formatOffset(offsetMinutes)}`;
+        const message = transition === 'gap'
+            ? `${birthData.birth_datetime} does not exist in ${timezone} (clocks went forward), so ${stated} cannot be its offset`
+            : `${stated} does not match ${timezone}, which was at ${sides.map(option => `UTC${formatOffset(option.offsetMinutes)}`).join(' or ')} at that time`;
+
+        return { status: 422, message: 'Validation failed', errors: { birth_datetime: [message] }, candidates: [] };
+    }
+
+    hasCoordinates(birthData) {
+        return ['latitude', 'longitude'].some(field =>
+            birthData[field] !== undefined && birthData[field] !== null && birthData[field] !== '');
+    }
+
+    /**
+     * Validation errors for a birth place given as coordinates: latitude and
+     * longitude in range, and exactly one of a known IANA timezone or a UTC
+     * offset; null when valid
+     */
+    checkCoordinates(birthData) {
+        const errors = {};
+        const inRange = (value, limit) => value !== '' && value !== null && Math.abs(Number(value)) <= limit;
+
+        if (!inRange(birthData.latitude, 90)) {
+            errors.latitude = ['Latitude must be a number between -90 and 90'];
+        }
+        if (!inRange(birthData.longitude, 180)) {
+            errors.longitude = ['Longitude must be a number between -180 and 180'];
+        }
+
+        if (birthData.timezone && birthData.utc_offset) {
+            errors.timezone = ['Give either timezone or utc_offset, not both'];
+        } else if (birthData.timezone) {
+            if (!isValidTimeZone(birthData.timezone)) {
+                errors.timezone = [`Unknown IANA time zone: ${birthData.timezone}`];
+            }
+        } else if (birthData.utc_offset) {
+            if (parseOffset(birthData.utc_offset) === null) {
+                errors.utc_offset = ['UTC offset must look like +05:30 or -03:00, at most 14 hours'];
+            }
+        } else {
+            errors.timezone = ['Timezone or utc_offset is required with latitude and longitude'];
+        }
+
+        return Object.keys(errors).length > 0 ? errors : null;
+    }
+
+    /**
+     * birth_data.location for a resolved birth place
+     */
+    describeLocation(birthData) {
+        const { location } = this.localCalculator.resolveLocation(birthData);
+        if (!location) {
+            return { city: birthData.city, country: birthData.country };
+        }
+
+        return {
+            id: location.id,
+            city: location.name || birthData.city,
+            region: location.admin1,
+            country: location.country || birthData.country,
+            country_code: location.country_code,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            timezone: location.timezone,
+            utc_offset: location.utc_offset
+        };
+    }
+
+    /**
+     * Error response fields for a birth place that did not match exactly
+     * one gazetteer location
+     */
+    describePlaceMismatch(birthData, { reason, candidates }) {
+        const retry = candidates.length > 0 ? '; retry with the location_id of one of the candidates' : '';
+
+        if (reason === 'ambiguous') {
+            return {
+                status: 409,
+                message: 'Birth place is ambiguous',
+                errors: { city: [`"${birthData.city}" matches ${candidates.length} places${retry}`] },
+                candidates
+            };
+        }
+
+        const where = birthData.country ? ` in ${birthData.country}` : '';
+        let errors;
+        if (reason === 'unknown_country') {
+            errors = { country: [`Unknown country: ${birthData.country}`] };
+        } else if (reason === 'partial') {
+            errors = { city: [`No place is named exactly "${birthData.city}"${where}${retry}`] };
+        } else {
+            errors = { city: [`No place named "${birthData.city}" found${where}${retry}`] };
+        }
+
+        return { status: 422, message: 'Validation failed', errors, candidates };
+    }
+
+    /**
+     * Send the error response for a birth place resolveBirthPlace rejected
+     */
+    sendPlaceError(res, { status, message, errors, candidates }) {
+        return res.status(status).json({
+            success: false,
+            message,
+            errors,
+            candidates
+        });
+    }
+
+    /**
+     * Validation errors for a dst_choice that is not recognised, or for a
+     * local birth time that falls in a DST gap or overlap without a
+     * dst_choice picking one side; null when the time converts to one instant
+     */
+    checkBirthTime(birthData) {
+        const dstChoice = birthData.dst_choice;
+        if (dstChoice !== undefined && dstChoice !== null && !DST_CHOICES.includes(dstChoice)) {
+            return { dst_choice: [`DST choice must be one of: ${DST_CHOICES.join(', ')}`] };
+        }
+
+        const { transition, timezone, options } = this.localCalculator.resolveBirthTime(birthData);
+        if (!transition || (dstChoice && dstChoice !== 'reject')) {
+            return null;
+        }
+
+        const pad = (value) => String(value).padStart(2, '0');
+        const wallClock = `${birthData.year}-${pad(birthData.month)}-${pad(birthData.day)} ${pad(birthData.hour)}:${pad(birthData.minute)}`
+            + (birthData.second ? `:${pad(birthData.second)}` : '');
+        const description = transition === 'overlap'
+            ? 'occurs twice (clocks went back)'
+            : 'does not exist (clocks went forward)';
+        const choices = options
+            .map(option => `${option.dst_choice} is ${option.date.toISOString()} (UTC${formatOffset(option.offsetMinutes)})`)
+            .join(', ');
+
+        return {
+            dst_choice: [`${wallClock} ${description} in ${timezone}: ${choices}. Provide dst_choice: earlier or later`]
+        };
+    }
+
+    /**
+     * Whole number from a query parameter, or undefined when absent or invalid
+     */
+    parseQueryInteger(value) {
+        const number = parseInt(value);
+        return isNaN(number) ? undefined : number;
+    }
+
+    sendValidationError(res, errors) {
+        return res.status(422).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    /**
+     * Parse the response format: absent (json) or one of CHART_FORMATS
+     */
+    parseFormat(value) {
+        if (value === undefined || value === null || value === '') {
+            return { format: 'json' };
+        }
+
+        if (!CHART_FORMATS.includes(value)) {
+            return { error: `Format must be one of: ${CHART_FORMATS.join(', ')}` };
+        }
+
+        return { format: value };
+    }
+
+    /**
+     * Parse sensitivity_minutes: absent, or a whole number of minutes up to
+     * MAX_SENSITIVITY_MINUTES
+     */
+    parseSensitivityMinutes(value) {
+        if (value === undefined || value === null || value === '') {
+            return { minutes: null };
+        }
+
+        const minutes = Number(value);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SENSITIVITY_MINUTES) {
+            return { error: `Sensitivity minutes must be a whole number between 1 and ${MAX_SENSITIVITY_MINUTES}` };
+        }
+
+        return { minutes };
+    }
+
+    /**
+     * Recalculate the chart locally for every birth time within
+     * `minutes` either side of the given one and report each moment the
+     * type, profile, authority, definition or a gate.line changes
+     */
+    analyzeSensitivity(birthData, minutes) {
+        const { birthDate, timezone } = this.localCalculator.resolveBirthMoment(birthData);
+        const start = new Date(birthDate.getTime() - minutes * 60000);
+        const end = new Date(birthDate.getTime() + minutes * 60000);
+
+        const { points } = findChangePoints(this.localCalculator, start, end);
+
+        const changes = points.map(point => ({
+            time_utc: point.time.toISOString(),
+            local_time: formatWallClock(point.time, timezone),
+            offset_minutes: Number(((point.time - birthDate) / 60000).toFixed(2)),
+            changes: point.changes
+        }));
+
+        logger.info('Birth time sensitivity calculated', {
+            birthDateUtc: birthDate.toISOString(),
+            windowMinutes: minutes,
+            changePoints: changes.length
+        });
+
+        return {
+            source: 'local_calculation',
+            window_minutes: minutes,
+            birth_time_utc: birthDate.toISOString(),
+            timezone,
+            window: {
+                start: start.toISOString(),
+                end: end.toISOString()
+            },
+            stable: changes.length === 0,
+            nearest_change_minutes: changes.length > 0
+                ? Math.min(...changes.map(change => Math.abs(change.offset_minutes)))
+                : null,
+            changes
+        };
+    }
+
+    /**
+     * Generate the same chart with a second provider and diff the two.
+     * Uses the next configured provider that succeeds, or the local
+     * calculator when no other configured provider does.
+     */
+    async verifyChart(birthData, primary) {
+        let secondary = await this.generateChart(birthData, { exclude: [primary.provider.name] });
+
+        if (!secondary.success && primary.provider !== this.localCalculator &&
+            !this.providerChain.order.includes(this.localCalculator.name)) {
+            const local = await this.localCalculator.submitBirthData(birthData);
+            if (local.success) {
+                secondary = {
+                    success: true,
+                    provider: this.localCalculator,
+                    data: this.finishChart(this.localCalculator, local.data, birthData)
+                };
+            } else {
+                secondary.errors[this.localCalculator.name] = local.error;
+            }
+        }
+
+        if (!secondary.success) {
+            logger.warn('Chart verification found no second provider', { errors: secondary.errors });
+            return {
+                success: false,
+                message: 'No second provider produced a chart to compare against',
+                primary_source: primary.provider.source,
+                errors: secondary.errors
+            };
+        }
+
+        const diff = compareCharts(primary.data, secondary.data);
+
+        logger.info('Chart verification completed', {
+            primary: primary.provider.name,
+            secondary: secondary.provider.name,
+            agreementScore: diff.agreement_score
+        });
+
+        return {
+            success: true,
+            primary_source: primary.provider.source,
+            secondary_source: secondary.provider.source,
+            ...diff
+        };
+    }
+
+    /**
+     * Generate a chart through the configured providers
+     * Resolves to { success, provider, data } or { success: false, errors }
+     */
+    async generateChart(birthData, options = {}) {
+        const result = await this.providerChain.generate(birthData, options);
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            ...result,
+            data: this.finishChart(result.provider, result.data, birthData)
+        };
+    }
+
+    /**
+     * Turn one provider's response into the final canonical chart
+     */
+    finishChart(provider, data, birthData) {
+        const chart = this.formatChartData(provider, data, birthData);
+        this.applyMechanics(chart);
+        this.addVariables(chart, birthData);
+        this.addDesignDate(chart, birthData);
+        this.addUtcOffset(chart, birthData);
+        chart.birth_data.location = buildLocation(this.describeLocation(birthData));
+
+        return chart;
+    }
+
+    /**
+     * Record the time zone and UTC offset the local birth time was converted
+     * with, and the DST gap or overlap it fell in, so charts born around a
+     * clock change can be audited. date_local and date_utc are set from the
+     * same instant: the wall clock in the birth time zone with its offset
+     * ("1990-06-15T14:30:00+05:00") and the ISO UTC moment.
+     */
+    addUtcOffset(chart, birthData) {
+        try {
+            const { date, timezone, offsetMinutes, transition } = this.localCalculator.resolveBirthTime(birthData);
+            if (offsetMinutes === null) return chart;
+
+            if (date) {
+                chart.birth_data.date_local = `${formatWallClock(date, timezone)}${formatOffset(offsetMinutes)}`;
+                chart.birth_data.date_utc = date.toISOString();
+            }
+            chart.birth_data.timezone = timezone;
+            chart.birth_data.utc_offset = formatOffset(offsetMinutes);
+            chart.birth_data.utc_offset_minutes = offsetMinutes;
+            chart.birth_data.dst_transition = transition
+                ? { type: transition, dst_choice: birthData.dst_choice || 'compatible' }
+                : null;
+        } catch (error) {
+            logger.warn('Could not resolve UTC offset', { error: error.message });
+        }
+
+        return chart;
+    }
+
+    /**
+     * Transit chart: activations of the thirteen bodies at one UTC moment,
+     * calculated locally, in the same "Sun 12.2" format as birth charts
+     */
+    calculateTransitChart(date) {
+        // A transit is a single set of activations; the personality marker
+        // only decides the gate mode
+        const planets = this.localCalculator.calculateActivations(date, 1);
+        const bodygraph = describeBodygraph(this.localCalculator.collectGates(planets));
+
+        return {
+            datetime: date.toISOString(),
+            activations: planets.map(formatPlanetActivation),
+            planets: activationsFromPlanets(planets).personality,
+            gates: bodygraph.gates.map(({ gate, name, center }) => ({ gate, name, center })),
+            channels: bodygraph.channels,
+            defined_centers: bodygraph.mechanics.definedCenters
+        };
+    }
+
+    /**
+     * Fill birth_data.design_date_utc, preferring the provider's own value
+     */
+    addDesignDate(chart, birthData) {
+        const meta = chart.raw_data?.meta || {};
+        const providedDesignDate = meta.birthData?.time?.design || meta.designData?.time?.utc;
+
+        if (providedDesignDate && !isNaN(new Date(providedDesignDate).getTime())) {
+            chart.birth_data.design_date_utc = new Date(providedDesignDate).toISOString();
+            chart.birth_data.design_date_source = chart.source === this.localCalculator.source
+                ? 'local_calculation'
+                : 'provider';
+            return chart;
+        }
+
+        try {
+            chart.birth_data.design_date_utc = this.localCalculator.calculateDesignDate(birthData).toISOString();
+            chart.birth_data.design_date_source = 'local_calculation';
+        } catch (error) {
+            logger.warn('Could not calculate design date', { error: error.message });
+        }
+
+        return chart;
+    }
+
+    /**
+     * Derive centers, channels, type, authority, definition and profile from
+     * the 26 activations and check them against what the provider reported.
+     * Derived values replace the provider's; disagreements are listed in
+     * chart.validation.mismatches.
+     */
+    applyMechanics(chart) {
+        const { design, personality } = chartActivations(chart);
+        const providerProperties = {};
+        MECHANICS_PROPERTIES.forEach(field => {
+            providerProperties[field] = chart.properties[field] || 'Unknown';
+        });
+
+        if (design.length !== 13 || personality.length !== 13) {
+            chart.validation = {
+                derived_from_activations: false,
+                reason: `Expected 13 design and 13 personality activations, got ${design.length} and ${personality.length}`,
+                mismatches: [],
+                provider_properties: providerProperties
+            };
+            return chart;
+        }
+
+        const bodygraph = describeBodygraph(gateModesFromActivations(design, personality));
+        const { mechanics } = bodygraph;
+        const derived = {
+            type: mechanics.type,
+            ...TYPE_DETAILS[mechanics.type],
+            authority: mechanics.authority,
+            definition: mechanics.definition,
+            profile: deriveProfile(personality, design)
+        };
+
+        const mismatches = [];
+        MECHANICS_PROPERTIES.forEach(field => {
+            const provided = providerProperties[field];
+            if (provided && provided !== 'Unknown' && provided !== derived[field]) {
+                mismatches.push({ field, provider: provided, derived: derived[field] });
+            }
+        });
+
+        if (mismatches.length > 0) {
+            logger.warn('Provider chart properties disagree with its activations', {
+                source: chart.source,
+                mismatches
+            });
+        }
+
+        Object.assign(chart.properties, derived);
+
+        const cross = resolveCross({
+            personalitySun: personality.find(activation => activation.planet === 'Sun')?.gate,
+            profile: derived.profile
+        });
+        if (cross) {
+            chart.properties.incarnation_cross = cross.name;
+        }
+
+        chart.chart_data = {
+            ...chart.chart_data,
+            centers: bodygraph.centers,
+            defined_centers: mechanics.definedCenters,
+            channels: bodygraph.channels,
+            gates: bodygraph.gates,
+            definition_areas: mechanics.definitionAreas,
+            incarnation_cross: cross,
+            activations: { design, personality }
+        };
+
+        chart.validation = {
+            derived_from_activations: true,
+            mismatches,
+            provider_properties: providerProperties
+        };
+
+        return chart;
+    }
+
+    /**
+     * Fill chart.variables from the color, tone and base of the Sun and Node
+     * activations. In variable chart mode (birthData.variable_chart) a
+     * provider that did not return them is backed by a local calculation.
+     */
+    addVariables(chart, birthData) {
+        let variables = deriveVariables(chart.chart_data.activations || {});
+        let source = chart.source;
+
+        if (!variables && birthData.variable_chart && chart.source !== this.localCalculator.source) {
+            try {
+                const { birthDate } = this.localCalculator.resolveBirthMoment(birthData);
+                const calculated = this.localCalculator.calculateChart(birthDate);
+                variables = deriveVariables(activationsFromPlanets(calculated.planets));
+                source = this.localCalculator.source;
+            } catch (error) {
+                logger.warn('Could not calculate variables', { error: error.message });
+            }
+        }
+
+        if (variables) {
+            chart.variables = { source, ...variables };
+            chart.properties.variable = variables.notation;
+        }
+
+        return chart;
+    }
+
+    /**
+     * Normalize provider data into the canonical chart model
+     */
+    formatChartData(provider, data, birthData) {
+        if (provider.responseFormat === 'maia') {
+            return this.transformToReadableFormat(data, birthData, provider.source);
+        }
+
+        return {
+            ...data,
+            birth_data: buildBirthData(birthData, data.birth_data)
+        };
+    }
+
+    /**
+     * Transform Maia Mechanics API data into the canonical chart model
+     */
+    transformToReadableFormat(apiData, birthData, source = 'maia_mechanics') {
         const chart = apiData.chart || {};
         const meta = apiData.meta || {};
         const birthDataMeta = meta.birthData || {};
@@ -363,24 +1208,6 @@ class ChartController {
             4: 'Manifesting Generator'
         };
 
-        // Strategy mappings by type
-        const strategyMap = {
-            0: 'Wait to Respond',
-            1: 'Inform',
-            2: 'Wait for Invitation', 
-            3: 'Wait a Lunar Cycle',
-            4: 'Wait to Respond'
-        };
-
-        // Not-Self Theme mappings by type
-        const notSelfThemeMap = {
-            0: 'Frustration',
-            1: 'Anger',
-            2: 'Bitterness',
-            3: 'Disappointment',
-            4: 'Frustration'
-        };
-
         // Authority mappings
         const authorityMap = {
             0: 'None/Environmental',
@@ -410,39 +1237,11 @@ class ChartController {
             return profile;
         };
 
-        // Format time
-        const formatTime = (timeStr) => {
-            if (!timeStr) return null;
-            try {
-                const date = new Date(timeStr);
-                return date.toLocaleString('en-US', {
-                    year: 'numeric',
-                    month: 'long', 
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    timeZoneName: 'short'
-                });
-            } catch (e) {
-                return timeStr;
-            }
-        };
-
-        // Planet mappings
-        const planetMap = {
-            0: 'Sun',
-            1: 'Earth', 
-            2: 'Moon',
-            3: 'North Node',
-            4: 'South Node',
-            5: 'Mercury',
-            6: 'Venus',
-            7: 'Mars',
-            8: 'Jupiter',
-            9: 'Saturn',
-            10: 'Uranus',
-            11: 'Neptune',
-            12: 'Pluto'
+        // UTC instant as ISO 8601; the local time is labelled with its
+        // offset later, in addUtcOffset
+        const formatUtc = (timeStr) => {
+            const date = timeStr ? new Date(timeStr) : null;
+            return date && !isNaN(date.getTime()) ? date.toISOString() : null;
         };
 
         // Extract planetary activations with planet names and arrows
@@ -453,17 +1252,11 @@ class ChartController {
             const personality = [];
             
             planets.forEach(planet => {
-                const gateLine = `${planet.gate}.${planet.line}`;
-                const planetName = planetMap[planet.id] || `Planet ${planet.id}`;
-                const arrow = planet.baseAlignment === 2 ? '▼' : '▲';
-                const activation = planet.activation === 1 ? 'Design' : 'Personality';
-                
-                const formatted = `${planetName} ${gateLine} ${arrow}`;
-                
-                if (activation === 'Design') {
-                    design.push(formatted);
+                // Maia marks personality (conscious) activations with 1
+                if (planet.activation === 1) {
+                    personality.push(formatPlanetActivation(planet));
                 } else {
-                    personality.push(formatted);
+                    design.push(formatPlanetActivation(planet));
                 }
             });
             
@@ -471,39 +1264,38 @@ class ChartController {
         };
 
         const planetaryActivations = extractPlanetaryActivations(chart.planets || []);
+        const bodygraph = describeBodygraph(chart.gates || []);
+        const type = typeMap[chart.type] || 'Unknown';
+        const typeDetails = TYPE_DETAILS[type] || {};
 
-        return {
-            birth_data: {
-                name: birthData.name || meta.name || 'Unknown',
-                date_local: formatTime(birthDataMeta.time?.local),
-                date_utc: formatTime(birthDataMeta.time?.utc),
-                location: {
-                    city: birthData.city || birthDataMeta.location?.city,
-                    country: birthData.country || birthDataMeta.location?.country
-                }
-            },
+        return createChartResult({
+            source,
+            birth_data: buildBirthData(birthData, {
+                name: meta.name,
+                date_local: birthDataMeta.time?.local || null,
+                date_utc: formatUtc(birthDataMeta.time?.utc),
+                location: birthDataMeta.location
+            }),
             properties: {
-                type: typeMap[chart.type] || 'Unknown',
-                strategy: strategyMap[chart.type] || 'Unknown',
-                signature: chart.type === 0 || chart.type === 4 ? 'Satisfaction' : 
-                          chart.type === 1 ? 'Peace' :
-                          chart.type === 2 ? 'Success' : 'Surprise',
-                not_self_theme: notSelfThemeMap[chart.type] || 'Unknown',
+                type,
+                strategy: typeDetails.strategy || 'Unknown',
+                signature: typeDetails.signature || 'Unknown',
+                not_self_theme: typeDetails.not_self_theme || 'Unknown',
                 authority: authorityMap[chart.authority] || 'Unknown',
                 definition: definitionMap[chart.definition] || 'Unknown',
-                incarnation_cross: `Cross ${chart.cross}`,
                 profile: formatProfile(chart.profile),
                 variable: chart.variable ? `Variable ${chart.variable}` : 'Unknown'
             },
             chart_data: {
-                centers: chart.centers || [],
-                channels: chart.channels || [],
-                gates: (chart.gates || []).map(g => `${g.gate}:${g.mode}`),
+                centers: bodygraph.centers,
+                channels: bodygraph.channels,
+                gates: bodygraph.gates,
                 design_activations: planetaryActivations.design,
-                personality_activations: planetaryActivations.personality
+                personality_activations: planetaryActivations.personality,
+                activations: Array.isArray(chart.planets) ? activationsFromPlanets(chart.planets) : undefined
             },
             raw_data: apiData // Keep original for advanced use
-        };
+        });
     }
 }
 
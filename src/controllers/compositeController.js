@@ -0,0 +1,76 @@
+const { buildComposite } = require('../utils/composite');
+const { chartGates } = require('../utils/mechanics');
+const logger = require('../utils/logger');
+
+class CompositeController {
+    constructor({ chartController }) {
+        this.chartController = chartController;
+    }
+
+    /**
+     * Composite chart of two people. The body has either
+     * people: [a, b] (birth records, { chart_id }, { birth_data } or { chart })
+     * or chart_ids: [idA, idB].
+     */
+    async createComposite(req, res) {
+        try {
+            const body = req.body || {};
+            const entries = Array.isArray(body.chart_ids)
+                ? body.chart_ids.map(chartId => ({ chart_id: chartId }))
+                : body.people;
+
+            if (!Array.isArray(entries) || entries.length !== 2) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: { people: ['Provide exactly two people or two chart_ids'] }
+                });
+            }
+
+            const loaded = await this.chartController.loadCharts(entries);
+            if (!loaded.success) {
+                return res.status(loaded.status).json({
+                    success: false,
+                    message: `Person ${loaded.index + 1}: ${loaded.message}`,
+                    errors: loaded.errors,
+                    ...(loaded.candidates ? { candidates: loaded.candidates } : {})
+                });
+            }
+
+            const [chartA, chartB] = loaded.charts;
+            const composite = buildComposite(chartGates(chartA), chartGates(chartB));
+
+            logger.info('Composite chart generated', {
+                chartIds: loaded.charts.map(chart => chart.chart_id),
+                summary: composite.summary
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    people: loaded.charts.map(chart => ({
+                        name: chart.birth_data?.name || 'Unknown',
+                        chart_id: chart.chart_id || null,
+                        type: chart.properties?.type || 'Unknown',
+                        profile: chart.properties?.profile || 'Unknown',
+                        defined_centers: chart.chart_data?.defined_centers || []
+                    })),
+                    composite
+                }
+            });
+        } catch (error) {
+            logger.error('Composite chart generation failed', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while generating the composite chart',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = CompositeController;
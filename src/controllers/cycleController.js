@@ -0,0 +1,94 @@
+const { CYCLES, findCycle } = require('../utils/cycles');
+const { SUPPORTED_RANGE } = require('../utils/ephemeris');
+const logger = require('../utils/logger');
+
+class CycleController {
+    constructor({ chartController }) {
+        this.chartController = chartController;
+    }
+
+    /**
+     * Exact dates and return charts of the Saturn return, Uranus opposition
+     * and Chiron return, or of the single cycle named in req.params.cycle.
+     * The body is the same birth data as for /generate-chart, or wraps it
+     * in birth_data like the other chart endpoints; the birth time must be
+     * known.
+     */
+    async getCycles(req, res) {
+        try {
+            const keys = req.params.cycle ? [req.params.cycle] : Object.keys(CYCLES);
+
+            if (!keys.every(key => CYCLES[key])) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Unknown cycle',
+                    available_cycles: Object.keys(CYCLES)
+                });
+            }
+
+            const body = req.body || {};
+            const prepared = this.chartController.prepareBirthData(body.birth_data || body);
+            if (prepared.errors) {
+                return res.status(prepared.status).json({
+                    success: false,
+                    message: prepared.message,
+                    errors: prepared.errors,
+                    ...(prepared.candidates ? { candidates: prepared.candidates } : {})
+                });
+            }
+
+            const { birthDate, timezone } = this.chartController.localCalculator.resolveBirthMoment(prepared.birthData);
+
+            const cycles = keys.map(key => this.describeCycle(findCycle(key, birthDate)));
+
+            logger.info('Cycle dates calculated', {
+                birthDateUtc: birthDate.toISOString(),
+                cycles: cycles.map(cycle => ({ key: cycle.key, passes: cycle.exact_dates.length }))
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    birth_date_utc: birthDate.toISOString(),
+                    timezone,
+                    cycles
+                }
+            });
+        } catch (error) {
+            logger.error('Cycle calculation failed', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while calculating the cycles',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Response entry for one cycle, with a return chart for every exact pass
+     */
+    describeCycle(cycle) {
+        return {
+            key: cycle.key,
+            name: cycle.name,
+            body: cycle.body,
+            natal_longitude: cycle.natal_longitude,
+            target_longitude: cycle.target_longitude,
+            window: {
+                start: cycle.window.start.toISOString(),
+                end: cycle.window.end.toISOString()
+            },
+            exact_dates: cycle.passes.map(date => date.toISOString()),
+            return_charts: cycle.passes.map(date => this.chartController.calculateTransitChart(date)),
+            ...(cycle.supported ? {} : {
+                error: `Cycle window is outside the supported range ${SUPPORTED_RANGE.start.toISOString()} to ${SUPPORTED_RANGE.end.toISOString()}`
+            })
+        };
+    }
+}
+
+module.exports = CycleController;
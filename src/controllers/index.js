@@ -0,0 +1,21 @@
+const ChartController = require('./chartController');
+const TransitController = require('./transitController');
+const CompositeController = require('./compositeController');
+const PentaController = require('./pentaController');
+const CycleController = require('./cycleController');
+const LocationController = require('./locationController');
+
+/**
+ * Controllers shared by the /api and /api/v2 routes, so both versions use
+ * one chart store and a chart_id from either works in the other.
+ */
+const chartController = new ChartController();
+
+module.exports = {
+    chartController,
+    transitController: new TransitController({ chartController }),
+    compositeController: new CompositeController({ chartController }),
+    pentaController: new PentaController({ chartController }),
+    cycleController: new CycleController({ chartController }),
+    locationController: new LocationController()
+};
@@ -0,0 +1,96 @@
+const LocationResolver = require('../services/LocationResolver');
+const logger = require('../utils/logger');
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+class LocationController {
+    constructor({ locationResolver = new LocationResolver() } = {}) {
+        this.locationResolver = locationResolver;
+    }
+
+    /**
+     * Ranked birth place candidates for a partial city name
+     * (?q=, optional country= and limit=), for autocomplete
+     */
+    search(req, res) {
+        try {
+            const query = String(req.query.q || '').trim();
+            const errors = {};
+
+            if (!query) {
+                errors.q = ['Query is required'];
+            }
+
+            let country = null;
+            if (req.query.country) {
+                country = this.locationResolver.findCountry(req.query.country);
+                if (!country) {
+                    errors.country = [`Unknown country: ${req.query.country}`];
+                }
+            }
+
+            const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+                errors.limit = [`Limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}`];
+            }
+
+            if (Object.keys(errors).length > 0) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+
+            const results = this.locationResolver.search(query, {
+                country: country ? country.code : null,
+                limit
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    query,
+                    country: country ? country.code : null,
+                    count: results.length,
+                    results
+                }
+            });
+        } catch (error) {
+            logger.error('Location search failed', {
+                error: error.message,
+                query: req.query,
+                stack: error.stack
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while searching locations',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * One birth place by its location_id
+     */
+    getLocation(req, res) {
+        const location = this.locationResolver.getById(req.params.id);
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found',
+                location_id: req.params.id
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: location
+        });
+    }
+}
+
+module.exports = LocationController;
@@ -0,0 +1,82 @@
+const { buildPenta } = require('../utils/penta');
+const { chartGates } = require('../utils/mechanics');
+const logger = require('../utils/logger');
+
+const MIN_MEMBERS = 3;
+const MAX_MEMBERS = 5;
+
+class PentaController {
+    constructor({ chartController }) {
+        this.chartController = chartController;
+    }
+
+    /**
+     * Penta of a group of 3-5 people. The body has people: [...] (birth
+     * records, { chart_id }, { birth_data } or { chart }) or chart_ids: [...].
+     */
+    async createPenta(req, res) {
+        try {
+            const body = req.body || {};
+            const entries = Array.isArray(body.chart_ids)
+                ? body.chart_ids.map(chartId => ({ chart_id: chartId }))
+                : body.people;
+
+            if (!Array.isArray(entries) || entries.length < MIN_MEMBERS || entries.length > MAX_MEMBERS) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: { people: [`Provide between ${MIN_MEMBERS} and ${MAX_MEMBERS} people or chart_ids`] }
+                });
+            }
+
+            const loaded = await this.chartController.loadCharts(entries);
+            if (!loaded.success) {
+                return res.status(loaded.status).json({
+                    success: false,
+                    message: `Person ${loaded.index + 1}: ${loaded.message}`,
+                    errors: loaded.errors,
+                    ...(loaded.candidates ? { candidates: loaded.candidates } : {})
+                });
+            }
+
+            const members = loaded.charts.map((chart, index) => ({
+                name: chart.birth_data?.name && chart.birth_data.name !== 'Unknown'
+                    ? chart.birth_data.name
+                    : `Person ${index + 1}`,
+                gates: chartGates(chart)
+            }));
+            const penta = buildPenta(members);
+
+            logger.info('Penta generated', {
+                members: members.length,
+                filledCount: penta.filled_count
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    members: loaded.charts.map((chart, index) => ({
+                        index,
+                        name: members[index].name,
+                        chart_id: chart.chart_id || null,
+                        type: chart.properties?.type || 'Unknown'
+                    })),
+                    penta
+                }
+            });
+        } catch (error) {
+            logger.error('Penta generation failed', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while generating the penta',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = PentaController;
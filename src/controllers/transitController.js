@@ -0,0 +1,179 @@
+const { isSupportedDate, SUPPORTED_RANGE } = require('../utils/ephemeris');
+const { describeBodygraph, deriveMechanics, chartGates } = require('../utils/mechanics');
+const { parseOffset } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// ISO 8601 date with an optional time (to milliseconds) and offset
+const ISO_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+class TransitController {
+    constructor({ chartController }) {
+        this.chartController = chartController;
+    }
+
+    /**
+     * Planetary activations for a moment (?datetime=ISO 8601, default now)
+     */
+    async getTransits(req, res) {
+        try {
+            const moment = this.parseDatetime(req.query.datetime);
+            if (moment.error) {
+                return this.sendValidationError(res, { datetime: [moment.error] });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: this.chartController.calculateTransitChart(moment.date)
+            });
+        } catch (error) {
+            logger.error('Transit calculation failed', {
+                error: error.message,
+                query: req.query,
+                stack: error.stack
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while calculating the transit',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Overlay a transit on a birth chart and report the channels and centers
+     * the transit completes. The chart is given as chart_id, an inline
+     * chart or birth_data; datetime defaults to now.
+     */
+    async overlayTransits(req, res) {
+        try {
+            const body = req.body || {};
+            const moment = this.parseDatetime(body.datetime);
+            if (moment.error) {
+                return this.sendValidationError(res, { datetime: [moment.error] });
+            }
+
+            const loaded = await this.chartController.loadChart(body);
+            if (!loaded.success) {
+                return res.status(loaded.status).json({
+                    success: false,
+                    message: loaded.message,
+                    errors: loaded.errors,
+                    ...(loaded.candidates ? { candidates: loaded.candidates } : {})
+                });
+            }
+
+            const transit = this.chartController.calculateTransitChart(moment.date);
+            const natalGates = chartGates(loaded.chart);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    chart_id: loaded.chart.chart_id || null,
+                    datetime: transit.datetime,
+                    transit_activations: transit.activations,
+                    ...this.overlay(natalGates, transit.gates.map(gate => gate.gate))
+                }
+            });
+        } catch (error) {
+            logger.error('Transit overlay failed', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while calculating the transit overlay',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Parse an ISO 8601 datetime, defaulting to now. A datetime without an
+     * offset is read as UTC, so the moment does not depend on the server's
+     * time zone; anything other than ISO 8601 is an error.
+     */
+    parseDatetime(value) {
+        if (value === undefined || value === null || value === '') {
+            return { date: new Date() };
+        }
+
+        const match = ISO_DATETIME_PATTERN.exec(String(value).trim());
+        if (!match) {
+            return { error: 'Datetime must be an ISO 8601 date and time such as 2024-01-01T12:00:00Z' };
+        }
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '', offset] = match;
+        const parts = [year, month, day, hour, minute, second].map(Number);
+        const wallClock = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], Number(fraction.padEnd(3, '0'))));
+        const read = [
+            wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1, wallClock.getUTCDate(),
+            wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds()
+        ];
+        if (read.some((part, index) => part !== parts[index])) {
+            return { error: `${value} is not a valid date and time` };
+        }
+
+        const offsetMinutes = !offset || offset.toUpperCase() === 'Z' ? 0 : parseOffset(offset);
+        if (offsetMinutes === null) {
+            return { error: 'Datetime offset must look like +05:30 or -03:00, at most 14 hours' };
+        }
+
+        const date = new Date(wallClock.getTime() - offsetMinutes * 60000);
+        if (!isSupportedDate(date)) {
+            return {
+                error: `Datetime must be between ${SUPPORTED_RANGE.start.toISOString()} and ${SUPPORTED_RANGE.end.toISOString()}`
+            };
+        }
+
+        return { date };
+    }
+
+    /**
+     * Channels and centers defined by natal and transit gates together
+     * that the natal chart does not define on its own
+     */
+    overlay(natalGates, transitGates) {
+        const natal = deriveMechanics(natalGates);
+        const combined = describeBodygraph(
+            Array.from(new Set([...natalGates, ...transitGates])).map(gate => ({ gate }))
+        );
+
+        const natalChannels = natal.channels.map(channel => channel.key);
+        const completedChannels = combined.channels
+            .filter(channel => !natalChannels.includes(channel.key))
+            .map(channel => ({
+                ...channel,
+                natal_gates: channel.gates.filter(gate => natalGates.includes(gate)),
+                transit_gates: channel.gates.filter(gate => transitGates.includes(gate))
+            }));
+
+        const completedCenters = combined.centers
+            .filter(center => center.defined && !natal.definedCenters.includes(center.key))
+            .map(({ key, name }) => ({ key, name }));
+
+        return {
+            natal_channels: natalChannels,
+            natal_defined_centers: natal.definedCenters,
+            completed_channels: completedChannels,
+            completed_centers: completedCenters,
+            combined: {
+                channels: combined.channels.map(channel => channel.label),
+                defined_centers: combined.mechanics.definedCenters,
+                type: combined.mechanics.type,
+                definition: combined.mechanics.definition
+            }
+        };
+    }
+
+    sendValidationError(res, errors) {
+        return res.status(422).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+}
+
+module.exports = TransitController;
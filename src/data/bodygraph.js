@@ -0,0 +1,124 @@
+/**
+ * Bodygraph structure: the nine centers, the gate each center holds,
+ * the 36 channels that connect them and the names of gates and channels.
+ */
+
+// Order used for chart_data.centers
+const CENTERS = [
+    { key: 'head', name: 'Head', motor: false },
+    { key: 'ajna', name: 'Ajna', motor: false },
+    { key: 'throat', name: 'Throat', motor: false },
+    { key: 'g', name: 'G', motor: false },
+    { key: 'ego', name: 'Ego', motor: true },
+    { key: 'sacral', name: 'Sacral', motor: true },
+    { key: 'solar_plexus', name: 'Solar Plexus', motor: true },
+    { key: 'spleen', name: 'Spleen', motor: false },
+    { key: 'root', name: 'Root', motor: true }
+];
+
+const CENTER_GATES = {
+    head: [64, 61, 63],
+    ajna: [47, 24, 4, 17, 43, 11],
+    throat: [62, 23, 56, 35, 12, 45, 33, 8, 31, 20, 16],
+    g: [7, 1, 13, 25, 46, 2, 15, 10],
+    ego: [21, 40, 26, 51],
+    sacral: [5, 14, 29, 59, 9, 3, 42, 27, 34],
+    solar_plexus: [6, 37, 22, 36, 30, 55, 49],
+    spleen: [48, 57, 44, 50, 32, 28, 18],
+    root: [53, 60, 52, 19, 39, 41, 58, 38, 54]
+};
+
+// Gate number -> center key
+const GATE_CENTERS = {};
+Object.entries(CENTER_GATES).forEach(([center, gates]) => {
+    gates.forEach(gate => {
+        GATE_CENTERS[gate] = center;
+    });
+});
+
+// Gate pairs, lower gate first
+const CHANNELS = [
+    [1, 8], [2, 14], [3, 60], [4, 63], [5, 15], [6, 59],
+    [7, 31], [9, 52], [10, 20], [10, 34], [10, 57], [11, 56],
+    [12, 22], [13, 33], [16, 48], [17, 62], [18, 58], [19, 49],
+    [20, 34], [20, 57], [21, 45], [23, 43], [24, 61], [25, 51],
+    [26, 44], [27, 50], [28, 38], [29, 46], [30, 41], [32, 54],
+    [34, 57], [35, 36], [37, 40], [39, 55], [42, 53], [47, 64]
+];
+
+// Channel names keyed by "lowerGate-higherGate"
+const CHANNEL_NAMES = {
+    '1-8': 'Inspiration',
+    '2-14': 'The Beat',
+    '3-60': 'Mutation',
+    '4-63': 'Logic',
+    '5-15': 'Rhythm',
+    '6-59': 'Mating',
+    '7-31': 'The Alpha',
+    '9-52': 'Concentration',
+    '10-20': 'Awakening',
+    '10-34': 'Exploration',
+    '10-57': 'Perfected Form',
+    '11-56': 'Curiosity',
+    '12-22': 'Openness',
+    '13-33': 'The Prodigal',
+    '16-48': 'The Wavelength',
+    '17-62': 'Acceptance',
+    '18-58': 'Judgment',
+    '19-49': 'Synthesis',
+    '20-34': 'Charisma',
+    '20-57': 'The Brainwave',
+    '21-45': 'Money',
+    '23-43': 'Structuring',
+    '24-61': 'Awareness',
+    '25-51': 'Initiation',
+    '26-44': 'Surrender',
+    '27-50': 'Preservation',
+    '28-38': 'Struggle',
+    '29-46': 'Discovery',
+    '30-41': 'Recognition',
+    '32-54': 'Transformation',
+    '34-57': 'Power',
+    '35-36': 'Transitoriness',
+    '37-40': 'Community',
+    '39-55': 'Emoting',
+    '42-53': 'Maturation',
+    '47-64': 'Abstraction'
+};
+
+// I'Ching hexagram names of the 64 gates
+const GATE_NAMES = {
+    1: 'The Creative', 2: 'The Receptive', 3: 'Difficulty at the Beginning', 4: 'Youthful Folly',
+    5: 'Waiting', 6: 'Conflict', 7: 'The Army', 8: 'Holding Together',
+    9: 'The Taming Power of the Small', 10: 'Treading', 11: 'Peace', 12: 'Standstill',
+    13: 'The Fellowship of Man', 14: 'Possession in Great Measure', 15: 'Modesty', 16: 'Enthusiasm',
+    17: 'Following', 18: 'Work on What Has Been Spoilt', 19: 'Approach', 20: 'Contemplation',
+    21: 'Biting Through', 22: 'Grace', 23: 'Splitting Apart', 24: 'Returning',
+    25: 'Innocence', 26: 'The Taming Power of the Great', 27: 'Nourishment', 28: 'Preponderance of the Great',
+    29: 'The Abysmal', 30: 'The Clinging Fire', 31: 'Influence', 32: 'Duration',
+    33: 'Retreat', 34: 'The Power of the Great', 35: 'Progress', 36: 'The Darkening of the Light',
+    37: 'The Family', 38: 'Opposition', 39: 'Obstruction', 40: 'Deliverance',
+    41: 'Decrease', 42: 'Increase', 43: 'Breakthrough', 44: 'Coming to Meet',
+    45: 'Gathering Together', 46: 'Pushing Upward', 47: 'Oppression', 48: 'The Well',
+    49: 'Revolution', 50: 'The Cauldron', 51: 'The Arousing', 52: 'Keeping Still',
+    53: 'Development', 54: 'The Marrying Maiden', 55: 'Abundance', 56: 'The Wanderer',
+    57: 'The Gentle', 58: 'The Joyous', 59: 'Dispersion', 60: 'Limitation',
+    61: 'Inner Truth', 62: 'Preponderance of the Small', 63: 'After Completion', 64: 'Before Completion'
+};
+
+// Gate mode values used by Maia and the local calculator
+const GATE_MODES = {
+    0: 'design',
+    1: 'personality',
+    2: 'both'
+};
+
+module.exports = {
+    CENTERS,
+    CENTER_GATES,
+    GATE_CENTERS,
+    CHANNELS,
+    CHANNEL_NAMES,
+    GATE_NAMES,
+    GATE_MODES
+};
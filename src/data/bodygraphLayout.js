@@ -0,0 +1,62 @@
+/**
+ * Drawing coordinates of the bodygraph in a 400 x 600 box: the outline of
+ * each center, its fill colour when defined, and the point on the outline
+ * where each gate sits (channels run between these points).
+ */
+
+const CENTER_SHAPES = {
+    head: { points: [[200, 20], [160, 80], [240, 80]], color: '#f4d35e' },
+    ajna: { points: [[160, 110], [240, 110], [200, 170]], color: '#7fb069' },
+    throat: { points: [[170, 200], [230, 200], [230, 260], [170, 260]], color: '#b5835a' },
+    g: { points: [[200, 285], [245, 330], [200, 375], [155, 330]], color: '#f4d35e' },
+    ego: { points: [[275, 355], [297, 393], [249, 393]], color: '#d1495b' },
+    sacral: { points: [[170, 420], [230, 420], [230, 480], [170, 480]], color: '#d1495b' },
+    solar_plexus: { points: [[360, 400], [360, 480], [300, 440]], color: '#b5835a' },
+    spleen: { points: [[40, 400], [100, 440], [40, 480]], color: '#b5835a' },
+    root: { points: [[170, 520], [230, 520], [230, 580], [170, 580]], color: '#b5835a' }
+};
+
+const GATE_POSITIONS = {
+    // Head
+    64: [175, 80], 61: [200, 80], 63: [225, 80],
+    // Ajna
+    47: [175, 110], 24: [200, 110], 4: [225, 110],
+    17: [180, 140], 43: [200, 165], 11: [220, 140],
+    // Throat
+    62: [180, 200], 23: [200, 200], 56: [220, 200],
+    16: [170, 215], 20: [170, 245],
+    35: [230, 212], 12: [230, 230], 45: [230, 248],
+    31: [185, 260], 8: [200, 260], 33: [215, 260],
+    // G
+    1: [200, 287], 7: [185, 300], 13: [215, 300],
+    10: [157, 330], 25: [243, 330],
+    15: [185, 360], 2: [200, 373], 46: [215, 360],
+    // Ego
+    21: [274, 359], 51: [260, 377], 26: [258, 393], 40: [288, 393],
+    // Spleen
+    48: [49, 406], 57: [67, 418], 44: [85, 430], 50: [96, 444],
+    32: [78, 455], 28: [62, 465], 18: [46, 476],
+    // Solar Plexus
+    36: [351, 406], 22: [333, 418], 37: [315, 430], 6: [304, 444],
+    49: [322, 455], 55: [338, 465], 30: [354, 476],
+    // Sacral
+    5: [183, 420], 14: [200, 420], 29: [217, 420],
+    34: [170, 432], 27: [170, 462], 59: [230, 462],
+    42: [183, 480], 3: [200, 480], 9: [217, 480],
+    // Root
+    53: [183, 520], 60: [200, 520], 52: [217, 520],
+    54: [170, 532], 38: [170, 550], 58: [170, 568],
+    19: [230, 532], 39: [230, 550], 41: [230, 568]
+};
+
+// Bends for channels whose straight line would cross a center,
+// keyed like CHANNEL_NAMES
+const CHANNEL_WAYPOINTS = {
+    '20-34': [[140, 340]]
+};
+
+module.exports = {
+    CENTER_SHAPES,
+    GATE_POSITIONS,
+    CHANNEL_WAYPOINTS
+};
@@ -0,0 +1,256 @@
+/**
+ * Countries of the bundled gazetteer, in the style of the GeoNames country
+ * info: ISO 3166-1 alpha-2 and alpha-3 codes, the name used by
+ * JovianArchive's country field, and other names clients commonly send.
+ */
+
+const COUNTRIES = [
+    { code: 'AF', iso3: 'AFG', name: 'Afghanistan', aliases: [] },
+    { code: 'AX', iso3: 'ALA', name: 'Aland Islands', aliases: [] },
+    { code: 'AL', iso3: 'ALB', name: 'Albania', aliases: [] },
+    { code: 'DZ', iso3: 'DZA', name: 'Algeria', aliases: [] },
+    { code: 'AS', iso3: 'ASM', name: 'American Samoa', aliases: [] },
+    { code: 'AD', iso3: 'AND', name: 'Andorra', aliases: [] },
+    { code: 'AO', iso3: 'AGO', name: 'Angola', aliases: [] },
+    { code: 'AI', iso3: 'AIA', name: 'Anguilla', aliases: [] },
+    { code: 'AG', iso3: 'ATG', name: 'Antigua and Barbuda', aliases: [] },
+    { code: 'AR', iso3: 'ARG', name: 'Argentina', aliases: [] },
+    { code: 'AM', iso3: 'ARM', name: 'Armenia', aliases: [] },
+    { code: 'AW', iso3: 'ABW', name: 'Aruba', aliases: [] },
+    { code: 'AU', iso3: 'AUS', name: 'Australia', aliases: [] },
+    { code: 'AT', iso3: 'AUT', name: 'Austria', aliases: ['Osterreich'] },
+    { code: 'AZ', iso3: 'AZE', name: 'Azerbaijan', aliases: [] },
+    { code: 'BS', iso3: 'BHS', name: 'Bahamas', aliases: [] },
+    { code: 'BH', iso3: 'BHR', name: 'Bahrain', aliases: [] },
+    { code: 'BD', iso3: 'BGD', name: 'Bangladesh', aliases: [] },
+    { code: 'BB', iso3: 'BRB', name: 'Barbados', aliases: [] },
+    { code: 'BY', iso3: 'BLR', name: 'Belarus', aliases: [] },
+    { code: 'BE', iso3: 'BEL', name: 'Belgium', aliases: ['Belgique', 'Belgie'] },
+    { code: 'BZ', iso3: 'BLZ', name: 'Belize', aliases: [] },
+    { code: 'BJ', iso3: 'BEN', name: 'Benin', aliases: [] },
+    { code: 'BM', iso3: 'BMU', name: 'Bermuda', aliases: [] },
+    { code: 'BT', iso3: 'BTN', name: 'Bhutan', aliases: [] },
+    { code: 'BO', iso3: 'BOL', name: 'Bolivia', aliases: [] },
+    { code: 'BQ', iso3: 'BES', name: 'Bonaire, Saint Eustatius and Saba', aliases: [] },
+    { code: 'BA', iso3: 'BIH', name: 'Bosnia and Herzegovina', aliases: ['Bosnia'] },
+    { code: 'BW', iso3: 'BWA', name: 'Botswana', aliases: [] },
+    { code: 'BR', iso3: 'BRA', name: 'Brazil', aliases: ['Brasil'] },
+    { code: 'VG', iso3: 'VGB', name: 'British Virgin Islands', aliases: [] },
+    { code: 'BN', iso3: 'BRN', name: 'Brunei', aliases: [] },
+    { code: 'BG', iso3: 'BGR', name: 'Bulgaria', aliases: [] },
+    { code: 'BF', iso3: 'BFA', name: 'Burkina Faso', aliases: [] },
+    { code: 'BI', iso3: 'BDI', name: 'Burundi', aliases: [] },
+    { code: 'KH', iso3: 'KHM', name: 'Cambodia', aliases: [] },
+    { code: 'CM', iso3: 'CMR', name: 'Cameroon', aliases: [] },
+    { code: 'CA', iso3: 'CAN', name: 'Canada', aliases: [] },
+    { code: 'CV', iso3: 'CPV', name: 'Cape Verde', aliases: ['Cabo Verde'] },
+    { code: 'KY', iso3: 'CYM', name: 'Cayman Islands', aliases: [] },
+    { code: 'CF', iso3: 'CAF', name: 'Central African Republic', aliases: [] },
+    { code: 'TD', iso3: 'TCD', name: 'Chad', aliases: [] },
+    { code: 'CL', iso3: 'CHL', name: 'Chile', aliases: [] },
+    { code: 'CN', iso3: 'CHN', name: 'China', aliases: ['PRC', "People's Republic of China"] },
+    { code: 'CX', iso3: 'CXR', name: 'Christmas Island', aliases: [] },
+    { code: 'CC', iso3: 'CCK', name: 'Cocos Islands', aliases: [] },
+    { code: 'CO', iso3: 'COL', name: 'Colombia', aliases: [] },
+    { code: 'KM', iso3: 'COM', name: 'Comoros', aliases: [] },
+    { code: 'CK', iso3: 'COK', name: 'Cook Islands', aliases: [] },
+    { code: 'CR', iso3: 'CRI', name: 'Costa Rica', aliases: [] },
+    { code: 'HR', iso3: 'HRV', name: 'Croatia', aliases: ['Hrvatska'] },
+    { code: 'CU', iso3: 'CUB', name: 'Cuba', aliases: [] },
+    { code: 'CW', iso3: 'CUW', name: 'Curacao', aliases: [] },
+    { code: 'CY', iso3: 'CYP', name: 'Cyprus', aliases: [] },
+    { code: 'CZ', iso3: 'CZE', name: 'Czechia', aliases: ['Czech Republic'] },
+    { code: 'CD', iso3: 'COD', name: 'Democratic Republic of the Congo', aliases: ['DR Congo', 'DRC', 'Congo-Kinshasa'] },
+    { code: 'DK', iso3: 'DNK', name: 'Denmark', aliases: ['Danmark'] },
+    { code: 'DJ', iso3: 'DJI', name: 'Djibouti', aliases: [] },
+    { code: 'DM', iso3: 'DMA', name: 'Dominica', aliases: [] },
+    { code: 'DO', iso3: 'DOM', name: 'Dominican Republic', aliases: [] },
+    { code: 'TL', iso3: 'TLS', name: 'East Timor', aliases: ['Timor-Leste'] },
+    { code: 'EC', iso3: 'ECU', name: 'Ecuador', aliases: [] },
+    { code: 'EG', iso3: 'EGY', name: 'Egypt', aliases: [] },
+    { code: 'SV', iso3: 'SLV', name: 'El Salvador', aliases: [] },
+    { code: 'GQ', iso3: 'GNQ', name: 'Equatorial Guinea', aliases: [] },
+    { code: 'ER', iso3: 'ERI', name: 'Eritrea', aliases: [] },
+    { code: 'EE', iso3: 'EST', name: 'Estonia', aliases: [] },
+    { code: 'ET', iso3: 'ETH', name: 'Ethiopia', aliases: [] },
+    { code: 'FK', iso3: 'FLK', name: 'Falkland Islands', aliases: [] },
+    { code: 'FO', iso3: 'FRO', name: 'Faroe Islands', aliases: [] },
+    { code: 'FJ', iso3: 'FJI', name: 'Fiji', aliases: [] },
+    { code: 'FI', iso3: 'FIN', name: 'Finland', aliases: ['Suomi'] },
+    { code: 'FR', iso3: 'FRA', name: 'France', aliases: [] },
+    { code: 'GF', iso3: 'GUF', name: 'French Guiana', aliases: [] },
+    { code: 'PF', iso3: 'PYF', name: 'French Polynesia', aliases: [] },
+    { code: 'TF', iso3: 'ATF', name: 'French Southern Territories', aliases: [] },
+    { code: 'GA', iso3: 'GAB', name: 'Gabon', aliases: [] },
+    { code: 'GM', iso3: 'GMB', name: 'Gambia', aliases: [] },
+    { code: 'GE', iso3: 'GEO', name: 'Georgia', aliases: [] },
+    { code: 'DE', iso3: 'DEU', name: 'Germany', aliases: ['Deutschland'] },
+    { code: 'GH', iso3: 'GHA', name: 'Ghana', aliases: [] },
+    { code: 'GI', iso3: 'GIB', name: 'Gibraltar', aliases: [] },
+    { code: 'GR', iso3: 'GRC', name: 'Greece', aliases: ['Hellas'] },
+    { code: 'GL', iso3: 'GRL', name: 'Greenland', aliases: [] },
+    { code: 'GD', iso3: 'GRD', name: 'Grenada', aliases: [] },
+    { code: 'GP', iso3: 'GLP', name: 'Guadeloupe', aliases: [] },
+    { code: 'GU', iso3: 'GUM', name: 'Guam', aliases: [] },
+    { code: 'GT', iso3: 'GTM', name: 'Guatemala', aliases: [] },
+    { code: 'GG', iso3: 'GGY', name: 'Guernsey', aliases: [] },
+    { code: 'GN', iso3: 'GIN', name: 'Guinea', aliases: [] },
+    { code: 'GW', iso3: 'GNB', name: 'Guinea-Bissau', aliases: [] },
+    { code: 'GY', iso3: 'GUY', name: 'Guyana', aliases: [] },
+    { code: 'HT', iso3: 'HTI', name: 'Haiti', aliases: [] },
+    { code: 'HN', iso3: 'HND', name: 'Honduras', aliases: [] },
+    { code: 'HK', iso3: 'HKG', name: 'Hong Kong', aliases: [] },
+    { code: 'HU', iso3: 'HUN', name: 'Hungary', aliases: ['Magyarorszag'] },
+    { code: 'IS', iso3: 'ISL', name: 'Iceland', aliases: [] },
+    { code: 'IN', iso3: 'IND', name: 'India', aliases: ['Bharat'] },
+    { code: 'ID', iso3: 'IDN', name: 'Indonesia', aliases: [] },
+    { code: 'IR', iso3: 'IRN', name: 'Iran', aliases: ['Persia'] },
+    { code: 'IQ', iso3: 'IRQ', name: 'Iraq', aliases: [] },
+    { code: 'IE', iso3: 'IRL', name: 'Ireland', aliases: ['Eire'] },
+    { code: 'IM', iso3: 'IMN', name: 'Isle of Man', aliases: [] },
+    { code: 'IL', iso3: 'ISR', name: 'Israel', aliases: [] },
+    { code: 'IT', iso3: 'ITA', name: 'Italy', aliases: ['Italia'] },
+    { code: 'CI', iso3: 'CIV', name: 'Ivory Coast', aliases: ["Cote d'Ivoire"] },
+    { code: 'JM', iso3: 'JAM', name: 'Jamaica', aliases: [] },
+    { code: 'JP', iso3: 'JPN', name: 'Japan', aliases: ['Nippon'] },
+    { code: 'JE', iso3: 'JEY', name: 'Jersey', aliases: [] },
+    { code: 'JO', iso3: 'JOR', name: 'Jordan', aliases: [] },
+    { code: 'KZ', iso3: 'KAZ', name: 'Kazakhstan', aliases: [] },
+    { code: 'KE', iso3: 'KEN', name: 'Kenya', aliases: [] },
+    { code: 'KI', iso3: 'KIR', name: 'Kiribati', aliases: [] },
+    { code: 'XK', iso3: 'XKX', name: 'Kosovo', aliases: [] },
+    { code: 'KW', iso3: 'KWT', name: 'Kuwait', aliases: [] },
+    { code: 'KG', iso3: 'KGZ', name: 'Kyrgyzstan', aliases: [] },
+    { code: 'LA', iso3: 'LAO', name: 'Laos', aliases: [] },
+    { code: 'LV', iso3: 'LVA', name: 'Latvia', aliases: [] },
+    { code: 'LB', iso3: 'LBN', name: 'Lebanon', aliases: [] },
+    { code: 'LS', iso3: 'LSO', name: 'Lesotho', aliases: [] },
+    { code: 'LR', iso3: 'LBR', name: 'Liberia', aliases: [] },
+    { code: 'LY', iso3: 'LBY', name: 'Libya', aliases: [] },
+    { code: 'LI', iso3: 'LIE', name: 'Liechtenstein', aliases: [] },
+    { code: 'LT', iso3: 'LTU', name: 'Lithuania', aliases: [] },
+    { code: 'LU', iso3: 'LUX', name: 'Luxembourg', aliases: [] },
+    { code: 'MO', iso3: 'MAC', name: 'Macao', aliases: ['Macau'] },
+    { code: 'MG', iso3: 'MDG', name: 'Madagascar', aliases: [] },
+    { code: 'MW', iso3: 'MWI', name: 'Malawi', aliases: [] },
+    { code: 'MY', iso3: 'MYS', name: 'Malaysia', aliases: [] },
+    { code: 'MV', iso3: 'MDV', name: 'Maldives', aliases: [] },
+    { code: 'ML', iso3: 'MLI', name: 'Mali', aliases: [] },
+    { code: 'MT', iso3: 'MLT', name: 'Malta', aliases: [] },
+    { code: 'MH', iso3: 'MHL', name: 'Marshall Islands', aliases: [] },
+    { code: 'MQ', iso3: 'MTQ', name: 'Martinique', aliases: [] },
+    { code: 'MR', iso3: 'MRT', name: 'Mauritania', aliases: [] },
+    { code: 'MU', iso3: 'MUS', name: 'Mauritius', aliases: [] },
+    { code: 'YT', iso3: 'MYT', name: 'Mayotte', aliases: [] },
+    { code: 'MX', iso3: 'MEX', name: 'Mexico', aliases: [] },
+    { code: 'FM', iso3: 'FSM', name: 'Micronesia', aliases: [] },
+    { code: 'MD', iso3: 'MDA', name: 'Moldova', aliases: [] },
+    { code: 'MC', iso3: 'MCO', name: 'Monaco', aliases: [] },
+    { code: 'MN', iso3: 'MNG', name: 'Mongolia', aliases: [] },
+    { code: 'ME', iso3: 'MNE', name: 'Montenegro', aliases: [] },
+    { code: 'MS', iso3: 'MSR', name: 'Montserrat', aliases: [] },
+    { code: 'MA', iso3: 'MAR', name: 'Morocco', aliases: [] },
+    { code: 'MZ', iso3: 'MOZ', name: 'Mozambique', aliases: [] },
+    { code: 'MM', iso3: 'MMR', name: 'Myanmar', aliases: ['Burma'] },
+    { code: 'NA', iso3: 'NAM', name: 'Namibia', aliases: [] },
+    { code: 'NR', iso3: 'NRU', name: 'Nauru', aliases: [] },
+    { code: 'NP', iso3: 'NPL', name: 'Nepal', aliases: [] },
+    { code: 'NL', iso3: 'NLD', name: 'Netherlands', aliases: ['Holland', 'The Netherlands'] },
+    { code: 'NC', iso3: 'NCL', name: 'New Caledonia', aliases: [] },
+    { code: 'NZ', iso3: 'NZL', name: 'New Zealand', aliases: [] },
+    { code: 'NI', iso3: 'NIC', name: 'Nicaragua', aliases: [] },
+    { code: 'NE', iso3: 'NER', name: 'Niger', aliases: [] },
+    { code: 'NG', iso3: 'NGA', name: 'Nigeria', aliases: [] },
+    { code: 'NU', iso3: 'NIU', name: 'Niue', aliases: [] },
+    { code: 'NF', iso3: 'NFK', name: 'Norfolk Island', aliases: [] },
+    { code: 'KP', iso3: 'PRK', name: 'North Korea', aliases: [] },
+    { code: 'MK', iso3: 'MKD', name: 'North Macedonia', aliases: ['Macedonia'] },
+    { code: 'MP', iso3: 'MNP', name: 'Northern Mariana Islands', aliases: [] },
+    { code: 'NO', iso3: 'NOR', name: 'Norway', aliases: ['Norge'] },
+    { code: 'OM', iso3: 'OMN', name: 'Oman', aliases: [] },
+    { code: 'PK', iso3: 'PAK', name: 'Pakistan', aliases: [] },
+    { code: 'PW', iso3: 'PLW', name: 'Palau', aliases: [] },
+    { code: 'PS', iso3: 'PSE', name: 'Palestinian Territory', aliases: ['Palestine'] },
+    { code: 'PA', iso3: 'PAN', name: 'Panama', aliases: [] },
+    { code: 'PG', iso3: 'PNG', name: 'Papua New Guinea', aliases: [] },
+    { code: 'PY', iso3: 'PRY', name: 'Paraguay', aliases: [] },
+    { code: 'PE', iso3: 'PER', name: 'Peru', aliases: [] },
+    { code: 'PH', iso3: 'PHL', name: 'Philippines', aliases: [] },
+    { code: 'PN', iso3: 'PCN', name: 'Pitcairn', aliases: [] },
+    { code: 'PL', iso3: 'POL', name: 'Poland', aliases: ['Polska'] },
+    { code: 'PT', iso3: 'PRT', name: 'Portugal', aliases: [] },
+    { code: 'PR', iso3: 'PRI', name: 'Puerto Rico', aliases: [] },
+    { code: 'QA', iso3: 'QAT', name: 'Qatar', aliases: [] },
+    { code: 'CG', iso3: 'COG', name: 'Republic of the Congo', aliases: ['Congo', 'Congo-Brazzaville'] },
+    { code: 'RE', iso3: 'REU', name: 'Reunion', aliases: [] },
+    { code: 'RO', iso3: 'ROU', name: 'Romania', aliases: [] },
+    { code: 'RU', iso3: 'RUS', name: 'Russia', aliases: ['Russian Federation'] },
+    { code: 'RW', iso3: 'RWA', name: 'Rwanda', aliases: [] },
+    { code: 'BL', iso3: 'BLM', name: 'Saint Barthelemy', aliases: [] },
+    { code: 'SH', iso3: 'SHN', name: 'Saint Helena', aliases: [] },
+    { code: 'KN', iso3: 'KNA', name: 'Saint Kitts and Nevis', aliases: [] },
+    { code: 'LC', iso3: 'LCA', name: 'Saint Lucia', aliases: [] },
+    { code: 'MF', iso3: 'MAF', name: 'Saint Martin', aliases: [] },
+    { code: 'PM', iso3: 'SPM', name: 'Saint Pierre and Miquelon', aliases: [] },
+    { code: 'VC', iso3: 'VCT', name: 'Saint Vincent and the Grenadines', aliases: [] },
+    { code: 'WS', iso3: 'WSM', name: 'Samoa', aliases: [] },
+    { code: 'SM', iso3: 'SMR', name: 'San Marino', aliases: [] },
+    { code: 'ST', iso3: 'STP', name: 'Sao Tome and Principe', aliases: [] },
+    { code: 'SA', iso3: 'SAU', name: 'Saudi Arabia', aliases: ['KSA'] },
+    { code: 'SN', iso3: 'SEN', name: 'Senegal', aliases: [] },
+    { code: 'RS', iso3: 'SRB', name: 'Serbia', aliases: [] },
+    { code: 'SC', iso3: 'SYC', name: 'Seychelles', aliases: [] },
+    { code: 'SL', iso3: 'SLE', name: 'Sierra Leone', aliases: [] },
+    { code: 'SG', iso3: 'SGP', name: 'Singapore', aliases: [] },
+    { code: 'SX', iso3: 'SXM', name: 'Sint Maarten', aliases: [] },
+    { code: 'SK', iso3: 'SVK', name: 'Slovakia', aliases: [] },
+    { code: 'SI', iso3: 'SVN', name: 'Slovenia', aliases: [] },
+    { code: 'SB', iso3: 'SLB', name: 'Solomon Islands', aliases: [] },
+    { code: 'SO', iso3: 'SOM', name: 'Somalia', aliases: [] },
+    { code: 'ZA', iso3: 'ZAF', name: 'South Africa', aliases: [] },
+    { code: 'GS', iso3: 'SGS', name: 'South Georgia and the South Sandwich Islands', aliases: [] },
+    { code: 'KR', iso3: 'KOR', name: 'South Korea', aliases: ['Korea', 'Republic of Korea'] },
+    { code: 'SS', iso3: 'SSD', name: 'South Sudan', aliases: [] },
+    { code: 'ES', iso3: 'ESP', name: 'Spain', aliases: ['Espana'] },
+    { code: 'LK', iso3: 'LKA', name: 'Sri Lanka', aliases: ['Ceylon'] },
+    { code: 'SD', iso3: 'SDN', name: 'Sudan', aliases: [] },
+    { code: 'SR', iso3: 'SUR', name: 'Suriname', aliases: [] },
+    { code: 'SJ', iso3: 'SJM', name: 'Svalbard and Jan Mayen', aliases: [] },
+    { code: 'SZ', iso3: 'SWZ', name: 'Swaziland', aliases: ['Eswatini'] },
+    { code: 'SE', iso3: 'SWE', name: 'Sweden', aliases: ['Sverige'] },
+    { code: 'CH', iso3: 'CHE', name: 'Switzerland', aliases: ['Schweiz', 'Suisse'] },
+    { code: 'SY', iso3: 'SYR', name: 'Syria', aliases: [] },
+    { code: 'TW', iso3: 'TWN', name: 'Taiwan', aliases: [] },
+    { code: 'TJ', iso3: 'TJK', name: 'Tajikistan', aliases: [] },
+    { code: 'TZ', iso3: 'TZA', name: 'Tanzania', aliases: [] },
+    { code: 'TH', iso3: 'THA', name: 'Thailand', aliases: [] },
+    { code: 'TG', iso3: 'TGO', name: 'Togo', aliases: [] },
+    { code: 'TO', iso3: 'TON', name: 'Tonga', aliases: [] },
+    { code: 'TT', iso3: 'TTO', name: 'Trinidad and Tobago', aliases: [] },
+    { code: 'TN', iso3: 'TUN', name: 'Tunisia', aliases: [] },
+    { code: 'TR', iso3: 'TUR', name: 'Turkey', aliases: ['Turkiye'] },
+    { code: 'TM', iso3: 'TKM', name: 'Turkmenistan', aliases: [] },
+    { code: 'TC', iso3: 'TCA', name: 'Turks and Caicos Islands', aliases: [] },
+    { code: 'TV', iso3: 'TUV', name: 'Tuvalu', aliases: [] },
+    { code: 'VI', iso3: 'VIR', name: 'U.S. Virgin Islands', aliases: [] },
+    { code: 'UG', iso3: 'UGA', name: 'Uganda', aliases: [] },
+    { code: 'UA', iso3: 'UKR', name: 'Ukraine', aliases: [] },
+    { code: 'AE', iso3: 'ARE', name: 'United Arab Emirates', aliases: ['UAE', 'Emirates'] },
+    { code: 'GB', iso3: 'GBR', name: 'United Kingdom', aliases: ['UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'] },
+    { code: 'US', iso3: 'USA', name: 'United States', aliases: ['United States of America', 'America', 'US of A'] },
+    { code: 'UY', iso3: 'URY', name: 'Uruguay', aliases: [] },
+    { code: 'UZ', iso3: 'UZB', name: 'Uzbekistan', aliases: [] },
+    { code: 'VU', iso3: 'VUT', name: 'Vanuatu', aliases: [] },
+    { code: 'VA', iso3: 'VAT', name: 'Vatican', aliases: ['Holy See', 'Vatican City'] },
+    { code: 'VE', iso3: 'VEN', name: 'Venezuela', aliases: [] },
+    { code: 'VN', iso3: 'VNM', name: 'Vietnam', aliases: ['Viet Nam'] },
+    { code: 'WF', iso3: 'WLF', name: 'Wallis and Futuna', aliases: [] },
+    { code: 'EH', iso3: 'ESH', name: 'Western Sahara', aliases: [] },
+    { code: 'YE', iso3: 'YEM', name: 'Yemen', aliases: [] },
+    { code: 'ZM', iso3: 'ZMB', name: 'Zambia', aliases: [] },
+    { code: 'ZW', iso3: 'ZWE', name: 'Zimbabwe', aliases: [] }
+];
+
+module.exports = {
+    COUNTRIES
+};
@@ -0,0 +1,97 @@
+/**
+ * Short descriptions of the centers (what each governs, and how it works
+ * when defined or open) and the keynotes of the 36 channels, for reports.
+ */
+
+const CENTER_DESCRIPTIONS = {
+    head: {
+        theme: 'Inspiration and mental pressure',
+        defined: 'A consistent way of being inspired, and a steady pressure to make sense of particular questions.',
+        open: 'Takes in and amplifies the inspiration of others. The not-self trap is trying to answer questions that do not matter.'
+    },
+    ajna: {
+        theme: 'Conceptualisation and opinions',
+        defined: 'A fixed, reliable way of processing information and forming concepts.',
+        open: 'Flexible thinking that can see many points of view. The not-self trap is pretending to be certain.'
+    },
+    throat: {
+        theme: 'Communication and manifestation',
+        defined: 'A consistent voice and way of expressing and acting.',
+        open: 'Adapts its expression to others. The not-self trap is speaking to attract attention.'
+    },
+    g: {
+        theme: 'Identity, love and direction',
+        defined: 'A fixed sense of self and of direction in life.',
+        open: 'Discovers identity and direction through the places and people around it. The not-self trap is searching for love and direction.'
+    },
+    ego: {
+        theme: 'Willpower and self-worth',
+        defined: 'Consistent willpower and the ability to make and keep promises.',
+        open: 'Nothing to prove. The not-self trap is trying to prove its worth.'
+    },
+    sacral: {
+        theme: 'Life force and work energy',
+        defined: 'Sustainable energy for work, available in response to life.',
+        open: 'Not designed for sustained work; wisdom lies in knowing when enough is enough.'
+    },
+    solar_plexus: {
+        theme: 'Emotions and feelings',
+        defined: 'Lives on an emotional wave; clarity comes over time, not in the moment.',
+        open: 'Takes in and amplifies the emotions of others. The not-self trap is avoiding confrontation and truth.'
+    },
+    spleen: {
+        theme: 'Intuition, health and survival',
+        defined: 'A consistent, in-the-moment intuition and a sense of well-being.',
+        open: 'Sensitive to health and to others\' well-being. The not-self trap is holding on to what is not good for it.'
+    },
+    root: {
+        theme: 'Adrenaline and pressure',
+        defined: 'A consistent way of handling the pressure to get things done.',
+        open: 'Amplifies pressure from others. The not-self trap is hurrying to be free of it.'
+    }
+};
+
+// Keynotes keyed like CHANNEL_NAMES
+const CHANNEL_DESCRIPTIONS = {
+    '1-8': 'A design of being a creative role model',
+    '2-14': 'A design of being a keeper of keys',
+    '3-60': 'A design of energy which fluctuates and initiates',
+    '4-63': 'A design of mental ease mixed with doubt',
+    '5-15': 'A design of being in the flow',
+    '6-59': 'A design focused on reproduction and intimacy',
+    '7-31': 'A design of leadership',
+    '9-52': 'A design of determination',
+    '10-20': 'A design of commitment to higher principles',
+    '10-34': 'A design of following one\'s convictions',
+    '10-57': 'A design of survival',
+    '11-56': 'A design of searching',
+    '12-22': 'A design of a social being',
+    '13-33': 'A design of a witness',
+    '16-48': 'A design of talent',
+    '17-62': 'A design of an organisational being',
+    '18-58': 'A design of insatiability',
+    '19-49': 'A design of being sensitive',
+    '20-34': 'A design where thoughts must become deeds',
+    '20-57': 'A design of penetrating awareness',
+    '21-45': 'A design of a materialist',
+    '23-43': 'A design of individuality',
+    '24-61': 'A design of a thinker',
+    '25-51': 'A design of needing to be first',
+    '26-44': 'A design of a transmitter',
+    '27-50': 'A design of custodianship',
+    '28-38': 'A design of stubbornness',
+    '29-46': 'A design of succeeding where others fail',
+    '30-41': 'A design of focused energy',
+    '32-54': 'A design of being driven',
+    '34-57': 'A design of an archetype',
+    '35-36': 'A design of a jack of all trades',
+    '37-40': 'A design of being a part seeking a whole',
+    '39-55': 'A design of moodiness',
+    '42-53': 'A design of balanced development',
+    '47-64': 'A design of mental activity mixed with clarity'
+};
+
+module.exports = {
+    CENTER_DESCRIPTIONS,
+    CHANNEL_DESCRIPTIONS
+};
@@ -0,0 +1,91 @@
+/**
+ * Names used to build the incarnation cross catalogue. Right Angle crosses
+ * share a name across the four gates of the cross, Left Angle crosses
+ * across the personality Sun/Earth pair, Juxtaposition crosses are named
+ * after the personality Sun gate.
+ */
+
+const QUARTERS = ['Initiation', 'Civilization', 'Duality', 'Mutation'];
+
+// Name -> the four gates of the cross
+const RIGHT_ANGLE_NAMES = {
+    'the Sphinx': [1, 2, 7, 13],
+    'the Vessel of Love': [10, 15, 25, 46],
+    'the Four Ways': [19, 24, 33, 44],
+    'Eden': [6, 11, 12, 36],
+    'Explanation': [4, 23, 43, 49],
+    'Laws': [3, 50, 56, 60],
+    'Maya': [32, 42, 61, 62],
+    'Penetration': [51, 53, 54, 57],
+    'Planning': [9, 16, 37, 40],
+    'Rulership': [22, 26, 45, 47],
+    'Service': [17, 18, 52, 58],
+    'the Sleeping Phoenix': [20, 34, 55, 59],
+    'Tension': [21, 38, 39, 48],
+    'the Unexpected': [27, 28, 31, 41],
+    'Consciousness': [5, 35, 63, 64],
+    'Contagion': [8, 14, 29, 30]
+};
+
+// Name -> personality Sun/Earth gate pair
+const LEFT_ANGLE_NAMES = {
+    'the Alpha': [31, 41],
+    'Refinement': [33, 19],
+    'Masks': [13, 7],
+    'Revolution': [49, 4],
+    'Industry': [30, 29],
+    'Spirit': [55, 59],
+    'Migration': [37, 40],
+    'Dominion': [63, 64],
+    'Informing': [22, 47],
+    'the Plane': [36, 6],
+    'Healing': [25, 46],
+    'Upheaval': [17, 18],
+    'Endeavor': [21, 48],
+    'the Clarion': [51, 57],
+    'Limitation': [42, 32],
+    'Wishes': [3, 50],
+    'Alignment': [27, 28],
+    'Incarnation': [24, 44],
+    'Defiance': [2, 1],
+    'Dedication': [23, 43],
+    'Uncertainty': [8, 14],
+    'Duality': [20, 34],
+    'Identification': [16, 9],
+    'Separation': [35, 5],
+    'Confrontation': [45, 26],
+    'Education': [12, 11],
+    'Prevention': [15, 10],
+    'Demands': [52, 58],
+    'Individualism': [39, 38],
+    'Cycles': [53, 54],
+    'Obscuration': [62, 61],
+    'Distraction': [60, 56]
+};
+
+// Personality Sun gate -> name
+const JUXTAPOSITION_NAMES = {
+    1: 'Self-Expression', 2: 'the Driver', 3: 'Mutation', 4: 'Formulization',
+    5: 'Habits', 6: 'Conflict', 7: 'Interaction', 8: 'Contribution',
+    9: 'Focus', 10: 'Behavior', 11: 'Ideas', 12: 'Articulation',
+    13: 'Listening', 14: 'Empowering', 15: 'Extremes', 16: 'Experimentation',
+    17: 'Opinions', 18: 'Correction', 19: 'Need', 20: 'the Now',
+    21: 'Control', 22: 'Grace', 23: 'Assimilation', 24: 'Rationalization',
+    25: 'Innocence', 26: 'the Trickster', 27: 'Caring', 28: 'Risks',
+    29: 'Commitment', 30: 'Fates', 31: 'Influence', 32: 'Conservation',
+    33: 'Retreat', 34: 'Power', 35: 'Experience', 36: 'Crisis',
+    37: 'Bargains', 38: 'Opposition', 39: 'Provocation', 40: 'Denial',
+    41: 'Fantasy', 42: 'Completion', 43: 'Insight', 44: 'Alertness',
+    45: 'Possession', 46: 'Serendipity', 47: 'Oppression', 48: 'Depth',
+    49: 'Principles', 50: 'Values', 51: 'Shock', 52: 'Stillness',
+    53: 'Beginnings', 54: 'Ambition', 55: 'Moods', 56: 'Stimulation',
+    57: 'Intuition', 58: 'Vitality', 59: 'Strategy', 60: 'Limitation',
+    61: 'Thinking', 62: 'Detail', 63: 'Doubts', 64: 'Confusion'
+};
+
+module.exports = {
+    QUARTERS,
+    RIGHT_ANGLE_NAMES,
+    LEFT_ANGLE_NAMES,
+    JUXTAPOSITION_NAMES
+};
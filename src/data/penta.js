@@ -0,0 +1,34 @@
+/**
+ * The Penta: the twelve gates of the six channels between the G center and
+ * the Throat (upper Penta) and between the G center and the Sacral (lower
+ * Penta), with the function each gate fills in a group of 3-5 people.
+ */
+
+const PENTA_CHANNELS = [
+    { key: '1-8', part: 'upper' },
+    { key: '7-31', part: 'upper' },
+    { key: '13-33', part: 'upper' },
+    { key: '2-14', part: 'lower' },
+    { key: '5-15', part: 'lower' },
+    { key: '29-46', part: 'lower' }
+];
+
+const PENTA_GATES = [
+    { gate: 31, function: 'Leading' },
+    { gate: 8, function: 'Contribution' },
+    { gate: 33, function: 'Reflection' },
+    { gate: 7, function: 'Direction' },
+    { gate: 1, function: 'Creativity' },
+    { gate: 13, function: 'Listening' },
+    { gate: 15, function: 'Flow' },
+    { gate: 2, function: 'Vision' },
+    { gate: 46, function: 'Embodiment' },
+    { gate: 5, function: 'Patterns' },
+    { gate: 14, function: 'Resources' },
+    { gate: 29, function: 'Perseverance' }
+];
+
+module.exports = {
+    PENTA_CHANNELS,
+    PENTA_GATES
+};
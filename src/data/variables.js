@@ -0,0 +1,43 @@
+/**
+ * The four Variables: which activation each is read from and the names of
+ * its six colors.
+ */
+
+const VARIABLES = [
+    {
+        key: 'determination',
+        name: 'Determination',
+        also_known_as: 'Digestion',
+        side: 'design',
+        planet: 'Sun',
+        colors: ['Appetite', 'Taste', 'Thirst', 'Touch', 'Sound', 'Light']
+    },
+    {
+        key: 'environment',
+        name: 'Environment',
+        also_known_as: null,
+        side: 'design',
+        planet: 'North Node',
+        colors: ['Caves', 'Markets', 'Kitchens', 'Mountains', 'Valleys', 'Shores']
+    },
+    {
+        key: 'motivation',
+        name: 'Motivation',
+        also_known_as: null,
+        side: 'personality',
+        planet: 'Sun',
+        colors: ['Fear', 'Hope', 'Desire', 'Need', 'Guilt', 'Innocence']
+    },
+    {
+        key: 'perspective',
+        name: 'Perspective',
+        also_known_as: 'View',
+        side: 'personality',
+        planet: 'North Node',
+        colors: ['Survival', 'Possibility', 'Power', 'Wanting', 'Probability', 'Personal']
+    }
+];
+
+module.exports = {
+    VARIABLES
+};
@@ -0,0 +1,103 @@
+const { validateBirthRecord } = require('../validation');
+
+const record = {
+    name: 'John Doe',
+    city: 'Peshawar',
+    country: 'Pakistan'
+};
+
+describe('validateBirthRecord', () => {
+    describe('birth_datetime', () => {
+        it('keeps the wall clock of an offset datetime when a birth place is given', () => {
+            const { value } = validateBirthRecord({ ...record, birth_datetime: '1990-06-15T14:30:00+05:00' });
+
+            expect(value).toMatchObject({ day: 15, hour: 14, minute: 30, timezone_utc: false, city: 'Peshawar' });
+        });
+
+        it('converts an offset datetime without a birth place to UTC', () => {
+            const { value } = validateBirthRecord({ name: 'John Doe', birth_datetime: '1990-06-15T02:30:00+05:00' });
+
+            expect(value).toMatchObject({ day: 14, hour: 21, minute: 30, timezone_utc: true });
+        });
+
+        it('reports out-of-range parts under birth_datetime whether or not there is an offset', () => {
+            expect(validateBirthRecord({ ...record, birth_datetime: '1990-06-15T14:61:00Z' }).errors)
+                .toEqual({ birth_datetime: ['Minute must be between 0 and 59'] });
+            expect(validateBirthRecord({ ...record, birth_datetime: '1990-06-15T14:61' }).errors)
+                .toEqual({ birth_datetime: ['Minute must be between 0 and 59'] });
+        });
+
+        it('rejects birth_datetime together with the separate fields', () => {
+            expect(validateBirthRecord({ ...record, birth_datetime: '1990-06-15T14:30', hour: 14 }).errors.birth_datetime[0])
+                .toMatch(/Give either birth_datetime or hour/);
+        });
+    });
+
+    describe('calendar dates', () => {
+        const birth = { ...record, day: 15, month: 6, year: 1990, hour: 14, minute: 30 };
+
+        it.each([
+            [{ day: 31, month: 4 }, 'April 1990 has only 30 days'],
+            [{ day: 29, month: 2 }, 'February 1990 has only 28 days'],
+            [{ day: 29, month: 2, year: 1900 }, 'February 1900 has only 28 days']
+        ])('rejects %j', (date, message) => {
+            expect(validateBirthRecord({ ...birth, ...date }).errors).toEqual({ day: [message] });
+        });
+
+        it('accepts 29 February in a leap year', () => {
+            expect(validateBirthRecord({ ...birth, day: 29, month: 2, year: 2000 }).errors).toBeUndefined();
+        });
+
+        it('rejects a date in the future', () => {
+            expect(validateBirthRecord({ ...birth, day: 1, month: 1, year: 2099 }).errors)
+                .toEqual({ day: ['Birth date cannot be in the future'] });
+        });
+
+        it('accepts today', () => {
+            const today = new Date();
+            const date = { day: today.getUTCDate(), month: today.getUTCMonth() + 1, year: today.getUTCFullYear() };
+
+            expect(validateBirthRecord({ ...birth, ...date }).errors).toBeUndefined();
+        });
+
+        it('checks a birth_datetime against the calendar too', () => {
+            expect(validateBirthRecord({ ...record, birth_datetime: '1990-02-30T14:30' }).errors)
+                .toEqual({ birth_datetime: ['February 1990 has only 28 days'] });
+        });
+    });
+
+    describe('dependent fields', () => {
+        const birth = { name: 'John Doe', day: 15, month: 6, year: 1990, hour: 14, minute: 30 };
+
+        it('requires hour and minute unless time_unknown', () => {
+            expect(validateBirthRecord({ ...birth, ...record, hour: undefined }).errors)
+                .toEqual({ hour: ['Hour is required unless time_unknown is true'] });
+            expect(validateBirthRecord({ ...birth, ...record, hour: undefined, minute: undefined, time_unknown: 'true' }).errors)
+                .toBeUndefined();
+        });
+
+        it('requires city and country for a local birth time', () => {
+            expect(Object.keys(validateBirthRecord(birth).errors)).toEqual(['country', 'city']);
+        });
+
+        it.each([
+            ['a UTC birth time', { timezone_utc: 'true' }],
+            ['a location_id', { location_id: 'pk-khyber-pakhtunkhwa-peshawar' }],
+            ['coordinates', { latitude: 34, longitude: 71.5, utc_offset: '+05:00' }]
+        ])('needs no city or country with %s', (label, place) => {
+            expect(validateBirthRecord({ ...birth, ...place }).errors).toBeUndefined();
+        });
+
+        it('requires longitude and a time zone with latitude', () => {
+            expect(validateBirthRecord({ ...birth, latitude: 34 }).errors).toEqual({
+                longitude: ['Latitude and longitude must be given together'],
+                timezone: ['Timezone or utc_offset is required with latitude and longitude']
+            });
+        });
+
+        it('rejects both a time zone and a UTC offset', () => {
+            expect(validateBirthRecord({ ...birth, latitude: 34, longitude: 71.5, timezone: 'Asia/Karachi', utc_offset: '+05:00' }).errors)
+                .toEqual({ timezone: ['Give either timezone or utc_offset, not both'] });
+        });
+    });
+});
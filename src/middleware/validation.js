@@ -1,110 +1,374 @@
 const Joi = require('joi');
+const { DST_CHOICES, isValidTimeZone, parseOffset } = require('../utils/timezone');
+const { MAX_SENSITIVITY_MINUTES } = require('../utils/birthTimeScan');
+const { parseBirthDatetime } = require('../utils/birthDatetime');
+const { PLANET_NAMES, chartGates } = require('../utils/mechanics');
+
+// Fields birth_datetime is parsed into
+const DATETIME_FIELDS = ['day', 'month', 'year', 'hour', 'minute', 'second'];
+
+// Fields that give a birth place
+const PLACE_FIELDS = ['location_id', 'city', 'country', 'latitude'];
+
+// Latest UTC offset in use (Kiribati, UTC+14): a birth date is in the
+// future only once it has not started anywhere on Earth
+const LATEST_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+// Response formats of the chart generation endpoints
+const CHART_FORMATS = ['json', 'svg', 'pdf'];
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Check the day against the month and year it belongs to: the date must
+ * exist in the calendar (no 31 April or 29 February 1990) and must not be
+ * in the future. Month and year are checked by their own rules.
+ */
+const checkCalendarDate = (day, helpers) => {
+    const { month, year } = helpers.state.ancestors[0];
+    const monthNumber = Number(month);
+    const yearNumber = Number(year);
+    if (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12 || !Number.isInteger(yearNumber)) {
+        return day;
+    }
+
+    const daysInMonth = new Date(Date.UTC(yearNumber, monthNumber, 0)).getUTCDate();
+    if (day > daysInMonth) {
+        return helpers.error('date.calendar', { monthName: MONTH_NAMES[monthNumber - 1], year: yearNumber, daysInMonth });
+    }
+
+    if (Date.UTC(yearNumber, monthNumber - 1, day) > Date.now() + LATEST_OFFSET_MS) {
+        return helpers.error('date.future');
+    }
+
+    return day;
+};
+
+// City and country are needed to convert a local time, unless the place is
+// given as location_id or coordinates, or the time is already UTC
+const placeField = () => Joi.string().max(255).when('location_id', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.when('latitude', {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.when('timezone_utc', { is: Joi.boolean().valid(true).required(), then: Joi.optional(), otherwise: Joi.required() })
+    })
+});
 
 // Birth data validation schema
 const birthDataSchema = Joi.object({
-    name: Joi.string().required().max(255).messages({
+    name: Joi.string().required().max(255).description('Full name of the person').example('John Smith').messages({
         'string.empty': 'Name is required',
-        'string.max': 'Name must not exceed 255 characters'
+        'string.max': 'Name must not exceed 255 characters',
+        'any.required': 'Name is required'
     }),
-    day: Joi.number().integer().min(1).max(31).required().messages({
+    email: Joi.string().email().max(255).description('Email address passed to providers that ask for one').messages({
+        'string.email': 'Email must be a valid email address',
+        'string.max': 'Email must not exceed 255 characters'
+    }),
+    day: Joi.number().integer().min(1).max(31).required().custom(checkCalendarDate).description('Birth day of the month').example(15).messages({
         'number.base': 'Day must be a number',
         'number.integer': 'Day must be an integer',
         'number.min': 'Day must be between 1 and 31',
         'number.max': 'Day must be between 1 and 31',
-        'any.required': 'Day is required'
+        'any.required': 'Day is required',
+        'date.calendar': '{#monthName} {#year} has only {#daysInMonth} days',
+        'date.future': 'Birth date cannot be in the future'
     }),
-    month: Joi.number().integer().min(1).max(12).required().messages({
+    month: Joi.number().integer().min(1).max(12).required().description('Birth month (1-12)').example(6).messages({
         'number.base': 'Month must be a number',
         'number.integer': 'Month must be an integer',
         'number.min': 'Month must be between 1 and 12',
         'number.max': 'Month must be between 1 and 12',
         'any.required': 'Month is required'
     }),
-    year: Joi.number().integer().min(1900).max(2100).required().messages({
+    year: Joi.number().integer().min(1900).max(2100).required().description('Birth year; the date must exist and not be in the future').example(1990).messages({
         'number.base': 'Year must be a number',
         'number.integer': 'Year must be an integer',
         'number.min': 'Year must be between 1900 and 2100',
         'number.max': 'Year must be between 1900 and 2100',
         'any.required': 'Year is required'
     }),
-    hour: Joi.number().integer().min(0).max(23).required().messages({
+    hour: Joi.number().integer().min(0).max(23).when('time_unknown', {
+        is: true,
+        then: Joi.optional(),
+        otherwise: Joi.required()
+    }).description('Birth hour (0-23); required unless time_unknown').example(14).messages({
         'number.base': 'Hour must be a number',
         'number.integer': 'Hour must be an integer',
         'number.min': 'Hour must be between 0 and 23',
         'number.max': 'Hour must be between 0 and 23',
-        'any.required': 'Hour is required'
+        'any.required': 'Hour is required unless time_unknown is true'
     }),
-    minute: Joi.number().integer().min(0).max(59).required().messages({
+    minute: Joi.number().integer().min(0).max(59).when('time_unknown', {
+        is: true,
+        then: Joi.optional(),
+        otherwise: Joi.required()
+    }).description('Birth minute (0-59); required unless time_unknown').example(30).messages({
         'number.base': 'Minute must be a number',
         'number.integer': 'Minute must be an integer',
         'number.min': 'Minute must be between 0 and 59',
         'number.max': 'Minute must be between 0 and 59',
-        'any.required': 'Minute is required'
+        'any.required': 'Minute is required unless time_unknown is true'
+    }),
+    second: Joi.number().integer().min(0).max(59).description('Birth second (0-59)').messages({
+        'number.base': 'Second must be a number',
+        'number.integer': 'Second must be an integer',
+        'number.min': 'Second must be between 0 and 59',
+        'number.max': 'Second must be between 0 and 59'
+    }),
+    birth_datetime: Joi.string().max(100).description('Birth date and time in one field instead of day to second: ISO 8601 (with or without an offset, which must match the time zone of the birth place) or a form such as "June 15 1990 2:30pm"; ambiguous numeric dates such as 03/04/1990 are rejected').messages({
+        'string.max': 'Birth datetime must not exceed 100 characters'
     }),
-    country: Joi.string().required().max(255).messages({
+    country: placeField().description('Birth country name, alias or ISO code; required for a local birth time unless location_id or coordinates are given').example('Pakistan').messages({
         'string.empty': 'Country is required',
-        'string.max': 'Country must not exceed 255 characters'
+        'string.max': 'Country must not exceed 255 characters',
+        'any.required': 'Country is required for a local birth time unless location_id or latitude and longitude are given'
     }),
-    city: Joi.string().required().max(255).messages({
+    city: placeField().description('Birth city, optionally with its region after a comma; required for a local birth time unless location_id or coordinates are given').example('Peshawar').messages({
         'string.empty': 'City is required',
-        'string.max': 'City must not exceed 255 characters'
+        'string.max': 'City must not exceed 255 characters',
+        'any.required': 'City is required for a local birth time unless location_id or latitude and longitude are given'
+    }),
+    location_id: Joi.string().max(255).description('Gazetteer id of the birth place from /locations/search, instead of city and country').messages({
+        'string.max': 'Location ID must not exceed 255 characters'
+    }),
+    latitude: Joi.number().min(-90).max(90).description('Latitude of a birth place given as coordinates; needs longitude and timezone or utc_offset').messages({
+        'number.base': 'Latitude must be a number',
+        'number.min': 'Latitude must be between -90 and 90',
+        'number.max': 'Latitude must be between -90 and 90'
     }),
-    timezone_utc: Joi.boolean().default(false).messages({
+    longitude: Joi.number().min(-180).max(180).description('Longitude of a birth place given as coordinates').messages({
+        'number.base': 'Longitude must be a number',
+        'number.min': 'Longitude must be between -180 and 180',
+        'number.max': 'Longitude must be between -180 and 180'
+    }),
+    timezone: Joi.string().custom((value, helpers) => (
+        isValidTimeZone(value) ? value : helpers.error('any.invalid')
+    )).description('IANA time zone of the coordinates').messages({
+        'any.invalid': 'Timezone must be an IANA time zone such as Asia/Karachi'
+    }),
+    utc_offset: Joi.string().custom((value, helpers) => (
+        parseOffset(value) !== null ? value : helpers.error('any.invalid')
+    )).description('Fixed UTC offset of the coordinates instead of a time zone, e.g. +05:30').messages({
+        'any.invalid': 'UTC offset must look like +05:30 or -03:00, at most 14 hours'
+    }),
+    timezone_utc: Joi.boolean().default(false).description('The birth time is in UTC rather than local time').messages({
         'boolean.base': 'Timezone UTC must be a boolean value'
+    }),
+    time_unknown: Joi.boolean().default(false).description('The birth time is not known: sample the whole birth day instead of generating one chart').messages({
+        'boolean.base': 'Time unknown must be a boolean value'
+    }),
+    dst_choice: Joi.string().valid(...DST_CHOICES).description('How to read a local time in a daylight saving gap or overlap').messages({
+        'any.only': `DST choice must be one of: ${DST_CHOICES.join(', ')}`
+    }),
+    variable_chart: Joi.boolean().default(false).description('Include color, tone and base and always return the variables section').messages({
+        'boolean.base': 'Variable chart must be a boolean value'
+    }),
+    verify: Joi.boolean().default(false).description('Also generate the chart with a second provider and compare the two').messages({
+        'boolean.base': 'Verify must be a boolean value'
+    }),
+    sensitivity_minutes: Joi.number().integer().min(1).max(MAX_SENSITIVITY_MINUTES).description('Report where the chart changes within this many minutes either side of the birth time').messages({
+        'number.base': 'Sensitivity minutes must be a number',
+        'number.integer': `Sensitivity minutes must be a whole number between 1 and ${MAX_SENSITIVITY_MINUTES}`,
+        'number.min': `Sensitivity minutes must be a whole number between 1 and ${MAX_SENSITIVITY_MINUTES}`,
+        'number.max': `Sensitivity minutes must be a whole number between 1 and ${MAX_SENSITIVITY_MINUTES}`
+    }),
+    format: Joi.string().valid(...CHART_FORMATS).description('Response format: the chart as JSON, its bodygraph as an SVG image, or a printable PDF report; verify and sensitivity_minutes need json').messages({
+        'any.only': `Format must be one of: ${CHART_FORMATS.join(', ')}`
     })
-});
-
-// Validation middleware
-const validateBirthData = (req, res, next) => {
-    const { error, value } = birthDataSchema.validate(req.body, {
-        abortEarly: false,
-        stripUnknown: true
+})
+    .and('latitude', 'longitude')
+    .oxor('timezone', 'utc_offset')
+    // Coordinates need a time zone or UTC offset to convert the local time
+    .when(Joi.object({ latitude: Joi.exist() }).unknown(), {
+        then: Joi.object().or('timezone', 'utc_offset')
+    })
+    .messages({
+        'object.and': 'Latitude and longitude must be given together',
+        'object.oxor': 'Give either timezone or utc_offset, not both',
+        'object.missing': 'Timezone or utc_offset is required with latitude and longitude'
     });
 
+/**
+ * Field an error is reported under; errors about several fields (such as
+ * latitude without longitude) go under the first missing or conflicting one
+ */
+const errorField = (detail) => detail.path.join('.')
+    || (detail.context.missing || detail.context.peers || [])[0]
+    || 'birth_data';
+
+/**
+ * Replace birth_datetime with the day, month, year, hour, minute and second
+ * it gives. A datetime with a UTC offset keeps its wall clock when a birth
+ * place is given (ChartController.resolveBirthPlace checks the offset
+ * against the place's time zone); without a place, or with timezone_utc,
+ * it is converted to UTC and marked timezone_utc. Returns { data } or
+ * { errors }.
+ */
+const expandBirthDatetime = (data = {}) => {
+    if (data.birth_datetime === undefined || data.birth_datetime === null || data.birth_datetime === '') {
+        return { data };
+    }
+
+    const conflicting = DATETIME_FIELDS.filter(field => data[field] !== undefined && data[field] !== null && data[field] !== '');
+    if (conflicting.length > 0) {
+        return { errors: { birth_datetime: [`Give either birth_datetime or ${conflicting.join(', ')}, not both`] } };
+    }
+
+    const { error, offsetMinutes, ...parts } = parseBirthDatetime(data.birth_datetime);
     if (error) {
-        const errors = {};
-        error.details.forEach(detail => {
-            const field = detail.path.join('.');
-            if (!errors[field]) {
-                errors[field] = [];
-            }
-            errors[field].push(detail.message);
-        });
-
-        return res.status(422).json({
-            success: false,
-            message: 'Validation failed',
-            errors: errors
-        });
+        return { errors: { birth_datetime: [error] } };
     }
 
-    req.body = value;
-    next();
+    if (offsetMinutes === null) {
+        return { data: { ...data, ...parts } };
+    }
+
+    const wallClock = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0));
+    if (parts.hour === undefined || wallClock.getUTCDate() !== parts.day || wallClock.getUTCMonth() !== parts.month - 1) {
+        return { errors: { birth_datetime: [`${data.birth_datetime} is not a valid date and time`] } };
+    }
+
+    const hasPlace = PLACE_FIELDS.some(field => data[field] !== undefined && data[field] !== null && data[field] !== '');
+    if (hasPlace && data.timezone_utc !== true && data.timezone_utc !== 'true') {
+        return { data: { ...data, ...parts } };
+    }
+
+    const instant = new Date(wallClock.getTime() - offsetMinutes * 60000);
+    return {
+        data: {
+            ...data,
+            year: instant.getUTCFullYear(),
+            month: instant.getUTCMonth() + 1,
+            day: instant.getUTCDate(),
+            hour: instant.getUTCHours(),
+            minute: instant.getUTCMinutes(),
+            second: instant.getUTCSeconds(),
+            timezone_utc: true
+        }
+    };
 };
 
-// Query parameters validation for GET requests
-const validateQueryParams = (req, res, next) => {
-    const { error, value } = birthDataSchema.validate(req.query, {
+/**
+ * Validate a birth record against birthDataSchema, after expanding
+ * birth_datetime. Returns { value } with the converted record, or
+ * { errors } in the 422 errors map format ({ field: [messages] }).
+ */
+const validateBirthRecord = (data) => {
+    const expanded = expandBirthDatetime(data);
+    if (expanded.errors) {
+        return { errors: expanded.errors };
+    }
+
+    const { error, value } = birthDataSchema.validate(expanded.data, {
         abortEarly: false,
         stripUnknown: true,
         convert: true
     });
 
-    if (error) {
-        const errors = {};
-        error.details.forEach(detail => {
-            const field = detail.path.join('.');
-            if (!errors[field]) {
-                errors[field] = [];
-            }
-            errors[field].push(detail.message);
-        });
-
-        return res.status(422).json({
-            success: false,
-            message: 'Validation failed',
-            errors: errors
-        });
+    if (!error) {
+        return { value };
+    }
+
+    const errors = {};
+    error.details.forEach(detail => {
+        // Problems with the parsed fields belong to the field the client sent
+        const field = data.birth_datetime && DATETIME_FIELDS.includes(errorField(detail))
+            ? 'birth_datetime'
+            : errorField(detail);
+        if (!errors[field]) {
+            errors[field] = [];
+        }
+        errors[field].push(detail.message);
+    });
+
+    return { errors };
+};
+
+const activationSchema = Joi.object({
+    planet: Joi.string().valid(...PLANET_NAMES),
+    gate: Joi.number().integer().min(1).max(64).required(),
+    line: Joi.number().integer().min(1).max(6).required(),
+    color: Joi.number().integer().min(1).max(6),
+    tone: Joi.number().integer().min(1).max(6),
+    base: Joi.number().integer().min(1).max(5)
+}).unknown(true);
+
+/**
+ * A chart sent inline instead of a chart_id: the parts of the canonical
+ * chart model its gates are read from (see chartActivations and chartGates
+ * in utils/mechanics.js). Anything else is passed through.
+ */
+const inlineChartSchema = Joi.object({
+    birth_data: Joi.object().unknown(true),
+    properties: Joi.object().unknown(true),
+    chart_data: Joi.object({
+        activations: Joi.object({
+            design: Joi.array().items(activationSchema),
+            personality: Joi.array().items(activationSchema)
+        }).unknown(true),
+        design_activations: Joi.array().items(Joi.string()),
+        personality_activations: Joi.array().items(Joi.string()),
+        gates: Joi.array().items(Joi.object({
+            gate: Joi.number().integer().min(1).max(64).required(),
+            mode: Joi.number().valid(0, 1, 2)
+        }).unknown(true)),
+        centers: Joi.array(),
+        channels: Joi.array()
+    }).unknown(true).required()
+}).unknown(true).label('chart');
+
+/**
+ * Validate an inline chart against inlineChartSchema, and check that at
+ * least one gate can be read from it. Returns { value } or { errors },
+ * with fields under "chart." (e.g. "chart.chart_data.gates.0.gate").
+ */
+const validateChartRecord = (chart) => {
+    const { error, value } = inlineChartSchema.validate(chart, { abortEarly: false, convert: true });
+
+    const errors = {};
+    (error ? error.details : []).forEach(detail => {
+        const field = ['chart', ...detail.path].join('.');
+        if (!errors[field]) {
+            errors[field] = [];
+        }
+        errors[field].push(detail.message);
+    });
+
+    if (!error && chartGates(value).length === 0) {
+        errors['chart.chart_data'] = ['Chart has no activations or gates'];
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { value };
+};
+
+const sendValidationErrors = (res, errors) => res.status(422).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors
+});
+
+// Validation middleware
+const validateBirthData = (req, res, next) => {
+    const { errors, value } = validateBirthRecord(req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+
+    req.body = value;
+    next();
+};
+
+// Query parameters validation for GET requests
+const validateQueryParams = (req, res, next) => {
+    const { errors, value } = validateBirthRecord(req.query);
+    if (errors) {
+        return sendValidationErrors(res, errors);
     }
 
     req.query = value;
@@ -112,7 +376,10 @@ const validateQueryParams = (req, res, next) => {
 };
 
 module.exports = {
+    CHART_FORMATS,
     validateBirthData,
     validateQueryParams,
+    validateBirthRecord,
+    validateChartRecord,
     birthDataSchema
 };
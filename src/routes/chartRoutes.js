@@ -1,28 +1,89 @@
 const express = require('express');
-const ChartController = require('../controllers/chartController');
+const {
+    chartController,
+    transitController,
+    compositeController,
+    pentaController,
+    cycleController,
+    locationController
+} = require('../controllers');
 const { validateBirthData, validateQueryParams } = require('../middleware/validation');
 
 const router = express.Router();
-const chartController = new ChartController();
 
 // Main chart generation endpoint
-router.post('/generate-chart', (req, res) => {
+router.post('/generate-chart', validateBirthData, (req, res) => {
     chartController.submitBirthData(req, res);
 });
 
 // Alternative POST endpoint
-router.post('/submit-birth-data', (req, res) => {
+router.post('/submit-birth-data', validateBirthData, (req, res) => {
     chartController.submitBirthData(req, res);
 });
 
 // GET endpoint for easier testing
-router.get('/generate-chart', (req, res) => {
+router.get('/generate-chart', validateQueryParams, (req, res) => {
     chartController.submitBirthDataGet(req, res);
 });
 
 // Alternative GET endpoint
-router.get('/submit-birth-data', (req, res) => {
+router.get('/submit-birth-data', validateQueryParams, (req, res) => {
     chartController.submitBirthDataGet(req, res);
 });
 
+// Previously generated chart by chart_id
+router.get('/charts/:id', (req, res) => {
+    chartController.getChart(req, res);
+});
+
+// Bodygraph of a previously generated chart as SVG
+router.get('/charts/:id/bodygraph.svg', (req, res) => {
+    chartController.getChartBodygraph(req, res);
+});
+
+// Printable PDF report of a previously generated chart
+router.get('/charts/:id/report.pdf', (req, res) => {
+    chartController.getChartReport(req, res);
+});
+
+// Planetary activations for a moment (defaults to now)
+router.get('/transits', (req, res) => {
+    transitController.getTransits(req, res);
+});
+
+// Channels and centers a transit completes in a birth chart
+router.post('/transits/overlay', (req, res) => {
+    transitController.overlayTransits(req, res);
+});
+
+// Composite (connection) chart of two people
+router.post('/composite', (req, res) => {
+    compositeController.createComposite(req, res);
+});
+
+// Penta of a group of 3-5 people
+router.post('/penta', (req, res) => {
+    pentaController.createPenta(req, res);
+});
+
+// Saturn return, Uranus opposition and Chiron return dates and charts
+router.post('/cycles', (req, res) => {
+    cycleController.getCycles(req, res);
+});
+
+// One cycle: saturn-return, uranus-opposition or chiron-return
+router.post('/cycles/:cycle', (req, res) => {
+    cycleController.getCycles(req, res);
+});
+
+// Birth place candidates for autocomplete
+router.get('/locations/search', (req, res) => {
+    locationController.search(req, res);
+});
+
+// One birth place by location_id
+router.get('/locations/:id', (req, res) => {
+    locationController.getLocation(req, res);
+});
+
 module.exports = router;
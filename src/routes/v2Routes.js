@@ -0,0 +1,105 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const {
+    chartController,
+    transitController,
+    compositeController,
+    pentaController,
+    cycleController,
+    locationController
+} = require('../controllers');
+const { validateBirthData, validateQueryParams } = require('../middleware/validation');
+const { buildOpenApiDocument } = require('../utils/openapi');
+
+const router = express.Router();
+const openApiDocument = buildOpenApiDocument();
+
+// OpenAPI 3 document, generated from the request validation schemas
+router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Swagger UI, served from the bundled swagger-ui-dist package. The page loads
+// its start-up script from a file because helmet's CSP blocks inline scripts.
+router.get('/docs', (req, res) => {
+    const base = `${req.baseUrl}/docs`;
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Human Design Chart API v2</title>
+    <link rel="stylesheet" href="${base}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${base}/swagger-ui-bundle.js"></script>
+    <script src="${base}/init.js"></script>
+</body>
+</html>`);
+});
+
+router.get('/docs/init.js', (req, res) => {
+    res.type('application/javascript').send(
+        `window.ui = SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui' });\n`
+    );
+});
+
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+// The v2 API: the paths of the OpenAPI document. The controllers (and chart
+// store) are shared with the legacy /api routes, but the routes are not, so
+// v2 can change without changing v1.
+router.post('/generate-chart', validateBirthData, (req, res) => {
+    chartController.submitBirthData(req, res);
+});
+
+router.get('/generate-chart', validateQueryParams, (req, res) => {
+    chartController.submitBirthDataGet(req, res);
+});
+
+router.get('/charts/:id', (req, res) => {
+    chartController.getChart(req, res);
+});
+
+router.get('/charts/:id/bodygraph.svg', (req, res) => {
+    chartController.getChartBodygraph(req, res);
+});
+
+router.get('/charts/:id/report.pdf', (req, res) => {
+    chartController.getChartReport(req, res);
+});
+
+router.get('/transits', (req, res) => {
+    transitController.getTransits(req, res);
+});
+
+router.post('/transits/overlay', (req, res) => {
+    transitController.overlayTransits(req, res);
+});
+
+router.post('/composite', (req, res) => {
+    compositeController.createComposite(req, res);
+});
+
+router.post('/penta', (req, res) => {
+    pentaController.createPenta(req, res);
+});
+
+router.post('/cycles', (req, res) => {
+    cycleController.getCycles(req, res);
+});
+
+router.post('/cycles/:cycle', (req, res) => {
+    cycleController.getCycles(req, res);
+});
+
+router.get('/locations/search', (req, res) => {
+    locationController.search(req, res);
+});
+
+router.get('/locations/:id', (req, res) => {
+    locationController.getLocation(req, res);
+});
+
+module.exports = router;
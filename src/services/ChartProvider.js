@@ -0,0 +1,166 @@
+const { hasChartContent } = require('../utils/chartSchema');
+const LocationResolver = require('./LocationResolver');
+const { resolveLocalTime, parseOffset, formatOffset } = require('../utils/timezone');
+
+const locationResolver = new LocationResolver();
+
+/**
+ * Base class for every service that can produce a chart for ChartController.
+ *
+ * A provider is identified by `name` (the id used in CHART_PROVIDERS),
+ * describes itself with `label` (used in response messages) and `source`
+ * (the machine-readable origin returned to clients), and declares the
+ * `responseFormat` of the data it resolves with:
+ *   - 'maia'  raw Maia Mechanics payload ({ chart, meta }), normalized by
+ *             ChartController.transformToReadableFormat
+ *   - 'chart' a result already in the canonical chart model (utils/chartSchema)
+ *
+ * Subclasses implement submitBirthData(birthData), resolving to
+ * { success: true, data } or { success: false, error }.
+ */
+class ChartProvider {
+    constructor({ name, label, source, responseFormat = 'chart' }) {
+        this.name = name;
+        this.label = label;
+        this.source = source;
+        this.responseFormat = responseFormat;
+    }
+
+    /**
+     * Generate a chart for the given birth data
+     */
+    async submitBirthData(birthData) {
+        throw new Error(`${this.constructor.name} does not implement submitBirthData`);
+    }
+
+    /**
+     * Check whether a successful response actually contains a chart
+     */
+    hasChartData(data) {
+        return hasChartContent(data);
+    }
+
+    /**
+     * Birth place of a birth record: the location, given as coordinates with
+     * a time zone or UTC offset, or found in the gazetteer (by location_id,
+     * or by city and country), plus the values providers send (country name
+     * and ISO code, city name, JovianArchive city label, IANA time zone).
+     * utcOffset is set when the place has a fixed UTC offset instead of a
+     * time zone; timezone is then 'UTC'. A UTC birth time may have no place
+     * at all. Places are checked by ChartController.resolveBirthPlace
+     * before any provider runs, so a place that is not in the gazetteer
+     * is an error here.
+     */
+    resolveLocation(birthData) {
+        if (!birthData.location_id && birthData.latitude !== undefined && birthData.latitude !== null) {
+            return this.resolveCoordinates(birthData);
+        }
+
+        if (!birthData.location_id && !birthData.city && !birthData.country) {
+            return { location: null, country: '', countryCode: '', city: '', label: '', timezone: 'UTC', utcOffset: null };
+        }
+
+        const location = birthData.location_id
+            ? locationResolver.getById(birthData.location_id)
+            : locationResolver.resolve(birthData);
+
+        if (!location) {
+            throw new Error(`Birth place not found in gazetteer: ${birthData.location_id || [birthData.city, birthData.country].filter(Boolean).join(', ')}`);
+        }
+
+        return {
+            location,
+            country: location.country,
+            countryCode: location.country_code,
+            city: location.name,
+            label: location.label,
+            timezone: location.timezone,
+            utcOffset: null
+        };
+    }
+
+    /**
+     * Birth place given as latitude and longitude with an IANA time zone or
+     * a fixed UTC offset. The city and country, when given, are only used as
+     * names; a place without a city is labelled with its coordinates.
+     */
+    resolveCoordinates(birthData) {
+        const latitude = Number(birthData.latitude);
+        const longitude = Number(birthData.longitude);
+        const fixedOffset = birthData.timezone ? null : parseOffset(birthData.utc_offset);
+        const utcOffset = fixedOffset === null ? null : formatOffset(fixedOffset);
+        const label = birthData.city || `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+        const country = locationResolver.findCountry(birthData.country);
+
+        return {
+            location: {
+                id: null,
+                name: birthData.city || null,
+                admin1: null,
+                country: country ? country.name : (birthData.country || null),
+                country_code: country ? country.code : null,
+                country_iso3: country ? country.iso3 : null,
+                latitude,
+                longitude,
+                timezone: birthData.timezone || null,
+                utc_offset: utcOffset,
+                label
+            },
+            country: country ? country.name : (birthData.country || ''),
+            countryCode: country ? country.code : '',
+            city: birthData.city || label,
+            label,
+            timezone: birthData.timezone || 'UTC',
+            utcOffset
+        };
+    }
+
+    /**
+     * UTC birth moment of a birth record: the local time converted with the
+     * birth place's time zone or UTC offset (or taken as UTC with
+     * timezone_utc), with gaps and overlaps resolved by birthData.dst_choice.
+     * Returns
+     * { date, timezone, offsetMinutes, transition, options }; date is null
+     * for a gap or overlap when dst_choice is 'reject'.
+     */
+    resolveBirthTime(birthData) {
+        const place = birthData.timezone_utc ? null : this.resolveLocation(birthData);
+        const timezone = place ? (place.utcOffset || place.timezone) : 'UTC';
+        const moment = resolveLocalTime({
+            year: Number(birthData.year),
+            month: Number(birthData.month),
+            day: Number(birthData.day),
+            hour: Number(birthData.hour) || 0,
+            minute: Number(birthData.minute) || 0,
+            second: Number(birthData.second) || 0
+        }, timezone, birthData.dst_choice || 'compatible');
+
+        return { ...moment, timezone };
+    }
+
+    /**
+     * Date and time fields to send to a provider's form. A local time in a
+     * DST gap or overlap, or at a fixed UTC offset, is sent as UTC instead,
+     * so the provider cannot resolve it differently.
+     */
+    resolveFormTime(birthData) {
+        const { date, transition, timezone } = this.resolveBirthTime(birthData);
+        const fixedOffset = parseOffset(timezone) !== null;
+
+        if ((!transition && !fixedOffset) || !date) {
+            const { day, month, year, hour, minute } = birthData;
+            return { day, month, year, hour, minute, timezone_utc: !!birthData.timezone_utc };
+        }
+
+        return {
+            day: date.getUTCDate(),
+            month: date.getUTCMonth() + 1,
+            year: date.getUTCFullYear(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            timezone_utc: true
+        };
+    }
+}
+
+module.exports = ChartProvider;
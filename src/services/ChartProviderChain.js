@@ -0,0 +1,100 @@
+const logger = require('../utils/logger');
+
+const DEFAULT_PROVIDER_ORDER = ['maia', 'puppeteer', 'axios', 'fetch', 'local'];
+
+/**
+ * Runs chart providers in a configured order until one returns a chart.
+ *
+ * The order comes from the CHART_PROVIDERS environment variable, a comma
+ * separated list of provider names (e.g. "maia,puppeteer"). Providers left
+ * out of the list are never called.
+ */
+class ChartProviderChain {
+    constructor(providers, order = ChartProviderChain.parseOrder(process.env.CHART_PROVIDERS)) {
+        this.providers = new Map(providers.map(provider => [provider.name, provider]));
+        this.order = order.filter(name => {
+            if (!this.providers.has(name)) {
+                logger.warn('Unknown chart provider in configuration, ignoring', {
+                    name,
+                    available: Array.from(this.providers.keys())
+                });
+                return false;
+            }
+            return true;
+        });
+
+        logger.info('Chart provider chain configured', { order: this.order });
+    }
+
+    /**
+     * Parse a comma separated provider list, falling back to the default order
+     */
+    static parseOrder(value) {
+        if (!value || !value.trim()) {
+            return [...DEFAULT_PROVIDER_ORDER];
+        }
+
+        return value
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter((name, index, names) => name && names.indexOf(name) === index);
+    }
+
+    /**
+     * Providers in the order they will be tried
+     */
+    getProviders() {
+        return this.order.map(name => this.providers.get(name));
+    }
+
+    /**
+     * Try each provider in turn and return the first result with chart data.
+     * Providers named in options.exclude are skipped.
+     */
+    async generate(birthData, { exclude = [] } = {}) {
+        const errors = {};
+        const providers = this.getProviders().filter(provider => !exclude.includes(provider.name));
+
+        for (const provider of providers) {
+            try {
+                logger.info('Trying chart provider', { provider: provider.name });
+                const result = await provider.submitBirthData(birthData);
+
+                if (result.success && provider.hasChartData(result.data)) {
+                    return {
+                        success: true,
+                        provider,
+                        data: result.data,
+                        errors
+                    };
+                }
+
+                errors[provider.name] = result.success
+                    ? 'Provider response did not contain chart data'
+                    : result.error;
+
+                logger.warn('Chart provider returned no chart, trying next provider', {
+                    provider: provider.name,
+                    error: errors[provider.name]
+                });
+            } catch (error) {
+                errors[provider.name] = error.message;
+
+                logger.error('Chart provider threw, trying next provider', {
+                    provider: provider.name,
+                    error: error.message,
+                    stack: error.stack?.substring(0, 200)
+                });
+            }
+        }
+
+        return {
+            success: false,
+            errors
+        };
+    }
+}
+
+ChartProviderChain.DEFAULT_PROVIDER_ORDER = DEFAULT_PROVIDER_ORDER;
+
+module.exports = ChartProviderChain;
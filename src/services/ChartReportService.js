@@ -0,0 +1,66 @@
+const puppeteer = require('puppeteer');
+const logger = require('../utils/logger');
+const { BROWSER_ARGS, resolveExecutablePath } = require('../utils/browser');
+const { renderReportHtml } = require('../utils/chartReport');
+
+class ChartReportService {
+    constructor({ timeout = 30000 } = {}) {
+        this.timeout = timeout;
+    }
+
+    /**
+     * Print the chart report (utils/chartReport.js) to an A4 PDF with
+     * headless Chrome. The page has JavaScript disabled and every network
+     * request is blocked, so the report is built entirely offline.
+     */
+    async generatePdf(chart) {
+        let browser = null;
+
+        try {
+            logger.info('Generating chart report PDF', { chartId: chart.chart_id });
+
+            const launchOptions = { headless: true, args: BROWSER_ARGS };
+            const executablePath = resolveExecutablePath();
+            if (executablePath) {
+                launchOptions.executablePath = executablePath;
+            }
+
+            browser = await puppeteer.launch(launchOptions);
+            const page = await browser.newPage();
+
+            await page.setJavaScriptEnabled(false);
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                if (request.url().startsWith('data:')) {
+                    request.continue();
+                    return;
+                }
+                logger.warn('Blocked request from chart report', { url: request.url() });
+                request.abort();
+            });
+
+            await page.setContent(renderReportHtml(chart), { waitUntil: 'load', timeout: this.timeout });
+            const pdf = await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                preferCSSPageSize: true,
+                timeout: this.timeout
+            });
+
+            return { success: true, data: Buffer.from(pdf) };
+        } catch (error) {
+            logger.error('Chart report generation failed', {
+                error: error.message,
+                chartId: chart.chart_id,
+                stack: error.stack
+            });
+            return { success: false, error: error.message };
+        } finally {
+            if (browser) {
+                await browser.close().catch(error => logger.warn('Failed to close report browser', { error: error.message }));
+            }
+        }
+    }
+}
+
+module.exports = ChartReportService;
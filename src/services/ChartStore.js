@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * In-memory store of generated charts, so later requests (transit overlays,
+ * composites, ...) can refer to a chart by its chart_id instead of sending
+ * the birth data again.
+ *
+ * Charts live for the lifetime of the process. Once CHART_STORE_LIMIT
+ * charts are stored (default 1000), the oldest one is dropped.
+ */
+class ChartStore {
+    constructor(limit = parseInt(process.env.CHART_STORE_LIMIT) || 1000) {
+        this.limit = limit;
+        this.charts = new Map();
+    }
+
+    /**
+     * Store a chart and return its new id
+     */
+    save(chart) {
+        const id = crypto.randomUUID();
+        this.charts.set(id, chart);
+
+        if (this.charts.size > this.limit) {
+            const oldest = this.charts.keys().next().value;
+            this.charts.delete(oldest);
+            logger.info('Chart store full, dropped oldest chart', { chartId: oldest });
+        }
+
+        return id;
+    }
+
+    /**
+     * Stored chart, or null if the id is unknown or was dropped
+     */
+    get(id) {
+        return this.charts.get(id) || null;
+    }
+}
+
+module.exports = ChartStore;
@@ -1,9 +1,17 @@
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const { URLSearchParams } = require('url');
 const logger = require('../utils/logger');
+const ChartProvider = require('./ChartProvider');
+const { fromScraperData } = require('../utils/chartSchema');
 
-class JovianArchiveFetchService {
+class JovianArchiveFetchService extends ChartProvider {
     constructor() {
+        super({
+            name: 'fetch',
+            label: 'fetch service',
+            source: 'jovian_archive_fetch'
+        });
+
         this.baseUrl = 'https://www.jovianarchive.com/Get_Your_Chart';
         this.maxRetries = 3;
         this.scrapingDelay = 3000; // 3 seconds delay
@@ -101,10 +109,10 @@ class JovianArchiveFetchService {
      * Submit the form with birth data
      */
     async submitForm(birthData, token) {
-        // Get proper country and city values from autocomplete (matching Laravel implementation)
-        const country = this.getCountrySuggestion(birthData.country);
-        const city = this.getCitySuggestion(birthData.city, country);
-        const timezone = this.getTimezoneForCity(city);
+        // Country, city label and time zone from the gazetteer
+        const { country, label: city, timezone } = this.resolveLocation(birthData);
+        // Birth time as sent to the form; sent as UTC around clock changes
+        const time = this.resolveFormTime(birthData);
 
         logger.info('Submitting form data with autocomplete values', {
             originalCountry: birthData.country,
@@ -116,17 +124,17 @@ class JovianArchiveFetchService {
 
         const formData = {
             '__RequestVerificationToken': token,
-            'IsVariableChart': 'False',
+            'IsVariableChart': birthData.variable_chart ? 'True' : 'False',
             'Name': birthData.name,
-            'Day': birthData.day,
-            'Month': birthData.month,
-            'Year': birthData.year,
-            'Hour': birthData.hour,
-            'Minute': birthData.minute,
+            'Day': time.day,
+            'Month': time.month,
+            'Year': time.year,
+            'Hour': time.hour,
+            'Minute': time.minute,
             'Country': country, // Send the country value like Laravel does
             'City': city,
             'Timezone': timezone,
-            'IsTimeUTC': birthData.timezone_utc ? 'true' : 'false',
+            'IsTimeUTC': time.timezone_utc ? 'true' : 'false',
         };
 
         const formDataString = new URLSearchParams(formData).toString();
@@ -214,13 +222,13 @@ class JovianArchiveFetchService {
         // Extract download data
         const downloadData = this.extractDownloadData(html);
 
-        const result = {
+        const result = fromScraperData({
             chart_properties: chartProperties,
             design_data: designData,
             personality_data: personalityData,
             chart_image_url: chartImageUrl,
             download_data: downloadData,
-        };
+        }, this.source);
 
         logger.info('Chart parsing completed', {
             properties_count: Object.keys(chartProperties).length,
@@ -339,164 +347,6 @@ class JovianArchiveFetchService {
         return downloadMatch ? downloadMatch[1] : null;
     }
 
-    /**
-     * Get country suggestion from autocomplete (matching Laravel implementation)
-     */
-    getCountrySuggestion(countryInput) {
-        const countryMappings = {
-            'pakistan': 'Pakistan',
-            'pak': 'Pakistan',
-            'usa': 'United States',
-            'united states': 'United States',
-            'uk': 'United Kingdom',
-            'united kingdom': 'United Kingdom',
-            'canada': 'Canada',
-            'australia': 'Australia',
-            'india': 'India',
-            'china': 'China',
-            'japan': 'Japan',
-            'germany': 'Germany',
-            'france': 'France',
-            'italy': 'Italy',
-            'spain': 'Spain',
-            'brazil': 'Brazil',
-            'mexico': 'Mexico',
-            'russia': 'Russia',
-            'south africa': 'South Africa',
-            'egypt': 'Egypt',
-            'turkey': 'Turkey',
-            'iran': 'Iran',
-            'iraq': 'Iraq',
-            'afghanistan': 'Afghanistan',
-            'bangladesh': 'Bangladesh',
-            'sri lanka': 'Sri Lanka',
-            'nepal': 'Nepal',
-            'bhutan': 'Bhutan',
-            'maldives': 'Maldives',
-        };
-
-        const input = countryInput.toLowerCase().trim();
-
-        // Try exact match first
-        if (countryMappings[input]) {
-            return countryMappings[input];
-        }
-
-        // Try partial match
-        for (const [key, value] of Object.entries(countryMappings)) {
-            if (key.startsWith(input) || input.startsWith(key)) {
-                return value;
-            }
-        }
-
-        // If no match found, return the original input
-        logger.warn('No country mapping found for: ' + countryInput);
-        return countryInput;
-    }
-
-    /**
-     * Get city suggestion from autocomplete (matching Laravel implementation)
-     */
-    getCitySuggestion(cityInput, country) {
-        const cityMappings = {
-            'Pakistan': {
-                'pesh': 'Peshawar (Khyber Pakhtunkhwa)',
-                'peshawar': 'Peshawar (Khyber Pakhtunkhwa)',
-                'karachi': 'Karachi (Sindh)',
-                'lahore': 'Lahore (Punjab)',
-                'islamabad': 'Islamabad (Federal Territory)',
-                'rawalpindi': 'Rawalpindi (Punjab)',
-                'faisalabad': 'Faisalabad (Punjab)',
-                'multan': 'Multan (Punjab)',
-                'quetta': 'Quetta (Balochistan)',
-            },
-            'United States': {
-                'new york': 'New York (New York)',
-                'los angeles': 'Los Angeles (California)',
-                'chicago': 'Chicago (Illinois)',
-                'houston': 'Houston (Texas)',
-                'phoenix': 'Phoenix (Arizona)',
-                'philadelphia': 'Philadelphia (Pennsylvania)',
-                'san antonio': 'San Antonio (Texas)',
-                'san diego': 'San Diego (California)',
-                'dallas': 'Dallas (Texas)',
-                'san jose': 'San Jose (California)',
-            },
-            'United Kingdom': {
-                'london': 'London (England)',
-                'birmingham': 'Birmingham (England)',
-                'manchester': 'Manchester (England)',
-                'glasgow': 'Glasgow (Scotland)',
-                'liverpool': 'Liverpool (England)',
-                'leeds': 'Leeds (England)',
-                'sheffield': 'Sheffield (England)',
-                'edinburgh': 'Edinburgh (Scotland)',
-                'bristol': 'Bristol (England)',
-                'cardiff': 'Cardiff (Wales)',
-            },
-            'India': {
-                'mumbai': 'Mumbai (Maharashtra)',
-                'delhi': 'Delhi (Delhi)',
-                'bangalore': 'Bangalore (Karnataka)',
-                'hyderabad': 'Hyderabad (Telangana)',
-                'chennai': 'Chennai (Tamil Nadu)',
-                'kolkata': 'Kolkata (West Bengal)',
-                'pune': 'Pune (Maharashtra)',
-                'ahmedabad': 'Ahmedabad (Gujarat)',
-                'jaipur': 'Jaipur (Rajasthan)',
-                'lucknow': 'Lucknow (Uttar Pradesh)',
-            },
-        };
-
-        const input = cityInput.toLowerCase().trim();
-
-        // Check if we have mappings for this country
-        if (cityMappings[country]) {
-            const countryCities = cityMappings[country];
-
-            // Try exact match first
-            if (countryCities[input]) {
-                return countryCities[input];
-            }
-
-            // Try partial match
-            for (const [key, value] of Object.entries(countryCities)) {
-                if (key.startsWith(input) || input.startsWith(key)) {
-                    return value;
-                }
-            }
-        }
-
-        // If no match found, return the original input
-        logger.warn('No city mapping found for: ' + cityInput + ' in country: ' + country);
-        return cityInput;
-    }
-
-    /**
-     * Get timezone for a city (simplified mapping)
-     */
-    getTimezoneForCity(city) {
-        const timezoneMappings = {
-            'Pakistan': 'Asia/Karachi',
-            'Peshawar': 'Asia/Karachi',
-            'Karachi': 'Asia/Karachi',
-            'Lahore': 'Asia/Karachi',
-            'Islamabad': 'Asia/Karachi',
-            'United States': 'America/New_York',
-            'United Kingdom': 'Europe/London',
-            'India': 'Asia/Kolkata',
-        };
-
-        for (const [key, timezone] of Object.entries(timezoneMappings)) {
-            if (city.toLowerCase().includes(key.toLowerCase())) {
-                return timezone;
-            }
-        }
-
-        // Default timezone
-        return 'UTC';
-    }
-
     /**
      * Delay utility
      */
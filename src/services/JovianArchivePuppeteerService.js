@@ -1,8 +1,17 @@
 const puppeteer = require('puppeteer');
 const logger = require('../utils/logger');
+const ChartProvider = require('./ChartProvider');
+const { fromScraperData } = require('../utils/chartSchema');
+const { BROWSER_ARGS, resolveExecutablePath } = require('../utils/browser');
 
-class JovianArchivePuppeteerService {
+class JovianArchivePuppeteerService extends ChartProvider {
     constructor() {
+        super({
+            name: 'puppeteer',
+            label: 'Puppeteer',
+            source: 'jovian_archive_puppeteer'
+        });
+
         this.baseUrl = 'https://www.jovianarchive.com/Get_Your_Chart';
         this.maxRetries = 3;
         this.scrapingDelay = 3000; // 3 seconds delay
@@ -59,17 +68,9 @@ class JovianArchivePuppeteerService {
         const launchOptions = {
             headless: true, // Set to false for debugging
             args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu',
+                ...BROWSER_ARGS,
                 '--disable-web-security',
                 '--disable-features=VizDisplayCompositor',
-                '--single-process', // Important for Render.com
-                '--memory-pressure-off',
                 '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
             ],
             defaultViewport: {
@@ -78,27 +79,11 @@ class JovianArchivePuppeteerService {
             },
         };
 
-        // Resolve executable path safely: prefer env var, else Puppeteer's bundled Chromium
-        try {
-            const candidatePath =
-                process.env.PUPPETEER_EXECUTABLE_PATH ||
-                (typeof puppeteer.executablePath === 'function' ? puppeteer.executablePath() : null);
-
-            // Some platforms (like Render) may set a path that doesn't exist if Chromium wasn't downloaded
-            if (candidatePath) {
-                const fs = require('fs');
-                if (fs.existsSync(candidatePath)) {
-                    launchOptions.executablePath = candidatePath;
-                    logger.info('Using Puppeteer executablePath', { executablePath: candidatePath });
-                } else {
-                    logger.warn('Configured Puppeteer executablePath not found, launching without explicit path', { executablePath: candidatePath });
-                }
-            }
-        } catch (e) {
-            // If detection fails, let Puppeteer decide without executablePath
-            logger.warn('Failed to resolve Puppeteer executablePath, relying on default', { error: e.message });
+        const executablePath = resolveExecutablePath();
+        if (executablePath) {
+            launchOptions.executablePath = executablePath;
         }
-        
+
         this.browser = await puppeteer.launch(launchOptions);
 
         this.page = await this.browser.newPage();
@@ -148,10 +133,10 @@ class JovianArchivePuppeteerService {
     async fillAndSubmitForm(birthData) {
         logger.info('Filling form with birth data', { birthData });
 
-        // Get proper country and city values (matching Laravel implementation)
-        const country = this.getCountrySuggestion(birthData.country);
-        const city = this.getCitySuggestion(birthData.city, country);
-        const timezone = this.getTimezoneForCity(city);
+        // Country, city label and time zone from the gazetteer
+        const { country, label: city, timezone } = this.resolveLocation(birthData);
+        // Birth time as typed into the form; typed as UTC around clock changes
+        const time = this.resolveFormTime(birthData);
 
         logger.info('Using autocomplete values', {
             originalCountry: birthData.country,
@@ -188,18 +173,18 @@ class JovianArchivePuppeteerService {
         if (legacyNameField) {
             // Legacy form flow
             await this.page.type('input[name="Name"]', birthData.name);
-            await this.page.type('input[name="Day"]', birthData.day.toString());
+            await this.page.type('input[name="Day"]', time.day.toString());
             
             // Handle month - there's a text input for month_name and hidden input for Month
-            await this.page.type('input[id="month_name"]', birthData.month.toString());
+            await this.page.type('input[id="month_name"]', time.month.toString());
             await this.page.evaluate((month) => {
                 const target = document.querySelector('input[name="Month"]');
                 if (target) target.value = month;
-            }, birthData.month.toString());
+            }, time.month.toString());
             
-            await this.page.type('input[name="Year"]', birthData.year.toString());
-            await this.page.type('input[name="Hour"]', birthData.hour.toString());
-            await this.page.type('input[name="Minute"]', birthData.minute.toString());
+            await this.page.type('input[name="Year"]', time.year.toString());
+            await this.page.type('input[name="Hour"]', time.hour.toString());
+            await this.page.type('input[name="Minute"]', time.minute.toString());
             
             // Handle country field with autocomplete dropdown
             // Clear the field first and type with proper capitalization
@@ -293,17 +278,23 @@ class JovianArchivePuppeteerService {
             await this.delay(1000);
             
             // Handle timezone UTC checkbox
-            if (birthData.timezone_utc) {
+            if (time.timezone_utc) {
                 try { await this.page.check('input[name="IsTimeUTC"][type="checkbox"]'); } catch (e) {}
             }
         } else {
             // New layout flow
-            const success = await this.fillNewSiteForm(birthData, country, city, timezone);
+            const success = await this.fillNewSiteForm({ ...birthData, ...time }, country, city, timezone);
             if (!success) {
                 throw new Error('Unable to locate new site form fields');
             }
         }
 
+        // Request the variable chart (color, tone and base for each activation)
+        await this.page.evaluate((isVariable) => {
+            const el = document.querySelector('input[name="IsVariableChart"]');
+            if (el) el.value = isVariable ? 'True' : 'False';
+        }, !!birthData.variable_chart);
+
         // Add delay to be respectful
         await this.delay(this.scrapingDelay);
 
@@ -454,13 +445,7 @@ class JovianArchivePuppeteerService {
         if (currentUrl.includes('/Search')) {
             logger.warn('Redirected to search page - chart generation may have failed');
             // Return empty data but don't throw an error
-            return {
-                chart_properties: {},
-                design_data: [],
-                personality_data: [],
-                chart_image_url: null,
-                download_data: null,
-            };
+            return fromScraperData({}, this.source);
         }
 
         // Extract chart properties
@@ -478,13 +463,13 @@ class JovianArchivePuppeteerService {
         // Extract download data
         const downloadData = await this.extractDownloadData();
 
-        const result = {
+        const result = fromScraperData({
             chart_properties: chartProperties,
             design_data: designData,
             personality_data: personalityData,
             chart_image_url: chartImageUrl,
             download_data: downloadData,
-        };
+        }, this.source);
 
         logger.info('Chart parsing completed', {
             properties_count: Object.keys(chartProperties).length,
@@ -614,164 +599,6 @@ class JovianArchivePuppeteerService {
         return downloadData;
     }
 
-    /**
-     * Get country suggestion from autocomplete (matching Laravel implementation)
-     */
-    getCountrySuggestion(countryInput) {
-        const countryMappings = {
-            'pakistan': 'Pakistan',
-            'pak': 'Pakistan',
-            'usa': 'United States',
-            'united states': 'United States',
-            'uk': 'United Kingdom',
-            'united kingdom': 'United Kingdom',
-            'canada': 'Canada',
-            'australia': 'Australia',
-            'india': 'India',
-            'china': 'China',
-            'japan': 'Japan',
-            'germany': 'Germany',
-            'france': 'France',
-            'italy': 'Italy',
-            'spain': 'Spain',
-            'brazil': 'Brazil',
-            'mexico': 'Mexico',
-            'russia': 'Russia',
-            'south africa': 'South Africa',
-            'egypt': 'Egypt',
-            'turkey': 'Turkey',
-            'iran': 'Iran',
-            'iraq': 'Iraq',
-            'afghanistan': 'Afghanistan',
-            'bangladesh': 'Bangladesh',
-            'sri lanka': 'Sri Lanka',
-            'nepal': 'Nepal',
-            'bhutan': 'Bhutan',
-            'maldives': 'Maldives',
-        };
-
-        const input = countryInput.toLowerCase().trim();
-
-        // Try exact match first
-        if (countryMappings[input]) {
-            return countryMappings[input];
-        }
-
-        // Try partial match
-        for (const [key, value] of Object.entries(countryMappings)) {
-            if (key.startsWith(input) || input.startsWith(key)) {
-                return value;
-            }
-        }
-
-        // If no match found, return the original input with proper capitalization
-        logger.warn('No country mapping found for: ' + countryInput);
-        return countryInput.charAt(0).toUpperCase() + countryInput.slice(1).toLowerCase();
-    }
-
-    /**
-     * Get city suggestion from autocomplete (matching Laravel implementation)
-     */
-    getCitySuggestion(cityInput, country) {
-        const cityMappings = {
-            'Pakistan': {
-                'pesh': 'Peshawar (Khyber Pakhtunkhwa)',
-                'peshawar': 'Peshawar (Khyber Pakhtunkhwa)',
-                'karachi': 'Karachi (Sindh)',
-                'lahore': 'Lahore (Punjab)',
-                'islamabad': 'Islamabad (Federal Territory)',
-                'rawalpindi': 'Rawalpindi (Punjab)',
-                'faisalabad': 'Faisalabad (Punjab)',
-                'multan': 'Multan (Punjab)',
-                'quetta': 'Quetta (Balochistan)',
-            },
-            'United States': {
-                'new york': 'New York (New York)',
-                'los angeles': 'Los Angeles (California)',
-                'chicago': 'Chicago (Illinois)',
-                'houston': 'Houston (Texas)',
-                'phoenix': 'Phoenix (Arizona)',
-                'philadelphia': 'Philadelphia (Pennsylvania)',
-                'san antonio': 'San Antonio (Texas)',
-                'san diego': 'San Diego (California)',
-                'dallas': 'Dallas (Texas)',
-                'san jose': 'San Jose (California)',
-            },
-            'United Kingdom': {
-                'london': 'London (England)',
-                'birmingham': 'Birmingham (England)',
-                'manchester': 'Manchester (England)',
-                'glasgow': 'Glasgow (Scotland)',
-                'liverpool': 'Liverpool (England)',
-                'leeds': 'Leeds (England)',
-                'sheffield': 'Sheffield (England)',
-                'edinburgh': 'Edinburgh (Scotland)',
-                'bristol': 'Bristol (England)',
-                'cardiff': 'Cardiff (Wales)',
-            },
-            'India': {
-                'mumbai': 'Mumbai (Maharashtra)',
-                'delhi': 'Delhi (Delhi)',
-                'bangalore': 'Bangalore (Karnataka)',
-                'hyderabad': 'Hyderabad (Telangana)',
-                'chennai': 'Chennai (Tamil Nadu)',
-                'kolkata': 'Kolkata (West Bengal)',
-                'pune': 'Pune (Maharashtra)',
-                'ahmedabad': 'Ahmedabad (Gujarat)',
-                'jaipur': 'Jaipur (Rajasthan)',
-                'lucknow': 'Lucknow (Uttar Pradesh)',
-            },
-        };
-
-        const input = cityInput.toLowerCase().trim();
-
-        // Check if we have mappings for this country
-        if (cityMappings[country]) {
-            const countryCities = cityMappings[country];
-
-            // Try exact match first
-            if (countryCities[input]) {
-                return countryCities[input];
-            }
-
-            // Try partial match
-            for (const [key, value] of Object.entries(countryCities)) {
-                if (key.startsWith(input) || input.startsWith(key)) {
-                    return value;
-                }
-            }
-        }
-
-        // If no match found, return the original input with proper capitalization
-        logger.warn('No city mapping found for: ' + cityInput + ' in country: ' + country);
-        return cityInput.charAt(0).toUpperCase() + cityInput.slice(1).toLowerCase();
-    }
-
-    /**
-     * Get timezone for a city (simplified mapping)
-     */
-    getTimezoneForCity(city) {
-        const timezoneMappings = {
-            'Pakistan': 'Asia/Karachi',
-            'Peshawar': 'Asia/Karachi',
-            'Karachi': 'Asia/Karachi',
-            'Lahore': 'Asia/Karachi',
-            'Islamabad': 'Asia/Karachi',
-            'United States': 'America/New_York',
-            'United Kingdom': 'Europe/London',
-            'India': 'Asia/Kolkata',
-        };
-
-        for (const [key, timezone] of Object.entries(timezoneMappings)) {
-            if (city.toLowerCase().includes(key.toLowerCase())) {
-                return timezone;
-            }
-        }
-
-        // Default timezone
-        return 'UTC';
-    }
-
     /**
      * Close the browser
      */
@@ -1001,7 +828,7 @@ JovianArchivePuppeteerService.prototype.transformCapturedJson = function (json,
             if (typeof dl === 'string') { out.download_data = dl; break; }
         }
 
-        return out;
+        return fromScraperData(out, this.source);
     } catch (_) {
         return null;
     }
@@ -1,9 +1,17 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const ChartProvider = require('./ChartProvider');
+const { fromScraperData } = require('../utils/chartSchema');
 
-class JovianArchiveService {
+class JovianArchiveService extends ChartProvider {
     constructor() {
+        super({
+            name: 'axios',
+            label: 'axios fallback',
+            source: 'jovian_archive_axios'
+        });
+
         this.baseUrl = process.env.JOVIAN_ARCHIVE_URL || 'https://www.jovianarchive.com/Get_Your_Chart';
         this.maxRetries = parseInt(process.env.JOVIAN_ARCHIVE_MAX_RETRIES) || 3;
         this.scrapingDelay = parseInt(process.env.JOVIAN_ARCHIVE_SCRAPING_DELAY) || 5000; // Increased delay to 5 seconds
@@ -135,25 +143,25 @@ class JovianArchiveService {
         // Add delay to be respectful
         await this.delay(this.scrapingDelay);
 
-        // Get proper country and city values from autocomplete (matching Laravel implementation)
-        const country = this.getCountrySuggestion(birthData.country);
-        const city = this.getCitySuggestion(birthData.city, country);
-        const timezone = this.getTimezoneForCity(city);
+        // Country, city label and time zone from the gazetteer
+        const { country, label: city, timezone } = this.resolveLocation(birthData);
+        // Birth time as sent to the form; sent as UTC around clock changes
+        const time = this.resolveFormTime(birthData);
 
         // Map birth data to actual form field names (matching Laravel implementation exactly)
         const formData = {
             '__RequestVerificationToken': token,
-            'IsVariableChart': 'False',
+            'IsVariableChart': birthData.variable_chart ? 'True' : 'False',
             'Name': birthData.name,
-            'Day': birthData.day,
-            'Month': birthData.month,
-            'Year': birthData.year,
-            'Hour': birthData.hour,
-            'Minute': birthData.minute,
+            'Day': time.day,
+            'Month': time.month,
+            'Year': time.year,
+            'Hour': time.hour,
+            'Minute': time.minute,
             'Country': country, // Send the country value like Laravel does
             'City': city,
             'Timezone': timezone,
-            'IsTimeUTC': birthData.timezone_utc ? 'true' : 'false',
+            'IsTimeUTC': time.timezone_utc ? 'true' : 'false',
         };
 
         logger.info('Submitting form data with autocomplete values', {
@@ -207,301 +215,6 @@ class JovianArchiveService {
         }
     }
 
-    /**
-     * Get country suggestion from autocomplete
-     */
-    getCountrySuggestion(countryInput) {
-        // Handle null/undefined input
-        if (!countryInput || typeof countryInput !== 'string') {
-            logger.warn('Invalid country input provided', { countryInput });
-            return 'United States'; // Default fallback
-        }
-
-        // Common country mappings for autocomplete
-        const countryMappings = {
-            'pakistan': 'Pakistan',
-            'pak': 'Pakistan',
-            'usa': 'United States',
-            'united states': 'United States',
-            'uk': 'United Kingdom',
-            'united kingdom': 'United Kingdom',
-            'canada': 'Canada',
-            'australia': 'Australia',
-            'india': 'India',
-            'china': 'China',
-            'japan': 'Japan',
-            'germany': 'Germany',
-            'france': 'France',
-            'italy': 'Italy',
-            'spain': 'Spain',
-            'brazil': 'Brazil',
-            'mexico': 'Mexico',
-            'russia': 'Russia',
-            'south africa': 'South Africa',
-            'egypt': 'Egypt',
-            'turkey': 'Turkey',
-            'iran': 'Iran',
-            'iraq': 'Iraq',
-            'afghanistan': 'Afghanistan',
-            'bangladesh': 'Bangladesh',
-            'sri lanka': 'Sri Lanka',
-            'nepal': 'Nepal',
-            'bhutan': 'Bhutan',
-            'maldives': 'Maldives',
-        };
-
-        const input = countryInput.toLowerCase().trim();
-
-        // Try exact match first
-        if (countryMappings[input]) {
-            return countryMappings[input];
-        }
-
-        // Try partial match
-        for (const [key, value] of Object.entries(countryMappings)) {
-            if (key.startsWith(input) || input.startsWith(key)) {
-                return value;
-            }
-        }
-
-        // If no match found, return the original input (website might handle it)
-        logger.warn('No country mapping found', { countryInput });
-        return countryInput;
-    }
-
-    /**
-     * Get city suggestion from the real JovianArchive autocomplete API
-     */
-    getCitySuggestion(cityInput, country) {
-        // Handle null/undefined input
-        if (!cityInput || typeof cityInput !== 'string') {
-            logger.warn('Invalid city input provided', { cityInput });
-            return 'New York'; // Default fallback
-        }
-
-        // Common city mappings for autocomplete (matching Laravel implementation)
-        const cityMappings = {
-            'Pakistan': {
-                'pesh': 'Peshawar (Khyber Pakhtunkhwa)',
-                'peshawar': 'Peshawar (Khyber Pakhtunkhwa)',
-                'karachi': 'Karachi (Sindh)',
-                'lahore': 'Lahore (Punjab)',
-                'islamabad': 'Islamabad (Federal Territory)',
-                'rawalpindi': 'Rawalpindi (Punjab)',
-                'faisalabad': 'Faisalabad (Punjab)',
-                'multan': 'Multan (Punjab)',
-                'quetta': 'Quetta (Balochistan)',
-            },
-            'United States': {
-                'new york': 'New York (New York)',
-                'los angeles': 'Los Angeles (California)',
-                'chicago': 'Chicago (Illinois)',
-                'houston': 'Houston (Texas)',
-                'phoenix': 'Phoenix (Arizona)',
-                'philadelphia': 'Philadelphia (Pennsylvania)',
-                'san antonio': 'San Antonio (Texas)',
-                'san diego': 'San Diego (California)',
-                'dallas': 'Dallas (Texas)',
-                'san jose': 'San Jose (California)',
-            },
-            'United Kingdom': {
-                'london': 'London (England)',
-                'birmingham': 'Birmingham (England)',
-                'manchester': 'Manchester (England)',
-                'glasgow': 'Glasgow (Scotland)',
-                'liverpool': 'Liverpool (England)',
-                'leeds': 'Leeds (England)',
-                'sheffield': 'Sheffield (England)',
-                'edinburgh': 'Edinburgh (Scotland)',
-                'bristol': 'Bristol (England)',
-                'cardiff': 'Cardiff (Wales)',
-            },
-            'India': {
-                'mumbai': 'Mumbai (Maharashtra)',
-                'delhi': 'Delhi (Delhi)',
-                'bangalore': 'Bangalore (Karnataka)',
-                'hyderabad': 'Hyderabad (Telangana)',
-                'ahmedabad': 'Ahmedabad (Gujarat)',
-                'chennai': 'Chennai (Tamil Nadu)',
-                'kolkata': 'Kolkata (West Bengal)',
-                'surat': 'Surat (Gujarat)',
-                'pune': 'Pune (Maharashtra)',
-                'jaipur': 'Jaipur (Rajasthan)',
-            },
-        };
-
-        const input = cityInput.toLowerCase().trim();
-
-        // Check if we have mappings for this country
-        if (cityMappings[country]) {
-            const countryMappings = cityMappings[country];
-
-            // Try exact match first
-            if (countryMappings[input]) {
-                return countryMappings[input];
-            }
-
-            // Try partial match
-            for (const [key, value] of Object.entries(countryMappings)) {
-                if (key.includes(input) || input.includes(key)) {
-                    return value;
-                }
-            }
-        }
-
-        // If no match found, return the original input (website might handle it)
-        // The website will auto-populate the Country field based on the City
-        return cityInput;
-    }
-
-    /**
-     * Get country code from country name
-     */
-    getCountryCode(countryName) {
-        const countryMappings = {
-            'Pakistan': 'PK',
-            'United States': 'US',
-            'United Kingdom': 'GB',
-            'Canada': 'CA',
-            'Australia': 'AU',
-            'India': 'IN',
-            'China': 'CN',
-            'Japan': 'JP',
-            'Germany': 'DE',
-            'France': 'FR',
-            'Italy': 'IT',
-            'Spain': 'ES',
-            'Brazil': 'BR',
-            'Mexico': 'MX',
-            'Russia': 'RU',
-            'South Africa': 'ZA',
-            'Egypt': 'EG',
-            'Turkey': 'TR',
-            'Iran': 'IR',
-            'Iraq': 'IQ',
-            'Afghanistan': 'AF',
-            'Bangladesh': 'BD',
-            'Sri Lanka': 'LK',
-            'Nepal': 'NP',
-            'Bhutan': 'BT',
-            'Maldives': 'MV'
-        };
-
-        return countryMappings[countryName] || null;
-    }
-
-    /**
-     * Get city suggestion from autocomplete (legacy method - keeping for fallback)
-     */
-    getCitySuggestionLegacy(cityInput, country) {
-        // Common city mappings for autocomplete
-        const cityMappings = {
-            'Pakistan': {
-                'pesh': 'Peshawar (Khyber Pakhtunkhwa)',
-                'peshawar': 'Peshawar (Khyber Pakhtunkhwa)',
-                'karachi': 'Karachi (Sindh)',
-                'lahore': 'Lahore (Punjab)',
-                'islamabad': 'Islamabad (Federal Territory)',
-                'rawalpindi': 'Rawalpindi (Punjab)',
-                'faisalabad': 'Faisalabad (Punjab)',
-                'multan': 'Multan (Punjab)',
-                'quetta': 'Quetta (Balochistan)',
-            },
-            'United States': {
-                'new york': 'New York (New York)',
-                'los angeles': 'Los Angeles (California)',
-                'chicago': 'Chicago (Illinois)',
-                'houston': 'Houston (Texas)',
-                'phoenix': 'Phoenix (Arizona)',
-                'philadelphia': 'Philadelphia (Pennsylvania)',
-                'san antonio': 'San Antonio (Texas)',
-                'san diego': 'San Diego (California)',
-                'dallas': 'Dallas (Texas)',
-                'san jose': 'San Jose (California)',
-            },
-            'United Kingdom': {
-                'london': 'London (England)',
-                'birmingham': 'Birmingham (England)',
-                'manchester': 'Manchester (England)',
-                'glasgow': 'Glasgow (Scotland)',
-                'liverpool': 'Liverpool (England)',
-                'leeds': 'Leeds (England)',
-                'sheffield': 'Sheffield (England)',
-                'edinburgh': 'Edinburgh (Scotland)',
-                'bristol': 'Bristol (England)',
-                'cardiff': 'Cardiff (Wales)',
-            },
-            'India': {
-                'mumbai': 'Mumbai (Maharashtra)',
-                'delhi': 'Delhi (Delhi)',
-                'bangalore': 'Bangalore (Karnataka)',
-                'hyderabad': 'Hyderabad (Telangana)',
-                'chennai': 'Chennai (Tamil Nadu)',
-                'kolkata': 'Kolkata (West Bengal)',
-                'pune': 'Pune (Maharashtra)',
-                'ahmedabad': 'Ahmedabad (Gujarat)',
-                'jaipur': 'Jaipur (Rajasthan)',
-                'lucknow': 'Lucknow (Uttar Pradesh)',
-            },
-        };
-
-        const input = cityInput.toLowerCase().trim();
-
-        // Check if we have mappings for this country
-        if (cityMappings[country]) {
-            const countryCities = cityMappings[country];
-
-            // Try exact match first
-            if (countryCities[input]) {
-                return countryCities[input];
-            }
-
-            // Try partial match
-            for (const [key, value] of Object.entries(countryCities)) {
-                if (key.startsWith(input) || input.startsWith(key)) {
-                    return value;
-                }
-            }
-        }
-
-        // If no match found, return the original input (website might handle it)
-        logger.warn('No city mapping found', { cityInput, country });
-        return cityInput;
-    }
-
-    /**
-     * Get timezone for a city (simplified mapping)
-     */
-    getTimezoneForCity(city) {
-        // Simplified timezone mappings (matching Laravel exactly)
-        const timezoneMappings = {
-            'Pakistan': 'Asia/Karachi',
-            'Peshawar': 'Asia/Karachi',
-            'Karachi': 'Asia/Karachi',
-            'Lahore': 'Asia/Karachi',
-            'Islamabad': 'Asia/Karachi',
-            'United States': 'America/New_York',
-            'United Kingdom': 'Europe/London',
-            'India': 'Asia/Kolkata',
-            'New York': 'America/New_York', // Add specific city mappings
-            'Los Angeles': 'America/Los_Angeles',
-            'Chicago': 'America/Chicago',
-            'London': 'Europe/London',
-            'Paris': 'Europe/Paris',
-            'Tokyo': 'Asia/Tokyo',
-            'Sydney': 'Australia/Sydney',
-        };
-
-        for (const [key, timezone] of Object.entries(timezoneMappings)) {
-            if (city.toLowerCase().includes(key.toLowerCase())) {
-                return timezone;
-            }
-        }
-
-        // Default timezone
-        return 'UTC';
-    }
-
     /**
      * Parse the chart response page
      */
@@ -515,13 +228,7 @@ class JovianArchiveService {
 
         if (chartContainer.length === 0) {
             logger.warn('Chart results container not found - may be JavaScript response');
-            return {
-                chart_properties: {},
-                design_data: [],
-                personality_data: [],
-                chart_image_url: null,
-                download_data: null,
-            };
+            return fromScraperData({}, this.source);
         }
 
         // Extract chart properties from the chart_properties div
@@ -539,13 +246,13 @@ class JovianArchiveService {
         // Extract download data
         const downloadData = this.extractDownloadData($);
 
-        const result = {
+        const result = fromScraperData({
             chart_properties: chartProperties,
             design_data: designData,
             personality_data: personalityData,
             chart_image_url: chartImageUrl,
             download_data: downloadData,
-        };
+        }, this.source);
 
         logger.info('Chart parsing completed', {
             propertiesCount: Object.keys(chartProperties).length,
@@ -0,0 +1,154 @@
+const logger = require('../utils/logger');
+const ChartProvider = require('./ChartProvider');
+const { BODIES, getLongitudes, findSolarArcMoment } = require('../utils/ephemeris');
+const { longitudeToActivation } = require('../utils/mandala');
+
+// Maia Mechanics conventions: planet.activation 1 is the personality
+// (conscious) side and 0 the design side; gate modes use the same values
+// with 2 for gates activated on both sides
+const PERSONALITY = 1;
+const DESIGN = 0;
+const BOTH = 2;
+
+/**
+ * Offline chart provider: calculates planetary positions locally instead of
+ * calling a remote service, so it works without MAIA_CALCULATOR_TOKEN or a
+ * network connection.
+ *
+ * Resolves with a Maia Mechanics shaped payload ({ chart, meta }) so the
+ * result goes through ChartController.transformToReadableFormat like Maia's.
+ */
+class LocalCalculatorService extends ChartProvider {
+    constructor() {
+        super({
+            name: 'local',
+            label: 'local calculator',
+            source: 'local_calculation',
+            responseFormat: 'maia'
+        });
+    }
+
+    async submitBirthData(birthData) {
+        try {
+            const { birthDate, timezone } = this.resolveBirthMoment(birthData);
+
+            logger.info('Local calculator: calculating chart', {
+                birthDateUtc: birthDate.toISOString(),
+                timezone
+            });
+
+            const designDate = findSolarArcMoment(birthDate, 88);
+            const chart = this.calculateChart(birthDate, designDate);
+
+            return {
+                success: true,
+                data: {
+                    chart,
+                    meta: {
+                        name: birthData.name,
+                        birthData: {
+                            time: {
+                                local: this.formatLocalTime(birthData),
+                                utc: birthDate.toISOString(),
+                                design: designDate.toISOString()
+                            },
+                            location: {
+                                city: birthData.city,
+                                country: birthData.country,
+                                timezone
+                            }
+                        }
+                    }
+                }
+            };
+        } catch (error) {
+            logger.error('Local chart calculation failed', {
+                error: error.message,
+                stack: error.stack
+            });
+            return { success: false, error: error.message };
+        }
+    }
+
+    hasChartData(data) {
+        return !!(data && data.chart && Array.isArray(data.chart.planets));
+    }
+
+    /**
+     * UTC birth moment, the time zone and the UTC offset used to get it
+     */
+    resolveBirthMoment(birthData) {
+        const { date, timezone, offsetMinutes, transition } = this.resolveBirthTime(birthData);
+        if (!date) {
+            throw new Error(`Local birth time falls in a DST ${transition} in ${timezone}; dst_choice is required`);
+        }
+
+        return { birthDate: date, timezone, offsetMinutes };
+    }
+
+    /**
+     * Exact UTC moment the Sun was 88° of arc before its birth position
+     */
+    calculateDesignDate(birthData) {
+        return findSolarArcMoment(this.resolveBirthMoment(birthData).birthDate, 88);
+    }
+
+    /**
+     * Calculate personality and design activations for the birth and design moments
+     */
+    calculateChart(birthDate, designDate = findSolarArcMoment(birthDate, 88)) {
+        const personality = this.calculateActivations(birthDate, PERSONALITY);
+        const design = this.calculateActivations(designDate, DESIGN);
+        const planets = [...design, ...personality];
+
+        const personalitySun = personality.find(planet => planet.id === 0);
+        const designSun = design.find(planet => planet.id === 0);
+
+        return {
+            planets,
+            gates: this.collectGates(planets),
+            profile: personalitySun.line * 10 + designSun.line
+        };
+    }
+
+    /**
+     * Activations of all thirteen bodies at one moment
+     */
+    calculateActivations(date, activation) {
+        const longitudes = getLongitudes(date);
+
+        return BODIES.map(body => {
+            const position = longitudeToActivation(longitudes[body.key]);
+            return {
+                id: body.id,
+                activation,
+                longitude: Number(longitudes[body.key].toFixed(6)),
+                ...position
+            };
+        });
+    }
+
+    /**
+     * Unique activated gates with their mode
+     */
+    collectGates(planets) {
+        const modes = new Map();
+
+        planets.forEach(planet => {
+            const current = modes.get(planet.gate);
+            const mode = planet.activation;
+            modes.set(planet.gate, current === undefined || current === mode ? mode : BOTH);
+        });
+
+        return Array.from(modes.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([gate, mode]) => ({ gate, mode }));
+    }
+
+    formatLocalTime({ year, month, day, hour, minute, second = 0 }) {
+        const pad = (value) => String(value || 0).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+    }
+}
+
+module.exports = LocalCalculatorService;
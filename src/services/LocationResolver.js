@@ -0,0 +1,213 @@
+const { COUNTRIES } = require('../data/countries');
+const { CITIES } = require('../data/cities');
+
+const MATCH_SCORES = { name: 4, alternate: 3, prefix: 2, word: 1 };
+const MAX_CANDIDATES = 10;
+
+/**
+ * Lowercase ASCII form of a name for matching: accents removed and
+ * punctuation collapsed to single spaces
+ */
+const normalize = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const slugify = (value) => normalize(value).replace(/ /g, '-');
+
+let index = null;
+
+/**
+ * Build the country and city lookups once, on first use
+ */
+const getIndex = () => {
+    if (index) return index;
+
+    const countries = new Map();
+    const countryNames = new Map();
+    COUNTRIES.forEach(country => {
+        countries.set(country.code, country);
+        [country.code, country.iso3, country.name, ...country.aliases].forEach(name => {
+            countryNames.set(normalize(name), country);
+        });
+    });
+
+    const locations = new Map();
+    const entries = CITIES.map(([name, alternateNames, admin1, countryCode, latitude, longitude, population, timezone]) => {
+        const country = countries.get(countryCode);
+        const location = {
+            id: `${countryCode.toLowerCase()}-${slugify(admin1)}-${slugify(name)}`,
+            name,
+            admin1,
+            country: country.name,
+            country_code: country.code,
+            country_iso3: country.iso3,
+            latitude,
+            longitude,
+            timezone,
+            population,
+            label: `${name} (${admin1})`
+        };
+        locations.set(location.id, location);
+
+        return {
+            location,
+            names: [name, ...alternateNames].map(normalize),
+            qualifiers: [admin1, country.code, country.iso3, country.name, ...country.aliases].map(normalize)
+        };
+    });
+
+    index = { countries, countryNames, locations, entries };
+    return index;
+};
+
+/**
+ * How well a normalized query matches one of a city's names (its own name
+ * first): the whole name, the whole of an alternate name, the start of a
+ * name, or the start of a later word of a name
+ */
+const matchScore = (query, names) => {
+    let best = 0;
+
+    names.forEach((name, position) => {
+        if (name === query) {
+            best = Math.max(best, position === 0 ? MATCH_SCORES.name : MATCH_SCORES.alternate);
+        } else if (name.startsWith(query)) {
+            best = Math.max(best, MATCH_SCORES.prefix);
+        } else if (name.split(' ').some(word => word.startsWith(query))) {
+            best = Math.max(best, MATCH_SCORES.word);
+        }
+    });
+
+    return best;
+};
+
+/**
+ * Offline gazetteer of countries and cities (src/data/countries.js and
+ * src/data/cities.js) with ISO codes, coordinates and IANA time zones.
+ *
+ * City input may carry its region or country after a comma or in
+ * parentheses, as in "Hyderabad, Sindh" or "Peshawar (Khyber Pakhtunkhwa)".
+ */
+class LocationResolver {
+    /**
+     * Country by ISO code, name or alias, or by the start of a name when
+     * only one country matches it; null otherwise
+     */
+    findCountry(input) {
+        const query = normalize(input);
+        if (!query) return null;
+
+        const { countryNames } = getIndex();
+        if (countryNames.has(query)) {
+            return countryNames.get(query);
+        }
+
+        if (query.length < 3) return null;
+
+        const matches = new Set();
+        countryNames.forEach((country, name) => {
+            if (name.startsWith(query)) matches.add(country);
+        });
+
+        return matches.size === 1 ? matches.values().next().value : null;
+    }
+
+    /**
+     * Location by its id, or null
+     */
+    getById(id) {
+        return getIndex().locations.get(String(id || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Cities matching the query, best match first (then by population).
+     * options.country restricts the results to one country.
+     */
+    search(query, { country = null, limit = 10 } = {}) {
+        const countryFilter = country ? this.findCountry(country) : null;
+
+        return this.rank(query, countryFilter ? countryFilter.code : null)
+            .slice(0, limit)
+            .map(match => match.location);
+    }
+
+    /**
+     * Scored matches ({ location, score }) for a city query, optionally
+     * within one country code, best first
+     */
+    rank(query, countryCode = null) {
+        const [cityPart, ...qualifierParts] = String(query || '').split(/[,()]/);
+        const cityQuery = normalize(cityPart);
+        const qualifiers = qualifierParts.map(normalize).filter(Boolean);
+        if (!cityQuery) return [];
+
+        return getIndex().entries
+            .filter(entry => !countryCode || entry.location.country_code === countryCode)
+            .filter(entry => qualifiers.every(qualifier => entry.qualifiers.some(name => name.startsWith(qualifier))))
+            .map(entry => ({ location: entry.location, score: matchScore(cityQuery, entry.names) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || b.location.population - a.location.population);
+    }
+
+    /**
+     * Match a birth record's city and country to one place. Only a city
+     * that is exactly the name or an alternate name of a place is accepted;
+     * the start of a name ("Pesh") or a word of it ("York") is never taken
+     * as the place. A place named exactly the city wins over places that
+     * only have it as an alternate name ("London" over the "City of
+     * London"). Returns { location, reason: null, candidates: [] } when
+     * a single place matches exactly; otherwise location is null and
+     * reason is
+     *   'ambiguous'        several places match exactly (candidates)
+     *   'partial'          places only start with the city (candidates)
+     *   'unknown_country'  the country is not recognised
+     *   'not_found'        no city of that name in the country
+     * with candidates from any country for the last two.
+     */
+    match({ city, country } = {}) {
+        const countryFilter = this.findCountry(country);
+        const elsewhere = () => this.search(city, { limit: MAX_CANDIDATES });
+
+        if (country && !countryFilter) {
+            return { location: null, reason: 'unknown_country', candidates: elsewhere() };
+        }
+
+        const matches = this.rank(city, countryFilter ? countryFilter.code : null);
+        if (matches.length === 0) {
+            return { location: null, reason: 'not_found', candidates: countryFilter ? elsewhere() : [] };
+        }
+
+        const exact = matches.filter(match => match.score >= MATCH_SCORES.alternate);
+        if (exact.length === 0) {
+            return {
+                location: null,
+                reason: 'partial',
+                candidates: matches.slice(0, MAX_CANDIDATES).map(match => match.location)
+            };
+        }
+        const named = exact.filter(match => match.score === MATCH_SCORES.name);
+        const accepted = named.length > 0 ? named : exact;
+        if (accepted.length > 1) {
+            return {
+                location: null,
+                reason: 'ambiguous',
+                candidates: exact.slice(0, MAX_CANDIDATES).map(match => match.location)
+            };
+        }
+
+        return { location: accepted[0].location, reason: null, candidates: [] };
+    }
+
+    /**
+     * The one gazetteer place a birth record's city and country match
+     * exactly, or null when there is no such place or more than one
+     */
+    resolve(birthData = {}) {
+        return this.match(birthData).location;
+    }
+}
+
+module.exports = LocationResolver;
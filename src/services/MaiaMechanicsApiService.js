@@ -1,8 +1,16 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const ChartProvider = require('./ChartProvider');
 
-class MaiaMechanicsApiService {
+class MaiaMechanicsApiService extends ChartProvider {
     constructor() {
+        super({
+            name: 'maia',
+            label: 'Maia Mechanics API',
+            source: 'maia_mechanics',
+            responseFormat: 'maia'
+        });
+
         this.baseUrl = process.env.MAIA_MECHANICS_API_URL || 'https://app.maiamechanics.com/api-v2/api/web-calculator/server-side-generation';
         this.calculatorToken = process.env.MAIA_CALCULATOR_TOKEN || '';
     }
@@ -19,16 +27,31 @@ class MaiaMechanicsApiService {
                 tokenLength: this.calculatorToken.length 
             });
 
-            const { name, email, day, month, year, hour, minute } = birthData;
-            const countryName = birthData.country || '';
-            const cityName = birthData.city || '';
-
-            const countryCode = this.getCountryCode(countryName) || countryName;
-            const timezone = this.getTimezoneForCity(cityName) || 'UTC';
+            const { name, email } = birthData;
+            const {
+                location,
+                country: countryName,
+                countryCode,
+                city: cityName,
+                timezone
+            } = this.resolveLocation(birthData);
+            const birthTime = this.resolveBirthTime(birthData);
+            if (!birthTime.date) {
+                throw new Error(`Local birth time falls in a DST ${birthTime.transition} in ${birthTime.timezone}; dst_choice is required`);
+            }
 
-            // Build ISO date/time strings
-            const dateIso = new Date(Date.UTC(year, (month || 1) - 1, day || 1, 0, 0, 0, 0)).toISOString();
-            const timeIso = new Date(Date.UTC(year, (month || 1) - 1, day || 1, hour || 0, minute || 0, 0, 0)).toISOString();
+            // The birth moment converted to UTC with the tz database rather
+            // than left to the API. Maia is told the time is UTC
+            // (timeInUtc), so the date is the UTC calendar day of that same
+            // moment, which is the day before or after the local date when
+            // the offset crosses midnight.
+            const birthMoment = birthTime.date;
+            const dateIso = new Date(Date.UTC(
+                birthMoment.getUTCFullYear(),
+                birthMoment.getUTCMonth(),
+                birthMoment.getUTCDate()
+            )).toISOString();
+            const timeIso = birthMoment.toISOString();
 
             const payload = {
                 docType: 'rave',
@@ -49,8 +72,10 @@ class MaiaMechanicsApiService {
                     country: countryCode,
                     city: cityName,
                     timezone,
-                    timeInUtc: !!birthData.timezone_utc,
+                    timeInUtc: true,
                     time: timeIso.replace(/\.\d{3}Z$/, 'Z'),
+                    // A place given as coordinates has no name Maia can look up
+                    ...(location && !location.id ? { latitude: location.latitude, longitude: location.longitude } : {}),
                 },
             };
 
@@ -95,28 +120,8 @@ class MaiaMechanicsApiService {
         }
     }
 
-    getCountryCode(countryName) {
-        const map = {
-            'Pakistan': 'PK',
-            'United States': 'US', 'USA': 'US', 'United States of America': 'US',
-            'United Kingdom': 'GB', 'UK': 'GB', 'Great Britain': 'GB',
-            'Canada': 'CA', 'Australia': 'AU', 'India': 'IN', 'China': 'CN', 'Japan': 'JP',
-            'Germany': 'DE', 'France': 'FR', 'Italy': 'IT', 'Spain': 'ES', 'Brazil': 'BR',
-            'Mexico': 'MX', 'Russia': 'RU', 'South Africa': 'ZA', 'Egypt': 'EG', 'Turkey': 'TR',
-        };
-        return map[countryName] || null;
-    }
-
-    getTimezoneForCity(city) {
-        const tz = {
-            'Peshawar': 'Asia/Karachi', 'Karachi': 'Asia/Karachi', 'Lahore': 'Asia/Karachi', 'Islamabad': 'Asia/Karachi',
-            'New York': 'America/New_York', 'Los Angeles': 'America/Los_Angeles', 'Chicago': 'America/Chicago',
-            'London': 'Europe/London', 'Paris': 'Europe/Paris', 'Tokyo': 'Asia/Tokyo', 'Sydney': 'Australia/Sydney',
-        };
-        for (const key of Object.keys(tz)) {
-            if ((city || '').toLowerCase().includes(key.toLowerCase())) return tz[key];
-        }
-        return 'UTC';
+    hasChartData(data) {
+        return !!(data && (data.chart || data.meta));
     }
 }
 
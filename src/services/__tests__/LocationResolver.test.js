@@ -0,0 +1,155 @@
+const LocationResolver = require('../LocationResolver');
+
+const resolver = new LocationResolver();
+
+describe('LocationResolver', () => {
+    describe('findCountry', () => {
+        it.each(['PK', 'pak', 'Pakistan', 'pakistan'])('finds Pakistan from %s', (input) => {
+            expect(resolver.findCountry(input).code).toBe('PK');
+        });
+
+        it('finds a country by alias', () => {
+            expect(resolver.findCountry('DRC').code).toBe('CD');
+            expect(resolver.findCountry('UK').code).toBe('GB');
+        });
+
+        it('accepts the start of a name only when one country starts with it', () => {
+            expect(resolver.findCountry('Germ').code).toBe('DE');
+            expect(resolver.findCountry('Nig')).toBeNull();
+        });
+
+        it('is null for an unknown country', () => {
+            expect(resolver.findCountry('Narnia')).toBeNull();
+            expect(resolver.findCountry('')).toBeNull();
+        });
+    });
+
+    describe('getById', () => {
+        it('returns the location with its coordinates and time zone', () => {
+            expect(resolver.getById('pk-khyber-pakhtunkhwa-peshawar')).toMatchObject({
+                name: 'Peshawar',
+                admin1: 'Khyber Pakhtunkhwa',
+                country: 'Pakistan',
+                country_code: 'PK',
+                country_iso3: 'PAK',
+                timezone: 'Asia/Karachi',
+                label: 'Peshawar (Khyber Pakhtunkhwa)'
+            });
+        });
+
+        it('ignores the case of the id', () => {
+            expect(resolver.getById('PK-KHYBER-PAKHTUNKHWA-PESHAWAR').id).toBe('pk-khyber-pakhtunkhwa-peshawar');
+        });
+
+        it('is null for an unknown id', () => {
+            expect(resolver.getById('pk-nowhere')).toBeNull();
+        });
+    });
+
+    describe('resolve', () => {
+        it('matches a city in its country', () => {
+            expect(resolver.resolve({ city: 'Peshawar', country: 'Pakistan' }).timezone).toBe('Asia/Karachi');
+        });
+
+        it('matches names with or without accents', () => {
+            expect(resolver.resolve({ city: 'São Paulo', country: 'Brazil' }).id).toBe('br-sao-paulo-sao-paulo');
+            expect(resolver.resolve({ city: 'Sao Paulo', country: 'BR' }).id).toBe('br-sao-paulo-sao-paulo');
+        });
+
+        it('reads a region after a comma or in parentheses', () => {
+            expect(resolver.resolve({ city: 'Hyderabad, Sindh' }).id).toBe('pk-sindh-hyderabad');
+            expect(resolver.resolve({ city: 'Peshawar (Khyber Pakhtunkhwa)', country: 'PK' }).id).toBe('pk-khyber-pakhtunkhwa-peshawar');
+        });
+
+        it('is null for a place it cannot pin down', () => {
+            expect(resolver.resolve({ city: 'Nowhereville', country: 'Pakistan' })).toBeNull();
+        });
+    });
+
+    describe('search', () => {
+        it('ranks a whole name before the start of a name, then by population', () => {
+            const ids = resolver.search('york', { country: 'US', limit: 3 }).map(location => location.id);
+
+            expect(ids[0]).toBe('us-pennsylvania-york');
+            expect(ids).toContain('us-new-york-new-york-city');
+        });
+
+        it('completes the start of a name', () => {
+            expect(resolver.search('pesh', { limit: 1 })[0].id).toBe('pk-khyber-pakhtunkhwa-peshawar');
+        });
+
+        it('restricts the results to one country', () => {
+            const results = resolver.search('hyderabad', { country: 'India' });
+
+            expect(results.length).toBeGreaterThan(0);
+            expect(results.every(location => location.country_code === 'IN')).toBe(true);
+        });
+
+        it('returns at most limit results', () => {
+            expect(resolver.search('san', { limit: 5 })).toHaveLength(5);
+        });
+
+        it('returns nothing for an empty query', () => {
+            expect(resolver.search('')).toEqual([]);
+        });
+    });
+
+    describe('match', () => {
+        it('accepts a place named exactly the city', () => {
+            expect(resolver.match({ city: 'Peshawar', country: 'Pakistan' })).toEqual({
+                location: resolver.getById('pk-khyber-pakhtunkhwa-peshawar'),
+                reason: null,
+                candidates: []
+            });
+        });
+
+        it('prefers a place named the city over places with it as an alternate name', () => {
+            expect(resolver.match({ city: 'London', country: 'UK' }).location.id).toBe('gb-england-london');
+        });
+
+        it('accepts an alternate name', () => {
+            expect(resolver.match({ city: 'New York', country: 'USA' }).location.id).toBe('us-new-york-new-york-city');
+        });
+
+        it('reports several exact matches as ambiguous', () => {
+            const { location, reason, candidates } = resolver.match({ city: 'Hyderabad' });
+
+            expect(location).toBeNull();
+            expect(reason).toBe('ambiguous');
+            expect(candidates.map(candidate => candidate.id)).toEqual(
+                expect.arrayContaining(['in-telangana-hyderabad', 'pk-sindh-hyderabad'])
+            );
+        });
+
+        it('never takes the start of a name as the place', () => {
+            const { location, reason, candidates } = resolver.match({ city: 'Pesh', country: 'Pakistan' });
+
+            expect(location).toBeNull();
+            expect(reason).toBe('partial');
+            expect(candidates[0].id).toBe('pk-khyber-pakhtunkhwa-peshawar');
+        });
+
+        it('never takes a word of a name as the place', () => {
+            const { reason, candidates } = resolver.match({ city: 'Angeles', country: 'US' });
+
+            expect(reason).toBe('partial');
+            expect(candidates[0].id).toBe('us-california-los-angeles');
+        });
+
+        it('suggests places in any country for an unknown country', () => {
+            const { location, reason, candidates } = resolver.match({ city: 'Peshawar', country: 'Narnia' });
+
+            expect(location).toBeNull();
+            expect(reason).toBe('unknown_country');
+            expect(candidates[0].id).toBe('pk-khyber-pakhtunkhwa-peshawar');
+        });
+
+        it('reports a city missing from the country as not found', () => {
+            expect(resolver.match({ city: 'Peshawar', country: 'India' })).toMatchObject({
+                location: null,
+                reason: 'not_found',
+                candidates: [expect.objectContaining({ id: 'pk-khyber-pakhtunkhwa-peshawar' })]
+            });
+        });
+    });
+});
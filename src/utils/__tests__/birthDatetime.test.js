@@ -0,0 +1,93 @@
+const { parseBirthDatetime } = require('../birthDatetime');
+
+describe('parseBirthDatetime', () => {
+    describe('numeric dates', () => {
+        it('rejects a day and month that could be either way round', () => {
+            const result = parseBirthDatetime('03/04/1990');
+
+            expect(result.error).toMatch(/ambiguous/);
+            expect(result.error).toMatch(/3 April 1990 or 4 March 1990/);
+        });
+
+        it('accepts a day and month that read the same either way round', () => {
+            expect(parseBirthDatetime('04/04/1990')).toMatchObject({ year: 1990, month: 4, day: 4 });
+        });
+
+        it('reads a first number above 12 as the day', () => {
+            expect(parseBirthDatetime('15/06/1990 14:30')).toMatchObject({
+                year: 1990, month: 6, day: 15, hour: 14, minute: 30
+            });
+        });
+
+        it('reads a second number above 12 as the day', () => {
+            expect(parseBirthDatetime('06/15/1990')).toMatchObject({ year: 1990, month: 6, day: 15 });
+        });
+
+        it('rejects a two-digit year', () => {
+            expect(parseBirthDatetime('15/06/90').error).toMatch(/two-digit year/);
+        });
+    });
+
+    describe('ISO 8601', () => {
+        it('reads a positive offset in minutes', () => {
+            expect(parseBirthDatetime('1990-06-15T14:30:00+05:30')).toMatchObject({
+                hour: 14, minute: 30, offsetMinutes: 330
+            });
+        });
+
+        it('reads a negative offset without a colon', () => {
+            expect(parseBirthDatetime('1990-06-15T14:30:00-0330').offsetMinutes).toBe(-210);
+        });
+
+        it('reads Z as UTC', () => {
+            expect(parseBirthDatetime('1990-06-15T14:30:00Z').offsetMinutes).toBe(0);
+        });
+
+        it('leaves the offset null when none is given', () => {
+            expect(parseBirthDatetime('1990-06-15T14:30').offsetMinutes).toBeNull();
+        });
+
+        it.each([
+            ['1990-06-15T24:30', 'Hour must be between 0 and 23'],
+            ['1990-06-15T14:61:00Z', 'Minute must be between 0 and 59'],
+            ['1990-06-15T14:30:75+05:00', 'Second must be between 0 and 59']
+        ])('range-checks the time of %s', (value, error) => {
+            expect(parseBirthDatetime(value)).toEqual({ error });
+        });
+
+        it.each(['+25:00', '+05:99', '+14:30'])('rejects the offset %s', (offset) => {
+            expect(parseBirthDatetime(`1990-06-15T14:30:00${offset}`).error).toMatch(/at most 14 hours/);
+        });
+
+        it('accepts an offset of 14 hours', () => {
+            expect(parseBirthDatetime('1990-06-15T14:30:00-14:00').offsetMinutes).toBe(-840);
+        });
+
+        it('has no time for a date alone', () => {
+            const result = parseBirthDatetime('1990-06-15');
+
+            expect(result).toMatchObject({ year: 1990, month: 6, day: 15 });
+            expect(result.hour).toBeUndefined();
+        });
+    });
+
+    describe('month names', () => {
+        it('reads a pm time', () => {
+            expect(parseBirthDatetime('June 15 1990 2:30pm')).toMatchObject({
+                year: 1990, month: 6, day: 15, hour: 14, minute: 30
+            });
+        });
+
+        it('reads 12am as midnight', () => {
+            expect(parseBirthDatetime('15 June 1990 12:05am')).toMatchObject({ hour: 0, minute: 5 });
+        });
+
+        it('rejects an am/pm hour above 12', () => {
+            expect(parseBirthDatetime('June 15 1990 13:30pm').error).toMatch(/not a valid time/);
+        });
+    });
+
+    it('rejects an empty value', () => {
+        expect(parseBirthDatetime('')).toEqual({ error: 'Birth datetime is empty' });
+    });
+});
@@ -0,0 +1,61 @@
+const { escapeXml, renderBodygraph } = require('../bodygraphSvg');
+
+const chart = {
+    birth_data: { name: 'Tom & <Jerry>' },
+    properties: { type: 'Manifesting Generator', profile: 'Unknown', authority: 'Sacral' },
+    chart_data: {
+        gates: [{ gate: 20, mode: 0 }, { gate: 34, mode: 1 }, { gate: 5, mode: 2 }]
+    }
+};
+
+const count = (svg, pattern) => (svg.match(pattern) || []).length;
+
+describe('escapeXml', () => {
+    it('escapes markup characters', () => {
+        expect(escapeXml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+});
+
+describe('renderBodygraph', () => {
+    const svg = renderBodygraph(chart);
+
+    it('is a standalone SVG document', () => {
+        expect(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+        expect(svg.trim().endsWith('</svg>')).toBe(true);
+    });
+
+    it('draws the nine centers, filling the defined ones', () => {
+        expect(count(svg, /<polygon class="center /g)).toBe(9);
+        expect(count(svg, /<polygon class="center defined"/g)).toBe(2);
+        expect(svg).toContain('<title>Throat (defined)</title>');
+        expect(svg).toContain('<title>Sacral (defined)</title>');
+        expect(svg).toContain('<title>Spleen (open)</title>');
+    });
+
+    it('colours defined channels and the half channels of hanging gates', () => {
+        expect(svg).toMatch(/<g class="channel defined"><title>20-34 /);
+        expect(svg).toMatch(/<g class="channel open"><title>5-15 /);
+        expect(count(svg, /<g class="gate active">/g)).toBe(3);
+    });
+
+    it('escapes the name and leaves unknown properties out of the header', () => {
+        expect(svg).toContain('aria-label="Bodygraph of Tom &amp; &lt;Jerry&gt;"');
+        expect(svg).not.toContain('<Jerry>');
+        expect(svg).toContain('>Manifesting Generator · Sacral</text>');
+    });
+
+    it('lists the activations of a chart that has them', () => {
+        const withActivations = renderBodygraph({
+            birth_data: { name: 'Ann' },
+            chart_data: {
+                activations: {
+                    design: [{ planet: 'Sun', gate: 36, line: 4 }],
+                    personality: [{ planet: 'Sun', gate: 12, line: 2 }]
+                }
+            }
+        });
+
+        expect(withActivations).toMatch(/<g class="activations design">.*>36\.4<\/text>/);
+        expect(withActivations).toMatch(/<g class="activations personality">.*>12\.2<\/text>/);
+    });
+});
@@ -0,0 +1,61 @@
+const { compareCharts } = require('../chartDiff');
+
+const derived = { type: 'Generator', authority: 'Sacral', definition: 'Single', profile: '2/4' };
+
+// Chart as the controller finishes it: derived properties, plus what the
+// provider itself reported in validation.provider_properties
+const chart = ({ source = 'maia_mechanics', properties = derived, reported, channels = ['34-57'], sun = '13.2' } = {}) => ({
+    source,
+    properties,
+    chart_data: {
+        channels: channels.map(key => ({ key })),
+        activations: {
+            design: [{ planet: 'Sun', gate: 7, line: 4 }],
+            personality: [{ planet: 'Sun', gate: Number(sun.split('.')[0]), line: Number(sun.split('.')[1]) }]
+        }
+    },
+    validation: { provider_properties: reported || properties }
+});
+
+describe('compareCharts', () => {
+    it('compares what each provider reported rather than the derived properties', () => {
+        const primary = chart({ reported: { ...derived, type: 'Manifesting Generator' } });
+        const diff = compareCharts(primary, chart());
+
+        expect(diff.properties.type).toEqual({ primary: 'Manifesting Generator', secondary: 'Generator', match: false });
+        expect(diff.properties.authority.match).toBe(true);
+    });
+
+    it('takes the derived properties as the report of the local calculator', () => {
+        const unreported = { type: 'Unknown', authority: 'Unknown', definition: 'Unknown', profile: '2/4' };
+        const local = chart({ source: 'local_calculation', reported: unreported });
+        const diff = compareCharts(chart(), local);
+
+        expect(diff.properties.type).toEqual({ primary: 'Generator', secondary: 'Generator', match: true });
+        expect(diff.properties.authority.match).toBe(true);
+    });
+
+    it('skips properties a remote provider left out', () => {
+        const primary = chart({ reported: { ...derived, authority: 'Unknown' } });
+        const diff = compareCharts(primary, chart());
+
+        expect(diff.properties.authority).toEqual({ primary: null, secondary: 'Sacral', match: null });
+    });
+
+    it('lists the channels only one chart has', () => {
+        const diff = compareCharts(chart({ channels: ['34-57', '20-34'] }), chart());
+
+        expect(diff.channels).toMatchObject({ only_in_primary: ['20-34'], only_in_secondary: [], match: false });
+    });
+
+    it('scores the share of compared items that match', () => {
+        const diff = compareCharts(chart(), chart({ sun: '13.3' }));
+
+        // type, profile, authority, channels and two Sun activations
+        expect(diff.compared_items).toBe(6);
+        expect(diff.matching_items).toBe(5);
+        expect(diff.agreement_score).toBe(0.833);
+        expect(diff.activations.find(item => item.side === 'personality' && item.planet === 'Sun'))
+            .toMatchObject({ primary: '13.2', secondary: '13.3', match: false });
+    });
+});
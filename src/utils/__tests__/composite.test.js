@@ -0,0 +1,42 @@
+const { classifyChannel, buildComposite } = require('../composite');
+
+describe('classifyChannel', () => {
+    it.each([
+        [[1], [8], 'electromagnetic'],
+        [[1, 8], [1, 8], 'companionship'],
+        [[1, 8], [], 'dominance'],
+        [[], [1, 8], 'dominance'],
+        [[1, 8], [8], 'compromise']
+    ])('%j and %j is %s', (gatesA, gatesB, classification) => {
+        expect(classifyChannel(gatesA, gatesB)).toBe(classification);
+    });
+});
+
+describe('buildComposite', () => {
+    const composite = buildComposite([20, 34, 1, 7, 31], [20, 34, 8, 12, 22, 7]);
+
+    it('classifies every channel the two people define together', () => {
+        expect(composite.channels.map(channel => [channel.key, channel.classification, channel.gates_by_person])).toEqual([
+            ['1-8', 'electromagnetic', [[1], [8]]],
+            ['7-31', 'compromise', [[7, 31], [7]]],
+            ['12-22', 'dominance', [[], [12, 22]]],
+            ['20-34', 'companionship', [[20, 34], [20, 34]]]
+        ]);
+        expect(composite.summary).toEqual({ electromagnetic: 1, companionship: 1, dominance: 1, compromise: 1 });
+    });
+
+    it('derives the mechanics of the combined chart', () => {
+        expect(composite.defined_centers).toEqual(['throat', 'g', 'sacral', 'solar_plexus']);
+        expect(composite.type).toBe('Manifesting Generator');
+        expect(composite.definition).toBe('Single');
+    });
+
+    it('records which person defines each center alone', () => {
+        const definedAloneBy = (key) => composite.centers.find(center => center.key === key).defined_alone_by;
+
+        expect(definedAloneBy('g')).toEqual([true, false]);
+        expect(definedAloneBy('solar_plexus')).toEqual([false, true]);
+        expect(definedAloneBy('sacral')).toEqual([true, true]);
+        expect(definedAloneBy('head')).toEqual([false, false]);
+    });
+});
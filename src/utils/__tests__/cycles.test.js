@@ -0,0 +1,44 @@
+const { CYCLES, findCycle } = require('../cycles');
+const { getBodyLongitude, angularDifference } = require('../ephemeris');
+
+const birthDate = new Date('1990-06-15T09:30:00Z');
+
+describe('findCycle', () => {
+    it.each(Object.keys(CYCLES))('finds each exact pass of %s inside its age window', (key) => {
+        const cycle = findCycle(key, birthDate);
+
+        expect(cycle.supported).toBe(true);
+        expect(cycle.passes.length).toBeGreaterThanOrEqual(1);
+        expect(cycle.passes.length).toBeLessThanOrEqual(3);
+        cycle.passes.forEach(pass => {
+            expect(pass.getTime()).toBeGreaterThan(cycle.window.start.getTime());
+            expect(pass.getTime()).toBeLessThan(cycle.window.end.getTime());
+            expect(Math.abs(angularDifference(getBodyLongitude(cycle.body, pass), cycle.target_longitude))).toBeLessThan(0.001);
+        });
+    });
+
+    it('sets the age window from the birth moment', () => {
+        const cycle = findCycle('saturn-return', birthDate);
+
+        expect(cycle.window.start.toISOString()).toBe('2016-06-14T21:30:00.000Z');
+        expect(cycle.window.end.toISOString()).toBe('2022-06-15T09:30:00.000Z');
+    });
+
+    it('targets the point opposite the natal position for an opposition', () => {
+        const cycle = findCycle('uranus-opposition', birthDate);
+
+        expect(cycle.target_longitude).toBeCloseTo((cycle.natal_longitude + 180) % 360, 3);
+    });
+
+    it('reports every pass of a retrograde return', () => {
+        expect(findCycle('uranus-opposition', birthDate).passes.map(pass => pass.toISOString().slice(0, 10)))
+            .toEqual(['2034-07-29', '2035-01-07', '2035-05-17']);
+    });
+
+    it('searches no passes when the window is outside the ephemeris range', () => {
+        const cycle = findCycle('chiron-return', new Date('2020-01-01T00:00:00Z'));
+
+        expect(cycle.supported).toBe(false);
+        expect(cycle.passes).toEqual([]);
+    });
+});
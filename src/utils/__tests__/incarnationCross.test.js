@@ -0,0 +1,57 @@
+const { CATALOGUE, angleForProfile, getCrossById, resolveCross } = require('../incarnationCross');
+
+describe('incarnation cross catalogue', () => {
+    it('has 192 crosses with distinct names', () => {
+        expect(CATALOGUE).toHaveLength(192);
+        expect(new Set(CATALOGUE.map(cross => cross.name)).size).toBe(192);
+    });
+
+    it('numbers Right Angle 1-64, Juxtaposition 65-128 and Left Angle 129-192 by Sun gate', () => {
+        expect(getCrossById(13)).toMatchObject({ angle: 'Right Angle', gates: { personality_sun: 13 } });
+        expect(getCrossById(77)).toMatchObject({ angle: 'Juxtaposition', gates: { personality_sun: 13 } });
+        expect(getCrossById(141)).toMatchObject({ angle: 'Left Angle', gates: { personality_sun: 13 } });
+        expect(getCrossById(193)).toBeNull();
+    });
+});
+
+describe('angleForProfile', () => {
+    it.each([
+        ['1/3', 'right'],
+        ['2/4', 'right'],
+        ['4/6', 'right'],
+        ['4/1', 'juxtaposition'],
+        ['5/1', 'left'],
+        ['6/2', 'left'],
+        ['Unknown', null]
+    ])('%s is %s', (profile, angle) => {
+        expect(angleForProfile(profile)).toBe(angle);
+    });
+});
+
+describe('resolveCross', () => {
+    it('names a Right Angle cross with its quarter number', () => {
+        expect(resolveCross({ personalitySun: 12, profile: '2/4' })).toEqual({
+            id: 12,
+            angle: 'Right Angle',
+            name: 'Right Angle Cross of Eden 2',
+            quarter: 'Quarter of Civilization',
+            gates: { personality_sun: 12, personality_earth: 11, design_sun: 36, design_earth: 6 }
+        });
+    });
+
+    it('uses 15 gates between the Sun gates of Juxtaposition and Left Angle crosses', () => {
+        const gates = { personality_sun: 13, personality_earth: 7, design_sun: 43, design_earth: 23 };
+
+        expect(resolveCross({ personalitySun: 13, profile: '4/1' })).toMatchObject({ name: 'Juxtaposition Cross of Listening', gates });
+        expect(resolveCross({ personalitySun: 13, profile: '5/1' })).toMatchObject({ name: 'Left Angle Cross of Masks 1', gates });
+    });
+
+    it('numbers the two Left Angle crosses of a gate pair by quarter', () => {
+        expect(resolveCross({ personalitySun: 7, profile: '6/2' }).name).toBe('Left Angle Cross of Masks 2');
+    });
+
+    it('is null without a Sun gate or a valid profile', () => {
+        expect(resolveCross({ personalitySun: null, profile: '1/3' })).toBeNull();
+        expect(resolveCross({ personalitySun: 13, profile: 'Unknown' })).toBeNull();
+    });
+});
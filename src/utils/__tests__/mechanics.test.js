@@ -0,0 +1,48 @@
+const { deriveMechanics, formatPlanetActivation } = require('../mechanics');
+
+describe('deriveMechanics', () => {
+    it.each([
+        ['no channels', [], 'Reflector', 'Lunar'],
+        ['Sacral to Throat (20-34)', [20, 34], 'Manifesting Generator', 'Sacral'],
+        ['Sacral to Spleen (34-57)', [34, 57], 'Generator', 'Sacral'],
+        ['Sacral to Solar Plexus (59-6)', [59, 6], 'Generator', 'Emotional Solar Plexus'],
+        ['Ego to Throat (21-45)', [21, 45], 'Manifestor', 'Ego'],
+        ['Solar Plexus to Throat (12-22)', [12, 22], 'Manifestor', 'Emotional Solar Plexus'],
+        ['Ego through the G to the Throat (25-51, 7-31)', [51, 25, 7, 31], 'Manifestor', 'Ego'],
+        ['Throat to Spleen (16-48)', [16, 48], 'Projector', 'Splenic'],
+        ['Ego to Spleen (26-44)', [26, 44], 'Projector', 'Splenic'],
+        ['G to Ego (25-51)', [25, 51], 'Projector', 'Ego'],
+        ['G to Throat (7-31)', [7, 31], 'Projector', 'Self-Projected'],
+        ['Head to Ajna (64-47)', [64, 47], 'Projector', 'None/Environmental']
+    ])('%s gives %s with %s authority', (label, gates, type, authority) => {
+        expect(deriveMechanics(gates)).toMatchObject({ type, authority });
+    });
+
+    it('ignores hanging gates that complete no channel', () => {
+        expect(deriveMechanics([20, 58, 64])).toMatchObject({
+            channels: [], definedCenters: [], type: 'Reflector', definition: 'None'
+        });
+    });
+
+    it('accepts activations as well as gate numbers', () => {
+        expect(deriveMechanics([{ gate: 20 }, { gate: 34 }]).type).toBe('Manifesting Generator');
+    });
+
+    it('counts separate areas of definition', () => {
+        const result = deriveMechanics([64, 47, 34, 57]);
+
+        expect(result.definition).toBe('Split');
+        expect(result.type).toBe('Generator');
+    });
+});
+
+describe('formatPlanetActivation', () => {
+    it('marks the base alignment Maia reports', () => {
+        expect(formatPlanetActivation({ id: 0, gate: 12, line: 2, baseAlignment: 1 })).toBe('Sun 12.2 ▲');
+        expect(formatPlanetActivation({ id: 1, gate: 11, line: 2, baseAlignment: 2 })).toBe('Earth 11.2 ▼');
+    });
+
+    it('leaves the marker out when there is no base alignment', () => {
+        expect(formatPlanetActivation({ id: 2, gate: 63, line: 3 })).toBe('Moon 63.3');
+    });
+});
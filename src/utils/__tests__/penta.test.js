@@ -0,0 +1,39 @@
+const { buildPenta } = require('../penta');
+
+describe('buildPenta', () => {
+    const penta = buildPenta([
+        { name: 'Ann', gates: [1, 8, 31] },
+        { name: 'Ben', gates: [7, 2, 14, 3] },
+        { name: 'Cy', gates: [1] }
+    ]);
+
+    it('lists the twelve Penta gates with who fills each', () => {
+        const creativity = penta.gates.find(gate => gate.gate === 1);
+
+        expect(penta.gates).toHaveLength(12);
+        expect(creativity).toEqual({
+            gate: 1,
+            name: 'The Creative',
+            center: 'g',
+            function: 'Creativity',
+            channel: '1-8',
+            filled: true,
+            filled_by: [{ index: 0, name: 'Ann' }, { index: 2, name: 'Cy' }]
+        });
+    });
+
+    it('ignores gates outside the Penta', () => {
+        expect(penta.gates.some(gate => gate.gate === 3)).toBe(false);
+        expect(penta.filled_count).toBe(6);
+    });
+
+    it('defines a Penta channel when the group fills both its gates', () => {
+        expect(penta.channels.filter(channel => channel.defined).map(channel => [channel.key, channel.part]))
+            .toEqual([['1-8', 'upper'], ['7-31', 'upper'], ['2-14', 'lower']]);
+    });
+
+    it('reports the missing gates with their function', () => {
+        expect(penta.missing_gates.map(gate => gate.gate)).toEqual([33, 13, 15, 46, 5, 29]);
+        expect(penta.missing_gates[0]).toEqual({ gate: 33, name: expect.any(String), function: 'Reflection', channel: '13-33' });
+    });
+});
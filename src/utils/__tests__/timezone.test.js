@@ -0,0 +1,107 @@
+const { resolveLocalTime } = require('../timezone');
+
+const iso = (date) => date && date.toISOString();
+const optionTimes = (result) => result.options.map(option => [option.dst_choice, iso(option.date), option.offsetMinutes]);
+
+describe('resolveLocalTime', () => {
+    it('resolves a wall-clock time outside any transition', () => {
+        const result = resolveLocalTime({ year: 1990, month: 6, day: 15, hour: 14, minute: 30 }, 'Asia/Karachi');
+
+        expect(iso(result.date)).toBe('1990-06-15T09:30:00.000Z');
+        expect(result.offsetMinutes).toBe(300);
+        expect(result.transition).toBeNull();
+        expect(result.options).toEqual([]);
+    });
+
+    it('uses historical offsets', () => {
+        // British Double Summer Time, UTC+2
+        const result = resolveLocalTime({ year: 1941, month: 6, day: 1, hour: 12, minute: 0 }, 'Europe/London');
+
+        expect(iso(result.date)).toBe('1941-06-01T10:00:00.000Z');
+        expect(result.offsetMinutes).toBe(120);
+    });
+
+    it('accepts a fixed UTC offset as the zone', () => {
+        const result = resolveLocalTime({ year: 1990, month: 6, day: 15, hour: 14, minute: 30 }, '+05:30');
+
+        expect(iso(result.date)).toBe('1990-06-15T09:00:00.000Z');
+        expect(result.offsetMinutes).toBe(330);
+    });
+
+    describe('in a DST gap', () => {
+        // Clocks in Berlin went from 02:00 to 03:00 on 28 March 2021
+        const skipped = { year: 2021, month: 3, day: 28, hour: 2, minute: 30 };
+
+        it('offers the instants before and after the gap', () => {
+            const result = resolveLocalTime(skipped, 'Europe/Berlin');
+
+            expect(result.transition).toBe('gap');
+            expect(optionTimes(result)).toEqual([
+                ['earlier', '2021-03-28T00:30:00.000Z', 60],
+                ['later', '2021-03-28T01:30:00.000Z', 120]
+            ]);
+        });
+
+        it('picks the later instant by default', () => {
+            const result = resolveLocalTime(skipped, 'Europe/Berlin');
+
+            expect(iso(result.date)).toBe('2021-03-28T01:30:00.000Z');
+            expect(result.offsetMinutes).toBe(120);
+        });
+
+        it('picks the earlier instant when asked', () => {
+            expect(iso(resolveLocalTime(skipped, 'Europe/Berlin', 'earlier').date)).toBe('2021-03-28T00:30:00.000Z');
+        });
+
+        it('leaves the date null with reject', () => {
+            const result = resolveLocalTime(skipped, 'Europe/Berlin', 'reject');
+
+            expect(result.date).toBeNull();
+            expect(result.transition).toBe('gap');
+            expect(result.options).toHaveLength(2);
+        });
+    });
+
+    describe('in a DST overlap', () => {
+        // Clocks in Berlin went from 03:00 back to 02:00 on 31 October 2021
+        const repeated = { year: 2021, month: 10, day: 31, hour: 2, minute: 30 };
+
+        it('offers both instants with their offsets', () => {
+            const result = resolveLocalTime(repeated, 'Europe/Berlin');
+
+            expect(result.transition).toBe('overlap');
+            expect(optionTimes(result)).toEqual([
+                ['earlier', '2021-10-31T00:30:00.000Z', 120],
+                ['later', '2021-10-31T01:30:00.000Z', 60]
+            ]);
+        });
+
+        it('picks the earlier instant by default', () => {
+            const result = resolveLocalTime(repeated, 'Europe/Berlin');
+
+            expect(iso(result.date)).toBe('2021-10-31T00:30:00.000Z');
+            expect(result.offsetMinutes).toBe(120);
+        });
+
+        it('picks the later instant when asked', () => {
+            const result = resolveLocalTime(repeated, 'Europe/Berlin', 'later');
+
+            expect(iso(result.date)).toBe('2021-10-31T01:30:00.000Z');
+            expect(result.offsetMinutes).toBe(60);
+        });
+
+        it('leaves the date null with reject', () => {
+            expect(resolveLocalTime(repeated, 'Europe/Berlin', 'reject').date).toBeNull();
+        });
+
+        it('handles zones west of UTC', () => {
+            const result = resolveLocalTime({ year: 2021, month: 11, day: 7, hour: 1, minute: 30 }, 'America/New_York');
+
+            expect(result.transition).toBe('overlap');
+            expect(optionTimes(result)).toEqual([
+                ['earlier', '2021-11-07T05:30:00.000Z', -240],
+                ['later', '2021-11-07T06:30:00.000Z', -300]
+            ]);
+        });
+    });
+});
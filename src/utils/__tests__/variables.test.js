@@ -0,0 +1,45 @@
+const { arrowForTone, deriveVariables } = require('../variables');
+
+const activation = (planet, color, tone, base) => ({ planet, gate: 1, line: 1, color, tone, base });
+
+const activations = {
+    design: [activation('Sun', 1, 2, 3), activation('North Node', 4, 5, 1)],
+    personality: [activation('Sun', 6, 6, 5), activation('North Node', 2, 1, 2)]
+};
+
+describe('arrowForTone', () => {
+    it.each([[1, 'left'], [3, 'left'], [4, 'right'], [6, 'right']])('tone %i points %s', (tone, arrow) => {
+        expect(arrowForTone(tone)).toBe(arrow);
+    });
+});
+
+describe('deriveVariables', () => {
+    it('reads each variable from its activation', () => {
+        const variables = deriveVariables(activations);
+
+        expect(variables.determination).toEqual({
+            name: 'Determination',
+            also_known_as: 'Digestion',
+            activation: 'Design Sun',
+            arrow: 'left',
+            color: 1,
+            color_name: 'Appetite',
+            tone: 2,
+            base: 3
+        });
+        expect(variables.environment).toMatchObject({ activation: 'Design North Node', arrow: 'right', color_name: 'Mountains' });
+        expect(variables.motivation).toMatchObject({ activation: 'Personality Sun', arrow: 'right', color_name: 'Innocence' });
+        expect(variables.perspective).toMatchObject({ activation: 'Personality North Node', arrow: 'left', color_name: 'Possibility' });
+    });
+
+    it('writes the notation as personality then design arrows', () => {
+        expect(deriveVariables(activations).notation).toBe('PRL DLR');
+    });
+
+    it('is null when a source activation has no color, tone and base', () => {
+        const { color, tone, base, ...lineOnly } = activations.personality[1];
+
+        expect(deriveVariables({ ...activations, personality: [activations.personality[0], lineOnly] })).toBeNull();
+        expect(deriveVariables({})).toBeNull();
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Parse a single birth date-and-time string into the separate birth data
+ * fields.
+ *
+ * Accepted forms:
+ *   ISO 8601          1990-06-15T14:30, 1990-06-15 14:30:05, 1990-06-15T09:30:00Z,
+ *                     1990-06-15T14:30:00+05:00, 1990-06-15 (date only)
+ *   Month names       June 15 1990 2:30pm, 15 June 1990 14:30, Jun 15th, 1990 at 2:30 PM
+ *   Numeric dates     15/06/1990 14:30, 1990/06/15 2pm
+ *
+ * A numeric date whose first two numbers could both be the month
+ * (03/04/1990) is rejected rather than guessed, as are two-digit years.
+ */
+
+const { parseOffset } = require('./timezone');
+
+const MONTHS = {
+    jan: 1, january: 1,
+    feb: 2, february: 2,
+    mar: 3, march: 3,
+    apr: 4, april: 4,
+    may: 5,
+    jun: 6, june: 6,
+    jul: 7, july: 7,
+    aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9,
+    oct: 10, october: 10,
+    nov: 11, november: 11,
+    dec: 12, december: 12
+};
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const TIME_PATTERN = /(?:^|\s)(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*([ap])\.?m\.?(?=\s|$)|(?:^|\s)(\d{1,2}):(\d{2})(?::(\d{2}))?(?=\s|$)/i;
+const NUMERIC_DATE_PATTERN = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/;
+
+const EXAMPLE = 'use ISO 8601 (1990-06-15T14:30) or a month name (June 15 1990 2:30pm)';
+
+// Ranges of the ISO time fields, checked here because an offset turns the
+// parts into an instant before the birth data schema sees them
+const TIME_LIMITS = [['hour', 'Hour', 23], ['minute', 'Minute', 59], ['second', 'Second', 59]];
+
+const parseIso = (match) => {
+    const [, year, month, day, hour, minute, second, offset] = match;
+    const time = hour !== undefined ? {
+        hour: parseInt(hour),
+        minute: parseInt(minute),
+        second: second !== undefined ? parseInt(second) : 0
+    } : {};
+
+    const outOfRange = TIME_LIMITS.find(([field, , max]) => time[field] > max);
+    if (outOfRange) {
+        const [, label, max] = outOfRange;
+        return { error: `${label} must be between 0 and ${max}` };
+    }
+
+    const offsetMinutes = offset ? (offset.toUpperCase() === 'Z' ? 0 : parseOffset(offset)) : null;
+    if (offset && offsetMinutes === null) {
+        return { error: 'UTC offset must look like +05:30 or -03:00, at most 14 hours' };
+    }
+
+    return {
+        year: parseInt(year),
+        month: parseInt(month),
+        day: parseInt(day),
+        ...time,
+        offsetMinutes
+    };
+};
+
+/**
+ * Time of day from free text: "14:30", "14:30:05", "2:30pm", "2 pm".
+ * Returns { time, rest } with the text around the time, { rest } when
+ * there is no time, or { error }.
+ */
+const extractTime = (text) => {
+    const match = TIME_PATTERN.exec(text);
+    if (!match) {
+        return { rest: text };
+    }
+
+    const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+    const meridiem = match[4] ? match[4].toLowerCase() : null;
+    let hour = parseInt(meridiem ? match[1] : match[5]);
+    const minute = parseInt((meridiem ? match[2] : match[6]) || '0');
+    const second = parseInt((meridiem ? match[3] : match[7]) || '0');
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) {
+            return { error: `${match[0].trim()} is not a valid time: hours run from 1 to 12 with am/pm` };
+        }
+        hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+
+    if (hour > 23 || minute > 59 || second > 59) {
+        return { error: `${match[0].trim()} is not a valid time` };
+    }
+
+    return { time: { hour, minute, second }, rest };
+};
+
+/**
+ * Day, month and year from the date part of free text
+ */
+const parseDate = (text) => {
+    const tokens = text.split(/\s+/).filter(Boolean);
+
+    if (tokens.length === 1) {
+        return parseNumericDate(tokens[0]);
+    }
+
+    const monthTokens = tokens.filter(token => MONTHS[token]);
+    const numbers = tokens.filter(token => /^\d+$/.test(token));
+    if (monthTokens.length !== 1 || numbers.length !== 2 || tokens.length !== 3) {
+        return { error: `Could not read a date from "${text.trim()}"; ${EXAMPLE}` };
+    }
+
+    // The year is the four-digit number: "June 15 1990" or "15 June 1990"
+    const yearToken = numbers.find(number => number.length === 4);
+    const dayToken = numbers.find(number => number !== yearToken);
+    if (!yearToken || !dayToken || dayToken.length > 2) {
+        return { error: `Could not tell the day from the year in "${text.trim()}"; write the year with four digits` };
+    }
+
+    return { year: parseInt(yearToken), month: MONTHS[monthTokens[0]], day: parseInt(dayToken) };
+};
+
+/**
+ * Day, month and year from "15/06/1990", "15.06.1990" or "1990/06/15".
+ * Day-first and month-first orders are both in use, so a date is only
+ * accepted when the numbers leave no doubt about which is the month.
+ */
+const parseNumericDate = (token) => {
+    const match = NUMERIC_DATE_PATTERN.exec(token);
+    if (!match) {
+        return { error: `Could not read a date from "${token}"; ${EXAMPLE}` };
+    }
+
+    const [, first, second, third] = match;
+
+    if (first.length === 4) {
+        return { year: parseInt(first), month: parseInt(second), day: parseInt(third) };
+    }
+
+    if (third.length !== 4) {
+        return { error: `${token} has a two-digit year, which is ambiguous; write the year with four digits` };
+    }
+
+    const a = parseInt(first);
+    const b = parseInt(second);
+    const year = parseInt(third);
+
+    if (a < 1 || b < 1 || (a > 12 && b > 12)) {
+        return { error: `${token} is not a valid date` };
+    }
+    if (a > 12) {
+        return { year, month: b, day: a };
+    }
+    if (b > 12 || a === b) {
+        return { year, month: a, day: b };
+    }
+
+    return {
+        error: `${token} is ambiguous: it could be ${a} ${MONTH_NAMES[b - 1]} ${year} or ${b} ${MONTH_NAMES[a - 1]} ${year}; ${EXAMPLE}`
+    };
+};
+
+/**
+ * Parse a birth date-and-time string. Returns { year, month, day, hour,
+ * minute, second, offsetMinutes } (hour, minute and second are missing when
+ * the string has no time; offsetMinutes is null unless an offset was given),
+ * or { error } with a message for the caller.
+ */
+const parseBirthDatetime = (value) => {
+    const text = String(value || '').trim();
+    if (!text) {
+        return { error: 'Birth datetime is empty' };
+    }
+
+    const isoMatch = ISO_PATTERN.exec(text);
+    if (isoMatch) {
+        return parseIso(isoMatch);
+    }
+
+    const normalized = text
+        .toLowerCase()
+        .replace(/,/g, ' ')
+        .replace(/\bat\b/g, ' ')
+        .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const { time, rest, error: timeError } = extractTime(normalized);
+    if (timeError) {
+        return { error: timeError };
+    }
+
+    const date = parseDate(rest);
+    if (date.error) {
+        return date;
+    }
+
+    return { ...date, ...(time || {}), offsetMinutes: null };
+};
+
+module.exports = {
+    parseBirthDatetime
+};
@@ -0,0 +1,196 @@
+/**
+ * Birth time scanning: recalculate the chart across a span of birth moments
+ * and find the exact times where its type, profile, authority, definition
+ * or any activation's gate.line changes.
+ *
+ * The span is sampled every minute and each sampled interval whose two
+ * ends differ is bisected down to the second. The resulting segments of
+ * unchanged chart are also summarised into the parts that hold across the
+ * whole span and the variants of a property with the times they cover.
+ */
+
+const { activationsFromPlanets, deriveMechanics, deriveProfile } = require('./mechanics');
+
+const SCAN_STEP_MS = 60 * 1000;
+const PRECISION_MS = 1000;
+const PROPERTY_FIELDS = ['type', 'profile', 'authority', 'definition'];
+// Widest sensitivity window either side of a birth time, in minutes
+const MAX_SENSITIVITY_MINUTES = 720;
+
+/**
+ * The parts of the chart for a birth moment that the scan compares
+ */
+const snapshotAt = (calculator, birthDate) => {
+    const sides = activationsFromPlanets(calculator.calculateChart(birthDate).planets);
+    const mechanics = deriveMechanics([...sides.design, ...sides.personality]);
+    const activations = { personality: {}, design: {} };
+
+    ['personality', 'design'].forEach(side => {
+        sides[side].forEach(activation => {
+            activations[side][activation.planet] = `${activation.gate}.${activation.line}`;
+        });
+    });
+
+    return {
+        type: mechanics.type,
+        profile: deriveProfile(sides.personality, sides.design),
+        authority: mechanics.authority,
+        definition: mechanics.definition,
+        channels: mechanics.channels.map(channel => channel.key),
+        definedCenters: mechanics.definedCenters,
+        activations
+    };
+};
+
+/**
+ * What changed between two snapshots, as { field, side?, planet?, from, to }
+ */
+const diffSnapshots = (before, after) => {
+    const changes = PROPERTY_FIELDS
+        .filter(field => before[field] !== after[field])
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+    ['personality', 'design'].forEach(side => {
+        Object.keys(before.activations[side]).forEach(planet => {
+            if (before.activations[side][planet] !== after.activations[side][planet]) {
+                changes.push({
+                    field: 'activation',
+                    side,
+                    planet,
+                    from: before.activations[side][planet],
+                    to: after.activations[side][planet]
+                });
+            }
+        });
+    });
+
+    return changes;
+};
+
+/**
+ * Change points in [start, end], each { time, changes } where time is the
+ * first whole second with the new values. Also returns the snapshot at start.
+ */
+const findChangePoints = (calculator, start, end) => {
+    const points = [];
+
+    const bisect = (low, lowSnapshot, high, highSnapshot) => {
+        const changes = diffSnapshots(lowSnapshot, highSnapshot);
+        if (changes.length === 0) return;
+
+        if (high - low <= PRECISION_MS) {
+            points.push({ time: new Date(high), changes });
+            return;
+        }
+
+        const mid = Math.floor((low + high) / 2 / PRECISION_MS) * PRECISION_MS;
+        const midSnapshot = snapshotAt(calculator, new Date(mid));
+        bisect(low, lowSnapshot, mid, midSnapshot);
+        bisect(mid, midSnapshot, high, highSnapshot);
+    };
+
+    const startMs = start.getTime();
+    const endMs = end.getTime();
+    const initial = snapshotAt(calculator, start);
+
+    let previousMs = startMs;
+    let previous = initial;
+
+    while (previousMs < endMs) {
+        const currentMs = Math.min(previousMs + SCAN_STEP_MS, endMs);
+        const current = snapshotAt(calculator, new Date(currentMs));
+        bisect(previousMs, previous, currentMs, current);
+        previousMs = currentMs;
+        previous = current;
+    }
+
+    return { initial, points };
+};
+
+/**
+ * Split [start, end) into segments of unchanged chart, each
+ * { start, end, snapshot }
+ */
+const scanSegments = (calculator, start, end) => {
+    const { initial, points } = findChangePoints(calculator, start, end);
+    const segments = [];
+
+    let segmentStart = start;
+    let snapshot = initial;
+
+    points.forEach(point => {
+        segments.push({ start: segmentStart, end: point.time, snapshot });
+        segmentStart = point.time;
+        snapshot = snapshotAt(calculator, point.time);
+    });
+    segments.push({ start: segmentStart, end, snapshot });
+
+    return segments;
+};
+
+/**
+ * Properties, activations, channels and defined centers that are the same
+ * in every segment
+ */
+const findStableParts = (segments) => {
+    const [first, ...rest] = segments.map(segment => segment.snapshot);
+    const properties = {};
+    const activations = { personality: {}, design: {} };
+
+    PROPERTY_FIELDS
+        .filter(field => rest.every(snapshot => snapshot[field] === first[field]))
+        .forEach(field => {
+            properties[field] = first[field];
+        });
+
+    ['personality', 'design'].forEach(side => {
+        Object.keys(first.activations[side])
+            .filter(planet => rest.every(snapshot => snapshot.activations[side][planet] === first.activations[side][planet]))
+            .forEach(planet => {
+                activations[side][planet] = first.activations[side][planet];
+            });
+    });
+
+    return {
+        properties,
+        activations,
+        channels: first.channels.filter(key => rest.every(snapshot => snapshot.channels.includes(key))),
+        definedCenters: first.definedCenters.filter(key => rest.every(snapshot => snapshot.definedCenters.includes(key)))
+    };
+};
+
+/**
+ * Every value a property takes across the segments, with its total
+ * duration in milliseconds and the (merged) ranges it covers
+ */
+const groupVariants = (segments, field) => {
+    const variants = new Map();
+
+    segments.forEach(({ start, end, snapshot }) => {
+        const value = snapshot[field];
+        if (!variants.has(value)) {
+            variants.set(value, { value, duration: 0, ranges: [] });
+        }
+
+        const variant = variants.get(value);
+        const last = variant.ranges[variant.ranges.length - 1];
+        if (last && last.end.getTime() === start.getTime()) {
+            last.end = end;
+        } else {
+            variant.ranges.push({ start, end });
+        }
+        variant.duration += end - start;
+    });
+
+    return Array.from(variants.values());
+};
+
+module.exports = {
+    MAX_SENSITIVITY_MINUTES,
+    snapshotAt,
+    diffSnapshots,
+    findChangePoints,
+    scanSegments,
+    findStableParts,
+    groupVariants
+};
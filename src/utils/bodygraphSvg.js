@@ -0,0 +1,204 @@
+/**
+ * Bodygraph drawing of a canonical chart as a standalone SVG document:
+ * the nine centers (coloured when defined), all 36 channels (each half
+ * coloured by the activation of its gate, so hanging gates show as half
+ * channels), the gate numbers, and the design and personality activation
+ * columns either side.
+ */
+
+const { CENTERS, GATE_CENTERS, CHANNELS, CHANNEL_NAMES } = require('../data/bodygraph');
+const { CENTER_SHAPES, GATE_POSITIONS, CHANNEL_WAYPOINTS } = require('../data/bodygraphLayout');
+const {
+    channelKey,
+    describeBodygraph,
+    gateModesFromActivations,
+    chartActivations
+} = require('./mechanics');
+
+const WIDTH = 660;
+const HEIGHT = 690;
+const GRAPH_X = 130;
+const GRAPH_Y = 70;
+const ROW_HEIGHT = 42;
+
+const COLORS = {
+    design: '#c0392b',
+    personality: '#222222',
+    open: '#ffffff',
+    outline: '#9a9a9a',
+    text: '#333333',
+    muted: '#777777'
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const toGraph = ([x, y]) => [round(x + GRAPH_X), round(y + GRAPH_Y)];
+
+const pointList = (points) => points.map(point => toGraph(point).join(',')).join(' ');
+
+/**
+ * Split a polyline at half its length into the part nearer each end
+ */
+const splitAtMiddle = (points) => {
+    const segments = points.slice(1).map((point, index) => Math.hypot(point[0] - points[index][0], point[1] - points[index][1]));
+    let remaining = segments.reduce((sum, length) => sum + length, 0) / 2;
+
+    for (let index = 0; index < segments.length; index++) {
+        if (remaining <= segments[index]) {
+            const [x1, y1] = points[index];
+            const [x2, y2] = points[index + 1];
+            const t = segments[index] === 0 ? 0 : remaining / segments[index];
+            const middle = [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t];
+            return [[...points.slice(0, index + 1), middle], [middle, ...points.slice(index + 1)]];
+        }
+        remaining -= segments[index];
+    }
+
+    return [points, [points[points.length - 1]]];
+};
+
+const polyline = (points, stroke, width, extra = '') =>
+    `<polyline points="${pointList(points)}" fill="none" stroke="${stroke}" stroke-width="${width}" stroke-linecap="butt"${extra}/>`;
+
+/**
+ * One half of a channel, coloured by how its gate is activated
+ * (mode 0 design, 1 personality, 2 both)
+ */
+const drawChannelHalf = (points, mode) => {
+    if (mode === 0) return polyline(points, COLORS.design, 5);
+    if (mode === 1) return polyline(points, COLORS.personality, 5);
+    return polyline(points, COLORS.design, 5) + polyline(points, COLORS.personality, 5, ' stroke-dasharray="5 5"');
+};
+
+const drawChannels = (gateModes, definedChannels) => {
+    const backgrounds = [];
+    const activations = [];
+
+    CHANNELS.forEach(([a, b]) => {
+        const key = channelKey([a, b]);
+        const points = [GATE_POSITIONS[a], ...(CHANNEL_WAYPOINTS[key] || []), GATE_POSITIONS[b]];
+        const [nearA, nearB] = splitAtMiddle(points);
+        const state = definedChannels.has(key) ? 'defined' : 'open';
+
+        backgrounds.push(polyline(points, COLORS.outline, 8) + polyline(points, COLORS.open, 6));
+
+        const halves = [[nearA, gateModes.get(a)], [nearB, gateModes.get(b)]]
+            .filter(([, mode]) => mode !== undefined)
+            .map(([half, mode]) => drawChannelHalf(half, mode));
+
+        if (halves.length > 0) {
+            activations.push(`<g class="channel ${state}"><title>${key} ${escapeXml(CHANNEL_NAMES[key])}</title>${halves.join('')}</g>`);
+        }
+    });
+
+    return `<g class="channels">${backgrounds.join('')}${activations.join('')}</g>`;
+};
+
+const drawCenters = (definedCenters) => CENTERS.map(center => {
+    const shape = CENTER_SHAPES[center.key];
+    const defined = definedCenters.has(center.key);
+
+    return `<polygon class="center ${defined ? 'defined' : 'open'}" points="${pointList(shape.points)}"`
+        + ` fill="${defined ? shape.color : COLORS.open}" stroke="${COLORS.outline}" stroke-width="1.5" stroke-linejoin="round">`
+        + `<title>${center.name} (${defined ? 'defined' : 'open'})</title></polygon>`;
+}).join('');
+
+/**
+ * Gate numbers just inside the outline of their center; activated gates
+ * are drawn as filled badges
+ */
+const drawGates = (gateModes) => CENTERS.map(center => {
+    const { points } = CENTER_SHAPES[center.key];
+    const cx = points.reduce((sum, point) => sum + point[0], 0) / points.length;
+    const cy = points.reduce((sum, point) => sum + point[1], 0) / points.length;
+
+    return Object.entries(GATE_POSITIONS)
+        .filter(([gate]) => GATE_CENTERS[gate] === center.key)
+        .map(([gate, [x, y]]) => {
+            const distance = Math.hypot(cx - x, cy - y) || 1;
+            const [lx, ly] = toGraph([x + (cx - x) / distance * 8, y + (cy - y) / distance * 8]);
+            const active = gateModes.has(Number(gate));
+
+            return `<g class="gate${active ? ' active' : ''}">`
+                + (active ? `<circle cx="${lx}" cy="${ly}" r="6" fill="${COLORS.personality}"/>` : '')
+                + `<text x="${lx}" y="${round(ly + 2.5)}" font-size="7" text-anchor="middle" fill="${active ? COLORS.open : COLORS.muted}">${gate}</text></g>`;
+        })
+        .join('');
+}).join('');
+
+/**
+ * Column of activations, one row per planet
+ */
+const drawActivationColumn = (title, activations, { x, anchor, color }) => {
+    const rows = activations.map((activation, index) => {
+        const y = GRAPH_Y + 30 + index * ROW_HEIGHT;
+        return `<text x="${x}" y="${y}" font-size="10" text-anchor="${anchor}" fill="${COLORS.muted}">${escapeXml(activation.planet || '')}</text>`
+            + `<text x="${x}" y="${y + 17}" font-size="15" font-weight="bold" text-anchor="${anchor}" fill="${color}">${activation.gate}.${activation.line}</text>`;
+    });
+
+    return `<g class="activations ${title.toLowerCase()}">`
+        + `<text x="${x}" y="${GRAPH_Y}" font-size="13" font-weight="bold" text-anchor="${anchor}" fill="${color}">${title}</text>`
+        + rows.join('')
+        + '</g>';
+};
+
+const drawHeader = (chart) => {
+    const name = chart.birth_data?.name || '';
+    const properties = chart.properties || {};
+    const summary = [properties.type, properties.profile, properties.authority]
+        .filter(value => value && value !== 'Unknown')
+        .join(' · ');
+
+    return `<text x="${WIDTH / 2}" y="28" font-size="18" font-weight="bold" text-anchor="middle" fill="${COLORS.text}">${escapeXml(name)}</text>`
+        + `<text x="${WIDTH / 2}" y="48" font-size="12" text-anchor="middle" fill="${COLORS.muted}">${escapeXml(summary)}</text>`;
+};
+
+/**
+ * Gate modes ({ gate, mode }) of a chart from its design and personality
+ * activations, or from chart_data.gates when it has no activations
+ */
+const chartGateModes = (chart) => {
+    const { design, personality } = chartActivations(chart);
+    const gateModes = design.length > 0 || personality.length > 0
+        ? gateModesFromActivations(design, personality)
+        : (chart.chart_data?.gates || []).map(({ gate, mode }) => ({ gate, mode: mode ?? 2 }));
+
+    return { gateModes, design, personality };
+};
+
+/**
+ * Render a canonical chart's bodygraph as an SVG document string
+ */
+const renderBodygraph = (chart) => {
+    const { gateModes, design, personality } = chartGateModes(chart);
+    const bodygraph = describeBodygraph(gateModes);
+    const modes = new Map(gateModes.map(({ gate, mode }) => [gate, mode]));
+    const definedCenters = new Set(bodygraph.centers.filter(center => center.defined).map(center => center.key));
+    const definedChannels = new Set(bodygraph.channels.map(channel => channel.key));
+    const label = `Bodygraph of ${chart.birth_data?.name || 'chart'}`;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}"`
+        + ` role="img" aria-label="${escapeXml(label)}" font-family="Helvetica, Arial, sans-serif">`
+        + `<title>${escapeXml(label)}</title>`
+        + `<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.open}"/>`
+        + drawHeader(chart)
+        + drawActivationColumn('Design', design, { x: 16, anchor: 'start', color: COLORS.design })
+        + drawActivationColumn('Personality', personality, { x: WIDTH - 16, anchor: 'end', color: COLORS.personality })
+        + drawChannels(modes, definedChannels)
+        + `<g class="centers">${drawCenters(definedCenters)}</g>`
+        + `<g class="gates">${drawGates(modes)}</g>`
+        + '</svg>\n';
+};
+
+module.exports = {
+    escapeXml,
+    renderBodygraph
+};
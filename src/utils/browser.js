@@ -0,0 +1,47 @@
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const logger = require('./logger');
+
+// Chrome flags for small containers such as Render.com
+const BROWSER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--single-process', // Important for Render.com
+    '--memory-pressure-off'
+];
+
+/**
+ * Chrome executable to launch: PUPPETEER_EXECUTABLE_PATH, else Puppeteer's
+ * bundled Chromium, or null (let Puppeteer decide) when neither exists
+ */
+const resolveExecutablePath = () => {
+    try {
+        const candidatePath =
+            process.env.PUPPETEER_EXECUTABLE_PATH ||
+            (typeof puppeteer.executablePath === 'function' ? puppeteer.executablePath() : null);
+
+        // Some platforms (like Render) may set a path that doesn't exist if Chromium wasn't downloaded
+        if (candidatePath) {
+            if (fs.existsSync(candidatePath)) {
+                logger.info('Using Puppeteer executablePath', { executablePath: candidatePath });
+                return candidatePath;
+            }
+            logger.warn('Configured Puppeteer executablePath not found, launching without explicit path', { executablePath: candidatePath });
+        }
+    } catch (e) {
+        // If detection fails, let Puppeteer decide without executablePath
+        logger.warn('Failed to resolve Puppeteer executablePath, relying on default', { error: e.message });
+    }
+
+    return null;
+};
+
+module.exports = {
+    BROWSER_ARGS,
+    resolveExecutablePath
+};
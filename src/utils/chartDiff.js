@@ -0,0 +1,110 @@
+/**
+ * Structured comparison of two canonical charts, used by verify mode to
+ * check one provider's chart against another's.
+ */
+
+const { PLANET_NAMES, parseActivationList } = require('./mechanics');
+
+const COMPARED_PROPERTIES = ['type', 'profile', 'authority'];
+
+const known = (value) => (value && value !== 'Unknown' ? value : null);
+
+/**
+ * Gate.line per planet for one side of a chart
+ */
+const activationsByPlanet = (chart, side) => {
+    const chartData = chart.chart_data || {};
+    const activations = chartData.activations?.[side] ||
+        parseActivationList(chartData[`${side}_activations`]);
+
+    const byPlanet = {};
+    activations.forEach(activation => {
+        if (activation.planet) {
+            byPlanet[activation.planet] = `${activation.gate}.${activation.line}`;
+        }
+    });
+    return byPlanet;
+};
+
+// Source of the local calculator, whose charts carry no reported properties
+const LOCAL_SOURCE = 'local_calculation';
+
+/**
+ * Properties as the chart's provider reported them. The controller replaces
+ * type, authority, definition and profile with the values derived from the
+ * activations (applyMechanics), which would only repeat the activation
+ * comparison, so the reported ones kept in validation.provider_properties
+ * are compared instead. The local calculator's own values are the derived
+ * ones, so for its chart those are its report.
+ */
+const reportedProperties = (chart) => (chart.source !== LOCAL_SOURCE && chart.validation?.provider_properties)
+    || chart.properties
+    || {};
+
+/**
+ * Compare two charts. Every reported property, the channel list and each of
+ * the 26 planetary activations counts as one item; items either chart lacks
+ * are skipped. agreement_score is the share of compared items that match.
+ */
+const compareCharts = (primary, secondary) => {
+    let compared = 0;
+    let matched = 0;
+
+    const count = (match) => {
+        if (match === null) return;
+        compared++;
+        if (match) matched++;
+    };
+
+    const properties = {};
+    COMPARED_PROPERTIES.forEach(field => {
+        const a = known(reportedProperties(primary)[field]);
+        const b = known(reportedProperties(secondary)[field]);
+        const match = a && b ? a === b : null;
+        properties[field] = { primary: a, secondary: b, match };
+        count(match);
+    });
+
+    const channelKeys = (chart) => (chart.chart_data?.channels || []).map(channel => channel.key);
+    const primaryChannels = channelKeys(primary);
+    const secondaryChannels = channelKeys(secondary);
+    const channelsMatch = primaryChannels.length || secondaryChannels.length
+        ? primaryChannels.length === secondaryChannels.length &&
+          primaryChannels.every(channel => secondaryChannels.includes(channel))
+        : null;
+    const channels = {
+        primary: primaryChannels,
+        secondary: secondaryChannels,
+        only_in_primary: primaryChannels.filter(channel => !secondaryChannels.includes(channel)),
+        only_in_secondary: secondaryChannels.filter(channel => !primaryChannels.includes(channel)),
+        match: channelsMatch
+    };
+    count(channelsMatch);
+
+    const activations = [];
+    ['design', 'personality'].forEach(side => {
+        const a = activationsByPlanet(primary, side);
+        const b = activationsByPlanet(secondary, side);
+
+        PLANET_NAMES.forEach(planet => {
+            const primaryValue = a[planet] || null;
+            const secondaryValue = b[planet] || null;
+            const match = primaryValue && secondaryValue ? primaryValue === secondaryValue : null;
+            activations.push({ side, planet, primary: primaryValue, secondary: secondaryValue, match });
+            count(match);
+        });
+    });
+
+    return {
+        agreement_score: compared ? Number((matched / compared).toFixed(3)) : null,
+        compared_items: compared,
+        matching_items: matched,
+        properties,
+        channels,
+        activations
+    };
+};
+
+module.exports = {
+    compareCharts
+};
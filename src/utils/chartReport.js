@@ -0,0 +1,137 @@
+/**
+ * Printable HTML report of a canonical chart: the bodygraph, the
+ * properties table, both activation columns, and descriptions of the
+ * centers and defined channels. The page is self-contained (inline SVG
+ * and styles, no scripts, fonts or images to fetch) so it can be printed
+ * to PDF without network access.
+ */
+
+const { CENTERS, GATE_NAMES } = require('../data/bodygraph');
+const { CENTER_DESCRIPTIONS, CHANNEL_DESCRIPTIONS } = require('../data/descriptions');
+const { PLANET_NAMES, chartActivations } = require('./mechanics');
+const { escapeXml, renderBodygraph } = require('./bodygraphSvg');
+
+const PROPERTY_ROWS = [
+    ['type', 'Type'],
+    ['strategy', 'Strategy'],
+    ['signature', 'Signature'],
+    ['not_self_theme', 'Not-Self Theme'],
+    ['authority', 'Authority'],
+    ['profile', 'Profile'],
+    ['incarnation_cross', 'Incarnation Cross'],
+    ['definition', 'Definition']
+];
+
+const STYLES = `
+    @page { size: A4; margin: 14mm 14mm 16mm; }
+    body { font-family: Helvetica, Arial, sans-serif; color: #333; font-size: 10.5pt; margin: 0; }
+    h1 { font-size: 20pt; margin: 0 0 2mm; }
+    h2 { font-size: 13pt; margin: 6mm 0 2mm; border-bottom: 1px solid #ccc; padding-bottom: 1mm; }
+    .birth { color: #666; margin: 0 0 4mm; }
+    .bodygraph svg { width: 100%; height: auto; max-height: 150mm; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 1.2mm 2mm; border-bottom: 1px solid #eee; vertical-align: top; }
+    th { width: 35%; color: #666; font-weight: normal; }
+    .activations th { width: auto; }
+    .design { color: #c0392b; }
+    .personality { color: #222; }
+    .gate-name { color: #888; font-size: 9pt; }
+    .page-break { page-break-before: always; }
+    .center, .channel { margin: 0 0 3mm; page-break-inside: avoid; }
+    .center h3, .channel h3 { font-size: 11pt; margin: 0 0 1mm; }
+    .state { font-weight: normal; color: #888; font-size: 9.5pt; }
+    p { margin: 0 0 1mm; }
+    .footer { margin-top: 6mm; color: #999; font-size: 8.5pt; }
+`;
+
+const describeBirth = (birthData = {}) => {
+    const location = birthData.location || {};
+    const place = [location.city, location.region, location.country].filter(Boolean).join(', ');
+    const zone = birthData.timezone && birthData.utc_offset
+        ? `${birthData.timezone} (UTC${birthData.utc_offset})`
+        : birthData.timezone;
+
+    return [birthData.date_local, place, zone].filter(Boolean).map(escapeXml).join(' · ');
+};
+
+const propertiesTable = (properties = {}) => `<table class="properties">${PROPERTY_ROWS.map(([key, label]) =>
+    `<tr><th>${label}</th><td>${escapeXml(properties[key] || 'Unknown')}</td></tr>`).join('')}</table>`;
+
+const formatActivation = (activation) => activation
+    ? `${activation.gate}.${activation.line} <span class="gate-name">${escapeXml(GATE_NAMES[activation.gate] || '')}</span>`
+    : '';
+
+/**
+ * Design and personality activations side by side, one row per planet
+ */
+const activationsTable = (chart) => {
+    const { design, personality } = chartActivations(chart);
+    const planets = PLANET_NAMES.filter(planet =>
+        design.some(activation => activation.planet === planet) || personality.some(activation => activation.planet === planet));
+    const find = (activations, planet) => activations.find(activation => activation.planet === planet);
+
+    const rows = planets.map(planet => `<tr><th>${planet}</th>`
+        + `<td class="design">${formatActivation(find(design, planet))}</td>`
+        + `<td class="personality">${formatActivation(find(personality, planet))}</td></tr>`);
+
+    return '<table class="activations"><tr><th>Planet</th><th class="design">Design</th><th class="personality">Personality</th></tr>'
+        + `${rows.join('')}</table>`;
+};
+
+const centerDescriptions = (chart) => {
+    const centers = chart.chart_data?.centers || [];
+
+    return CENTERS.map(({ key, name }) => {
+        const defined = centers.some(center => center.key === key && center.defined);
+        const description = CENTER_DESCRIPTIONS[key];
+
+        return `<div class="center"><h3>${name} <span class="state">${defined ? 'Defined' : 'Open'} · ${description.theme}</span></h3>`
+            + `<p>${defined ? description.defined : description.open}</p></div>`;
+    }).join('');
+};
+
+const channelDescriptions = (chart) => {
+    const channels = chart.chart_data?.channels || [];
+    if (channels.length === 0) {
+        return '<p>No defined channels.</p>';
+    }
+
+    return channels.map(channel => `<div class="channel"><h3>${escapeXml(channel.key)} ${escapeXml(channel.name || '')}</h3>`
+        + `<p>${escapeXml(CHANNEL_DESCRIPTIONS[channel.key] || '')}</p></div>`).join('');
+};
+
+/**
+ * Render the report of a canonical chart as an HTML document string
+ */
+const renderReportHtml = (chart) => {
+    const name = chart.birth_data?.name || 'Human Design Chart';
+    const bodygraph = renderBodygraph(chart).replace(/^<\?xml[^>]*>\s*/, '');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(name)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeXml(name)}</h1>
+<p class="birth">${describeBirth(chart.birth_data)}</p>
+<div class="bodygraph">${bodygraph}</div>
+<h2>Properties</h2>
+${propertiesTable(chart.properties)}
+<h2 class="page-break">Activations</h2>
+${activationsTable(chart)}
+<h2>Centers</h2>
+${centerDescriptions(chart)}
+<h2>Defined Channels</h2>
+${channelDescriptions(chart)}
+<p class="footer">Chart ${escapeXml(chart.chart_id || '')} · generated ${escapeXml(chart.generated_at || '')} · source ${escapeXml(chart.source || '')}</p>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    renderReportHtml
+};
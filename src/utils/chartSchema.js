@@ -0,0 +1,227 @@
+/**
+ * Canonical chart model shared by every chart provider.
+ *
+ * Every successful chart response has this shape, whichever provider
+ * produced it:
+ *
+ * {
+ *   schema_version: '2.0',
+ *   source: 'maia_mechanics' | 'jovian_archive_puppeteer' | ...,
+ *   birth_data: {
+ *     name,
+ *     date_local,               // birth wall clock with its offset, '1990-06-15T14:30:00+05:00'
+ *     date_utc,                 // ISO UTC moment of birth
+ *     design_date_utc,          // ISO moment the Sun was 88° before its birth position
+ *     design_date_source,       // 'provider' or 'local_calculation'
+ *     timezone, utc_offset,     // IANA zone and '+05:00' offset the local time was converted with
+ *     utc_offset_minutes,
+ *     dst_transition,           // null, or { type: 'gap' | 'overlap', dst_choice }
+ *     location: {
+ *       id,                     // gazetteer location_id, null for coordinates
+ *       city, region, country, country_code,
+ *       latitude, longitude,
+ *       timezone, utc_offset    // IANA zone, or a fixed '+05:30' offset given instead
+ *     }
+ *   },
+ *   properties: {
+ *     type, strategy, signature, not_self_theme, authority,
+ *     definition, incarnation_cross, profile, variable
+ *   },
+ *   chart_data: {
+ *     centers,                  // [{ key, name, defined, state: 'defined' | 'open' }]
+ *     channels,                 // [{ key: '20-34', gates, name, label: '20-34 Charisma', centers }]
+ *     gates,                    // [{ gate, name, center, mode, activated_by: 'design' | 'personality' | 'both' }]
+ *     design_activations, personality_activations,
+ *     defined_centers, definition_areas, activations   // when derived
+ *   },
+ *   variables,                  // Determination, Environment, Motivation, Perspective, or null
+ *   validation: { derived_from_activations, mismatches, provider_properties },
+ *   chart_image_url, download_data, generated_at,
+ *   chart_id,                   // set once the chart is stored (ChartStore)
+ *   raw_data
+ * }
+ *
+ * Properties a provider cannot supply are 'Unknown', missing lists are empty
+ * arrays and missing scalars are null. SCHEMA_VERSION changes whenever a
+ * field is renamed, removed or changes shape; new optional fields do not
+ * change it. 2.0 replaced the numeric centers/channels and "gate:mode"
+ * strings with the named objects above.
+ */
+
+const SCHEMA_VERSION = '2.0';
+
+const PROPERTY_KEYS = [
+    'type',
+    'strategy',
+    'signature',
+    'not_self_theme',
+    'authority',
+    'definition',
+    'incarnation_cross',
+    'profile',
+    'variable'
+];
+
+const LOCATION_KEYS = [
+    'id',
+    'city',
+    'region',
+    'country',
+    'country_code',
+    'latitude',
+    'longitude',
+    'timezone',
+    'utc_offset'
+];
+
+// Scraped property names that differ from the canonical ones
+const SCRAPER_PROPERTY_ALIASES = {
+    inner_authority: 'authority',
+    not_self: 'not_self_theme',
+    cross: 'incarnation_cross'
+};
+
+/**
+ * Every canonical location field, null when not supplied
+ */
+const buildLocation = (location = {}) => {
+    const normalized = {};
+    LOCATION_KEYS.forEach(key => {
+        normalized[key] = location[key] ?? null;
+    });
+    return normalized;
+};
+
+/**
+ * Build birth_data from the request, preferring provider supplied values
+ */
+const buildBirthData = (birthData = {}, provided = {}) => ({
+    name: birthData.name || provided.name || 'Unknown',
+    date_local: provided.date_local || null,
+    date_utc: provided.date_utc || null,
+    design_date_utc: provided.design_date_utc || null,
+    design_date_source: provided.design_date_source || null,
+    timezone: provided.timezone || null,
+    utc_offset: provided.utc_offset || null,
+    utc_offset_minutes: provided.utc_offset_minutes ?? null,
+    dst_transition: provided.dst_transition || null,
+    location: buildLocation({
+        ...provided.location,
+        city: birthData.city || provided.location?.city,
+        country: birthData.country || provided.location?.country
+    })
+});
+
+/**
+ * Fill in every canonical field, using defaults for anything not supplied
+ */
+const createChartResult = ({
+    source,
+    birth_data = {},
+    properties = {},
+    chart_data = {},
+    variables = null,
+    chart_image_url = null,
+    download_data = null,
+    raw_data = null
+}) => {
+    const normalizedProperties = {};
+    PROPERTY_KEYS.forEach(key => {
+        normalizedProperties[key] = properties[key] || 'Unknown';
+    });
+
+    return {
+        schema_version: SCHEMA_VERSION,
+        source,
+        birth_data: {
+            name: birth_data.name || 'Unknown',
+            date_local: birth_data.date_local || null,
+            date_utc: birth_data.date_utc || null,
+            design_date_utc: birth_data.design_date_utc || null,
+            design_date_source: birth_data.design_date_source || null,
+            timezone: birth_data.timezone || null,
+            utc_offset: birth_data.utc_offset || null,
+            utc_offset_minutes: birth_data.utc_offset_minutes ?? null,
+            dst_transition: birth_data.dst_transition || null,
+            location: buildLocation(birth_data.location)
+        },
+        properties: normalizedProperties,
+        chart_data: {
+            centers: chart_data.centers || [],
+            channels: chart_data.channels || [],
+            gates: chart_data.gates || [],
+            design_activations: chart_data.design_activations || [],
+            personality_activations: chart_data.personality_activations || [],
+            ...(chart_data.activations ? { activations: chart_data.activations } : {})
+        },
+        variables,
+        chart_image_url,
+        download_data,
+        generated_at: new Date().toISOString(),
+        raw_data
+    };
+};
+
+/**
+ * Normalize the data scraped from a JovianArchive chart page
+ */
+const fromScraperData = (scraped, source) => {
+    const chartProperties = scraped.chart_properties || {};
+    const properties = {};
+
+    Object.entries(chartProperties).forEach(([key, value]) => {
+        const canonicalKey = SCRAPER_PROPERTY_ALIASES[key] || key;
+        if (PROPERTY_KEYS.includes(canonicalKey)) {
+            properties[canonicalKey] = value;
+        }
+    });
+
+    const birthPlace = chartProperties.birth_place || null;
+
+    return createChartResult({
+        source,
+        birth_data: {
+            name: chartProperties.name,
+            date_local: chartProperties.birth_date_local || chartProperties.birth_date__local_ || null,
+            location: {
+                city: birthPlace
+            }
+        },
+        properties,
+        chart_data: {
+            design_activations: scraped.design_data || [],
+            personality_activations: scraped.personality_data || []
+        },
+        chart_image_url: scraped.chart_image_url || null,
+        download_data: scraped.download_data || null,
+        raw_data: {
+            chart_properties: chartProperties,
+            design_data: scraped.design_data || [],
+            personality_data: scraped.personality_data || []
+        }
+    });
+};
+
+/**
+ * Check whether a canonical result carries any chart information
+ */
+const hasChartContent = (result) => {
+    if (!result || !result.properties) return false;
+
+    const knownProperties = Object.values(result.properties).filter(value => value && value !== 'Unknown');
+    const chartData = result.chart_data || {};
+
+    return knownProperties.length > 0 ||
+           (chartData.design_activations || []).length > 0 ||
+           (chartData.personality_activations || []).length > 0;
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+    PROPERTY_KEYS,
+    buildBirthData,
+    buildLocation,
+    createChartResult,
+    fromScraperData,
+    hasChartContent
+};
@@ -0,0 +1,69 @@
+/**
+ * Composite (connection) chart of two people: the channels their combined
+ * gates define, classified by how each person contributes:
+ *
+ *   electromagnetic  each person has one gate of the channel
+ *   companionship    both people have the whole channel
+ *   dominance        one person has the whole channel, the other neither gate
+ *   compromise       one person has the whole channel, the other one gate
+ */
+
+const { describeBodygraph, deriveMechanics } = require('./mechanics');
+
+/**
+ * Classify a channel from the gates each person has of it
+ */
+const classifyChannel = (gatesA, gatesB) => {
+    const countA = gatesA.length;
+    const countB = gatesB.length;
+
+    if (countA === 2 && countB === 2) return 'companionship';
+    if (countA === 2 || countB === 2) {
+        return Math.min(countA, countB) === 0 ? 'dominance' : 'compromise';
+    }
+    return 'electromagnetic';
+};
+
+/**
+ * Build the composite of two gate lists
+ */
+const buildComposite = (gatesA, gatesB) => {
+    const combined = Array.from(new Set([...gatesA, ...gatesB])).sort((a, b) => a - b);
+    const bodygraph = describeBodygraph(combined.map(gate => ({ gate })));
+
+    const channels = bodygraph.channels.map(channel => {
+        const ownA = channel.gates.filter(gate => gatesA.includes(gate));
+        const ownB = channel.gates.filter(gate => gatesB.includes(gate));
+
+        return {
+            ...channel,
+            classification: classifyChannel(ownA, ownB),
+            gates_by_person: [ownA, ownB]
+        };
+    });
+
+    const summary = { electromagnetic: 0, companionship: 0, dominance: 0, compromise: 0 };
+    channels.forEach(channel => {
+        summary[channel.classification]++;
+    });
+
+    const definedByA = deriveMechanics(gatesA).definedCenters;
+    const definedByB = deriveMechanics(gatesB).definedCenters;
+
+    return {
+        centers: bodygraph.centers.map(center => ({
+            ...center,
+            defined_alone_by: [definedByA.includes(center.key), definedByB.includes(center.key)]
+        })),
+        defined_centers: bodygraph.mechanics.definedCenters,
+        channels,
+        summary,
+        type: bodygraph.mechanics.type,
+        definition: bodygraph.mechanics.definition
+    };
+};
+
+module.exports = {
+    classifyChannel,
+    buildComposite
+};
@@ -0,0 +1,96 @@
+/**
+ * Planetary cycles: the exact moments a slow planet returns to (or opposes)
+ * its birth position. Retrograde motion can make the transit exact up to
+ * three times, so every exact pass in the cycle's age window is returned.
+ */
+
+const {
+    getBodyLongitude,
+    angularDifference,
+    isSupportedDate,
+    toJulianDay,
+    fromJulianDay
+} = require('./ephemeris');
+
+const CYCLES = {
+    'saturn-return': { name: 'Saturn Return', body: 'saturn', aspect: 0, ages: [26, 32] },
+    'uranus-opposition': { name: 'Uranus Opposition', body: 'uranus', aspect: 180, ages: [36, 46] },
+    'chiron-return': { name: 'Chiron Return', body: 'chiron', aspect: 0, ages: [46, 54] }
+};
+
+const SCAN_STEP_DAYS = 4;
+const PRECISION_DAYS = 1 / 1440;
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Moments between start and end when the body is exactly at targetLongitude
+ */
+const findExactPasses = (body, targetLongitude, start, end) => {
+    const offset = (jd) => angularDifference(getBodyLongitude(body, fromJulianDay(jd)), targetLongitude);
+    const passes = [];
+    const endJd = toJulianDay(end);
+
+    let previousJd = toJulianDay(start);
+    let previous = offset(previousJd);
+
+    for (let jd = previousJd + SCAN_STEP_DAYS; jd <= endJd; jd += SCAN_STEP_DAYS) {
+        const current = offset(jd);
+
+        // A sign change near 0° is a pass; near ±180° it is only the wrap-around
+        if (Math.sign(current) !== Math.sign(previous) && Math.abs(current - previous) < 90) {
+            let low = previousJd;
+            let high = jd;
+            let lowOffset = previous;
+
+            while (high - low > PRECISION_DAYS) {
+                const mid = (low + high) / 2;
+                const midOffset = offset(mid);
+                if (Math.sign(midOffset) === Math.sign(lowOffset)) {
+                    low = mid;
+                    lowOffset = midOffset;
+                } else {
+                    high = mid;
+                }
+            }
+
+            passes.push(fromJulianDay((low + high) / 2));
+        }
+
+        previousJd = jd;
+        previous = current;
+    }
+
+    return passes;
+};
+
+/**
+ * Age window, target longitude and exact passes of a cycle for a birth
+ * moment. Passes are only searched when the ephemeris covers the window.
+ */
+const findCycle = (key, birthDate) => {
+    const cycle = CYCLES[key];
+    const natalLongitude = getBodyLongitude(cycle.body, birthDate);
+    const targetLongitude = (natalLongitude + cycle.aspect) % 360;
+
+    const birthJd = toJulianDay(birthDate);
+    const start = fromJulianDay(birthJd + cycle.ages[0] * DAYS_PER_YEAR);
+    const end = fromJulianDay(birthJd + cycle.ages[1] * DAYS_PER_YEAR);
+    const supported = isSupportedDate(start) && isSupportedDate(end);
+
+    return {
+        key,
+        name: cycle.name,
+        body: cycle.body,
+        natal_longitude: Number(natalLongitude.toFixed(4)),
+        target_longitude: Number(targetLongitude.toFixed(4)),
+        window: { start, end },
+        supported,
+        passes: supported ? findExactPasses(cycle.body, targetLongitude, start, end) : []
+    };
+};
+
+module.exports = {
+    CYCLES,
+    findExactPasses,
+    findCycle
+};
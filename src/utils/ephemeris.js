@@ -0,0 +1,408 @@
+/**
+ * Low-precision geocentric ephemeris for the thirteen Human Design bodies.
+ *
+ * Longitudes are apparent, tropical and referred to the equinox of date:
+ *   - Sun: Meeus, Astronomical Algorithms ch. 25 (~0.01°)
+ *   - Moon: Meeus ch. 47 main periodic terms (~0.01°)
+ *   - Lunar nodes: true node from the mean node plus its main corrections
+ *   - Mercury to Pluto: JPL Keplerian elements for 1800-2050
+ *     (Standish, "Approximate Positions of the Planets"), corrected for
+ *     light-time, precession and nutation (arc-minute level)
+ *   - Chiron (not a chart body, used for cycle dates): unperturbed orbit
+ *     through its 1996 perihelion, good to a fraction of a degree for
+ *     1950-2050 and about a degree for the first half of the 1900s
+ *
+ * That is well inside a line (0.9375°) for every body and usually inside a
+ * color, which is all chart calculation needs. No network access is needed.
+ */
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+const MS_PER_DAY = 86400000;
+const UNIX_EPOCH_JD = 2440587.5;
+
+// Validity range of the planetary elements
+const SUPPORTED_RANGE = {
+    start: new Date(Date.UTC(1800, 0, 1)),
+    end: new Date(Date.UTC(2050, 11, 31, 23, 59, 59))
+};
+
+// Body ids match the planet ids used by Maia Mechanics (see planetMap in ChartController)
+const BODIES = [
+    { id: 0, key: 'sun', name: 'Sun' },
+    { id: 1, key: 'earth', name: 'Earth' },
+    { id: 2, key: 'moon', name: 'Moon' },
+    { id: 3, key: 'north_node', name: 'North Node' },
+    { id: 4, key: 'south_node', name: 'South Node' },
+    { id: 5, key: 'mercury', name: 'Mercury' },
+    { id: 6, key: 'venus', name: 'Venus' },
+    { id: 7, key: 'mars', name: 'Mars' },
+    { id: 8, key: 'jupiter', name: 'Jupiter' },
+    { id: 9, key: 'saturn', name: 'Saturn' },
+    { id: 10, key: 'uranus', name: 'Uranus' },
+    { id: 11, key: 'neptune', name: 'Neptune' },
+    { id: 12, key: 'pluto', name: 'Pluto' }
+];
+
+// Keplerian elements and rates per Julian century, J2000 ecliptic and equinox:
+// [a, e, I, L, long. perihelion, long. ascending node]
+const ORBITAL_ELEMENTS = {
+    mercury: [
+        [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]
+    ],
+    venus: [
+        [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]
+    ],
+    earth: [
+        [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]
+    ],
+    mars: [
+        [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]
+    ],
+    jupiter: [
+        [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]
+    ],
+    saturn: [
+        [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]
+    ],
+    uranus: [
+        [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]
+    ],
+    neptune: [
+        [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]
+    ],
+    pluto: [
+        [39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+        [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482]
+    ],
+    // Perihelion 1996-02-14 (JD 2450127.5), a = 13.65 AU; no secular rates
+    chiron: [
+        [13.65, 0.3795, 6.93, 216.40309, 188.70, 209.35],
+        [0, 0, 0, 713.83086, 0, 0]
+    ]
+};
+
+// Main periodic terms of the Moon's longitude: [D, M, M', F, coefficient in 1e-6 degrees]
+const MOON_LONGITUDE_TERMS = [
+    [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314],
+    [0, 0, 2, 0, 213618], [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332],
+    [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066], [2, 0, 1, 0, 53322],
+    [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+    [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528],
+    [0, 0, 1, -2, 10980], [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034],
+    [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888], [2, 1, 0, 0, -6766],
+    [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+    [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665],
+    [0, 1, -2, 0, -2689], [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390],
+    [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236], [0, 1, 2, 0, -2120],
+    [0, 2, 0, 0, -2069], [2, -2, -1, 0, 2048], [2, 0, 1, -2, -1773],
+    [2, 0, 0, 2, -1595], [4, -1, -1, 0, 1215], [0, 0, 2, 2, -1110],
+    [3, 0, -1, 0, -892], [2, 1, 1, 0, -810], [4, -1, -2, 0, 759],
+    [0, 2, -1, 0, -713], [2, 2, -1, 0, -700], [2, 1, -2, 0, 691],
+    [2, -1, 0, -2, 596], [4, 0, 1, 0, 549], [0, 0, 4, 0, 537],
+    [4, -1, 0, 0, 520], [1, 0, -2, 0, -487], [2, 1, 0, -2, -399],
+    [0, 0, 2, -2, -381], [1, 1, 1, 0, 351], [3, 0, -2, 0, -340],
+    [4, 0, -3, 0, 330], [2, -1, 2, 0, 327], [0, 2, 1, 0, -323],
+    [1, 1, -1, 0, 299], [2, 0, 3, 0, 294]
+];
+
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Julian Day (UT) for a JavaScript Date
+ */
+const toJulianDay = (date) => date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+
+/**
+ * JavaScript Date for a Julian Day (UT)
+ */
+const fromJulianDay = (jd) => new Date(Math.round((jd - UNIX_EPOCH_JD) * MS_PER_DAY));
+
+/**
+ * Difference between Terrestrial Time and UT in seconds
+ * (Espenak & Meeus polynomial fits)
+ */
+const deltaTSeconds = (date) => {
+    const y = date.getUTCFullYear() + (date.getUTCMonth() + 0.5) / 12;
+    let t;
+
+    if (y < 1900) {
+        const u = (y - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+    if (y < 1920) {
+        t = y - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (y < 1941) {
+        t = y - 1920;
+        return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (y < 1961) {
+        t = y - 1950;
+        return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (y < 1986) {
+        t = y - 1975;
+        return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (y < 2005) {
+        t = y - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (y < 2050) {
+        t = y - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    if (y < 2150) {
+        const u = (y - 1820) / 100;
+        return -20 + 32 * u * u - 0.5628 * (2150 - y);
+    }
+
+    const u = (y - 1820) / 100;
+    return -20 + 32 * u * u;
+};
+
+/**
+ * Julian centuries of Terrestrial Time since J2000
+ */
+const centuriesSinceJ2000 = (date) => {
+    const jde = toJulianDay(date) + deltaTSeconds(date) / 86400;
+    return (jde - J2000) / 36525;
+};
+
+/**
+ * Nutation in longitude in degrees (main terms)
+ */
+const nutationInLongitude = (T) => {
+    const omega = (125.04452 - 1934.136261 * T) * DEG;
+    const sunMean = (280.4665 + 36000.7698 * T) * DEG;
+    const moonMean = (218.3165 + 481267.8813 * T) * DEG;
+
+    return (-17.20 * Math.sin(omega)
+        - 1.32 * Math.sin(2 * sunMean)
+        - 0.23 * Math.sin(2 * moonMean)
+        + 0.21 * Math.sin(2 * omega)) / 3600;
+};
+
+/**
+ * Apparent geocentric longitude of the Sun
+ */
+const sunLongitude = (T) => {
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = (357.52911 + 35999.05029 * T - 0.0001537 * T * T) * DEG;
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M)
+        + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+        + 0.000289 * Math.sin(3 * M);
+    const omega = (125.04 - 1934.136 * T) * DEG;
+
+    return normalizeDegrees(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+};
+
+/**
+ * Fundamental lunar arguments in degrees
+ */
+const lunarArguments = (T) => ({
+    Lp: 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 + T ** 3 / 538841 - T ** 4 / 65194000,
+    D: 297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 + T ** 3 / 545868 - T ** 4 / 113065000,
+    M: 357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2 + T ** 3 / 24490000,
+    Mp: 134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 + T ** 3 / 69699 - T ** 4 / 14712000,
+    F: 93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2 - T ** 3 / 3526000 + T ** 4 / 863310000
+});
+
+/**
+ * Apparent geocentric longitude of the Moon
+ */
+const moonLongitude = (T) => {
+    const { Lp, D, M, Mp, F } = lunarArguments(T);
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+    let sum = 0;
+    MOON_LONGITUDE_TERMS.forEach(([d, m, mp, f, coefficient]) => {
+        const eccentricity = Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1;
+        sum += coefficient * eccentricity * Math.sin((d * D + m * M + mp * Mp + f * F) * DEG);
+    });
+
+    const A1 = (119.75 + 131.849 * T) * DEG;
+    const A2 = (53.09 + 479264.290 * T) * DEG;
+    sum += 3958 * Math.sin(A1) + 1962 * Math.sin((Lp - F) * DEG) + 318 * Math.sin(A2);
+
+    return normalizeDegrees(Lp + sum / 1000000 + nutationInLongitude(T));
+};
+
+/**
+ * Longitude of the Moon's true ascending (north) node
+ */
+const northNodeLongitude = (T) => {
+    const { D, M, Mp, F } = lunarArguments(T);
+    const meanNode = 125.0445479 - 1934.1362891 * T + 0.0020754 * T ** 2 + T ** 3 / 467441 - T ** 4 / 60616000;
+    const correction = -1.4979 * Math.sin(2 * (D - F) * DEG)
+        - 0.1500 * Math.sin(M * DEG)
+        - 0.1226 * Math.sin(2 * D * DEG)
+        + 0.1176 * Math.sin(2 * F * DEG)
+        - 0.0801 * Math.sin(2 * (Mp - F) * DEG);
+
+    return normalizeDegrees(meanNode + correction + nutationInLongitude(T));
+};
+
+/**
+ * Solve Kepler's equation for the eccentric anomaly (degrees in, radians out)
+ */
+const solveKepler = (meanAnomalyDeg, e) => {
+    const M = normalizeDegrees(meanAnomalyDeg + 180) - 180;
+    let E = (M + (e * 180 / Math.PI) * Math.sin(M * DEG)) * DEG;
+
+    for (let i = 0; i < 20; i++) {
+        const delta = (M * DEG - (E - e * Math.sin(E))) / (1 - e * Math.cos(E));
+        E += delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+
+    return E;
+};
+
+/**
+ * Heliocentric ecliptic J2000 coordinates (AU) of a body in ORBITAL_ELEMENTS
+ */
+const heliocentricPosition = (key, T) => {
+    const [base, rates] = ORBITAL_ELEMENTS[key];
+    const [a, e, I, L, longPeri, longNode] = base.map((value, i) => value + rates[i] * T);
+
+    const argPeri = (longPeri - longNode) * DEG;
+    const node = longNode * DEG;
+    const inclination = I * DEG;
+    const E = solveKepler(L - longPeri, e);
+
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cosW = Math.cos(argPeri), sinW = Math.sin(argPeri);
+    const cosN = Math.cos(node), sinN = Math.sin(node);
+    const cosI = Math.cos(inclination), sinI = Math.sin(inclination);
+
+    return {
+        x: (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit,
+        y: (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit,
+        z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit
+    };
+};
+
+/**
+ * Apparent geocentric longitude of a planet
+ */
+const planetLongitude = (key, T) => {
+    const earth = heliocentricPosition('earth', T);
+    let planet = heliocentricPosition(key, T);
+    let dx = planet.x - earth.x;
+    let dy = planet.y - earth.y;
+    let dz = planet.z - earth.z;
+
+    // Light-time: where the planet was when the light we see left it
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    planet = heliocentricPosition(key, T - (0.0057755183 * distance) / 36525);
+    dx = planet.x - earth.x;
+    dy = planet.y - earth.y;
+
+    const longitudeJ2000 = Math.atan2(dy, dx) / DEG;
+    const precession = (5029.0966 * T + 1.11113 * T * T) / 3600;
+
+    return normalizeDegrees(longitudeJ2000 + precession + nutationInLongitude(T));
+};
+
+/**
+ * Apparent geocentric longitudes of all thirteen bodies at a UTC moment,
+ * keyed by BODIES[].key
+ */
+const getLongitudes = (date) => {
+    const T = centuriesSinceJ2000(date);
+    const sun = sunLongitude(T);
+    const northNode = northNodeLongitude(T);
+
+    return {
+        sun,
+        earth: normalizeDegrees(sun + 180),
+        moon: moonLongitude(T),
+        north_node: northNode,
+        south_node: normalizeDegrees(northNode + 180),
+        mercury: planetLongitude('mercury', T),
+        venus: planetLongitude('venus', T),
+        mars: planetLongitude('mars', T),
+        jupiter: planetLongitude('jupiter', T),
+        saturn: planetLongitude('saturn', T),
+        uranus: planetLongitude('uranus', T),
+        neptune: planetLongitude('neptune', T),
+        pluto: planetLongitude('pluto', T)
+    };
+};
+
+/**
+ * Apparent geocentric longitude of one body at a UTC moment: any
+ * BODIES[].key, or 'chiron'
+ */
+const getBodyLongitude = (key, date) => {
+    if (key === 'chiron') {
+        return planetLongitude('chiron', centuriesSinceJ2000(date));
+    }
+    return getLongitudes(date)[key];
+};
+
+/**
+ * Apparent longitude of the Sun at a UTC moment
+ */
+const getSunLongitude = (date) => sunLongitude(centuriesSinceJ2000(date));
+
+/**
+ * Signed difference a - b in degrees, in the range (-180, 180]
+ */
+const angularDifference = (a, b) => {
+    const diff = normalizeDegrees(a - b);
+    return diff > 180 ? diff - 360 : diff;
+};
+
+/**
+ * Find the UTC moment before `date` when the Sun was `arc` degrees behind
+ * its position at `date` (88° gives the Human Design "design" moment)
+ */
+const findSolarArcMoment = (date, arc = 88) => {
+    const target = normalizeDegrees(getSunLongitude(date) - arc);
+    // The Sun moves a little under 1° a day
+    let jd = toJulianDay(date) - arc / 0.9856;
+
+    for (let i = 0; i < 50; i++) {
+        const current = fromJulianDay(jd);
+        const error = angularDifference(target, getSunLongitude(current));
+        const speed = angularDifference(getSunLongitude(fromJulianDay(jd + 0.5)), getSunLongitude(fromJulianDay(jd - 0.5)));
+        const step = error / speed;
+        jd += step;
+        if (Math.abs(step) < 1e-6) break;
+    }
+
+    return fromJulianDay(jd);
+};
+
+/**
+ * Whether the ephemeris covers the given moment
+ */
+const isSupportedDate = (date) => date >= SUPPORTED_RANGE.start && date <= SUPPORTED_RANGE.end;
+
+module.exports = {
+    BODIES,
+    SUPPORTED_RANGE,
+    isSupportedDate,
+    getLongitudes,
+    getBodyLongitude,
+    getSunLongitude,
+    findSolarArcMoment,
+    normalizeDegrees,
+    angularDifference,
+    toJulianDay,
+    fromJulianDay
+};
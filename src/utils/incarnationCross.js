@@ -0,0 +1,107 @@
+/**
+ * Incarnation cross catalogue: all 192 crosses (64 Right Angle, 64
+ * Juxtaposition, 64 Left Angle), one per personality Sun gate and angle.
+ *
+ * Catalogue ids run 1-64 for Right Angle, 65-128 for Juxtaposition and
+ * 129-192 for Left Angle crosses, in personality Sun gate order.
+ */
+
+const { GATE_ORDER } = require('./mandala');
+const {
+    QUARTERS,
+    RIGHT_ANGLE_NAMES,
+    LEFT_ANGLE_NAMES,
+    JUXTAPOSITION_NAMES
+} = require('../data/incarnationCrosses');
+
+const ANGLES = {
+    right: { label: 'Right Angle', idOffset: 0, designOffset: 16 },
+    juxtaposition: { label: 'Juxtaposition', idOffset: 64, designOffset: 15 },
+    left: { label: 'Left Angle', idOffset: 128, designOffset: 15 }
+};
+
+// The Quarter of Initiation starts at Gate 13, the third gate on the wheel
+const QUARTER_START_INDEX = 2;
+
+const gateAt = (index) => GATE_ORDER[((index % 64) + 64) % 64];
+const wheelIndex = (gate) => GATE_ORDER.indexOf(gate);
+const quarterIndex = (gate) => Math.floor((((wheelIndex(gate) - QUARTER_START_INDEX) % 64 + 64) % 64) / 16);
+
+/**
+ * Cross name for a personality Sun gate at the given angle
+ */
+const crossName = (angle, sunGate) => {
+    if (angle === 'juxtaposition') {
+        return `Juxtaposition Cross of ${JUXTAPOSITION_NAMES[sunGate]}`;
+    }
+
+    if (angle === 'right') {
+        const name = Object.keys(RIGHT_ANGLE_NAMES).find(key => RIGHT_ANGLE_NAMES[key].includes(sunGate));
+        return `Right Angle Cross of ${name} ${quarterIndex(sunGate) + 1}`;
+    }
+
+    const name = Object.keys(LEFT_ANGLE_NAMES).find(key => LEFT_ANGLE_NAMES[key].includes(sunGate));
+    const [a, b] = LEFT_ANGLE_NAMES[name];
+    const other = a === sunGate ? b : a;
+    return `Left Angle Cross of ${name} ${quarterIndex(sunGate) < quarterIndex(other) ? 1 : 2}`;
+};
+
+const buildCatalogue = () => {
+    const catalogue = [];
+
+    Object.entries(ANGLES).forEach(([angle, { label, idOffset, designOffset }]) => {
+        for (let gate = 1; gate <= 64; gate++) {
+            const index = wheelIndex(gate);
+            catalogue.push({
+                id: idOffset + gate,
+                angle: label,
+                name: crossName(angle, gate),
+                quarter: `Quarter of ${QUARTERS[quarterIndex(gate)]}`,
+                gates: {
+                    personality_sun: gate,
+                    personality_earth: gateAt(index + 32),
+                    design_sun: gateAt(index - designOffset),
+                    design_earth: gateAt(index - designOffset + 32)
+                }
+            });
+        }
+    });
+
+    return catalogue;
+};
+
+const CATALOGUE = buildCatalogue();
+
+/**
+ * Angle key for a profile such as "2/4": 4/1 is Juxtaposition, profiles
+ * starting with line 5 or 6 are Left Angle, the rest Right Angle
+ */
+const angleForProfile = (profile) => {
+    const match = String(profile || '').match(/^([1-6])\/([1-6])$/);
+    if (!match) return null;
+
+    const personalityLine = parseInt(match[1]);
+    if (personalityLine === 4 && match[2] === '1') return 'juxtaposition';
+    return personalityLine >= 5 ? 'left' : 'right';
+};
+
+/**
+ * Look up a cross by catalogue id
+ */
+const getCrossById = (id) => CATALOGUE.find(cross => cross.id === parseInt(id)) || null;
+
+/**
+ * Resolve the cross from the personality Sun gate and the profile
+ */
+const resolveCross = ({ personalitySun, profile }) => {
+    const angle = angleForProfile(profile);
+    if (!angle || !personalitySun) return null;
+    return getCrossById(ANGLES[angle].idOffset + personalitySun);
+};
+
+module.exports = {
+    CATALOGUE,
+    angleForProfile,
+    getCrossById,
+    resolveCross
+};
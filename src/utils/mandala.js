@@ -0,0 +1,66 @@
+/**
+ * Human Design mandala: maps ecliptic longitude to gate, line, color, tone and base.
+ *
+ * The wheel starts with Gate 41 at 302° (2° Aquarius) and runs through the
+ * 64 gates in I'Ching wheel order, 5.625° each. Every gate is divided into
+ * 6 lines, every line into 6 colors, every color into 6 tones and every
+ * tone into 5 bases.
+ */
+
+const { normalizeDegrees } = require('./ephemeris');
+
+const MANDALA_START = 302;
+const GATE_ARC = 360 / 64;
+const LINE_ARC = GATE_ARC / 6;
+const COLOR_ARC = LINE_ARC / 6;
+const TONE_ARC = COLOR_ARC / 6;
+const BASE_ARC = TONE_ARC / 5;
+
+const GATE_ORDER = [
+    41, 19, 13, 49, 30, 55, 37, 63, 22, 36, 25, 17, 21, 51, 42, 3,
+    27, 24, 2, 23, 8, 20, 16, 35, 45, 12, 15, 52, 39, 53, 62, 56,
+    31, 33, 7, 4, 29, 59, 40, 64, 47, 6, 46, 18, 48, 57, 32, 50,
+    28, 44, 1, 43, 14, 34, 9, 5, 26, 11, 10, 58, 38, 54, 61, 60
+];
+
+/**
+ * Gate, line, color, tone and base for an ecliptic longitude
+ */
+const longitudeToActivation = (longitude) => {
+    const offset = normalizeDegrees(longitude - MANDALA_START);
+    const gateIndex = Math.floor(offset / GATE_ARC);
+    let remainder = offset - gateIndex * GATE_ARC;
+
+    const line = Math.min(Math.floor(remainder / LINE_ARC), 5);
+    remainder -= line * LINE_ARC;
+    const color = Math.min(Math.floor(remainder / COLOR_ARC), 5);
+    remainder -= color * COLOR_ARC;
+    const tone = Math.min(Math.floor(remainder / TONE_ARC), 5);
+    remainder -= tone * TONE_ARC;
+    const base = Math.min(Math.floor(remainder / BASE_ARC), 4);
+
+    return {
+        gate: GATE_ORDER[gateIndex],
+        line: line + 1,
+        color: color + 1,
+        tone: tone + 1,
+        base: base + 1
+    };
+};
+
+/**
+ * Longitude where a gate begins on the wheel
+ */
+const gateStartLongitude = (gate) => {
+    const index = GATE_ORDER.indexOf(gate);
+    if (index === -1) return null;
+    return normalizeDegrees(MANDALA_START + index * GATE_ARC);
+};
+
+module.exports = {
+    GATE_ORDER,
+    GATE_ARC,
+    LINE_ARC,
+    longitudeToActivation,
+    gateStartLongitude
+};
@@ -0,0 +1,310 @@
+/**
+ * Human Design mechanics derived from the 26 gate activations:
+ * defined channels and centers, Type, Authority and Definition.
+ */
+
+const {
+    CENTERS,
+    GATE_CENTERS,
+    CHANNELS,
+    CHANNEL_NAMES,
+    GATE_NAMES,
+    GATE_MODES
+} = require('../data/bodygraph');
+
+const PLANET_NAMES = [
+    'Sun', 'Earth', 'Moon', 'North Node', 'South Node', 'Mercury', 'Venus',
+    'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'
+];
+
+const TYPE_DETAILS = {
+    'Generator': { strategy: 'Wait to Respond', signature: 'Satisfaction', not_self_theme: 'Frustration' },
+    'Manifesting Generator': { strategy: 'Wait to Respond', signature: 'Satisfaction', not_self_theme: 'Frustration' },
+    'Manifestor': { strategy: 'Inform', signature: 'Peace', not_self_theme: 'Anger' },
+    'Projector': { strategy: 'Wait for Invitation', signature: 'Success', not_self_theme: 'Bitterness' },
+    'Reflector': { strategy: 'Wait a Lunar Cycle', signature: 'Surprise', not_self_theme: 'Disappointment' }
+};
+
+const DEFINITION_NAMES = ['None', 'Single', 'Split', 'Triple Split', 'Quadruple Split'];
+
+const MOTOR_CENTERS = CENTERS.filter(center => center.motor).map(center => center.key);
+
+/**
+ * Format a channel as "lowerGate-higherGate"
+ */
+const channelKey = ([a, b]) => `${Math.min(a, b)}-${Math.max(a, b)}`;
+
+/**
+ * Parse activation text such as "Sun 12.2 ▲", "12.2" or, from variable
+ * charts, "Sun 12.2.3.4.5" into { planet, gate, line[, color, tone, base] }.
+ * Entries without a planet name take the planet at their position in the
+ * standard order (Sun, Earth, Moon, ...).
+ */
+const parseActivationList = (entries = []) => {
+    const planetPattern = PLANET_NAMES.join('|');
+    const pattern = new RegExp(`(?:(${planetPattern})\\D*?)?\\b(\\d{1,2})\\.([1-6])(?:\\.([1-6])\\.([1-6])\\.([1-5]))?\\b`, 'i');
+    const activations = [];
+
+    entries.forEach((entry, index) => {
+        const match = String(entry).match(pattern);
+        if (!match) return;
+
+        const gate = parseInt(match[2]);
+        if (gate < 1 || gate > 64) return;
+
+        const planet = match[1]
+            ? PLANET_NAMES.find(name => name.toLowerCase() === match[1].toLowerCase())
+            : PLANET_NAMES[index] || null;
+
+        const activation = { planet, gate, line: parseInt(match[3]) };
+        if (match[4]) {
+            activation.color = parseInt(match[4]);
+            activation.tone = parseInt(match[5]);
+            activation.base = parseInt(match[6]);
+        }
+        activations.push(activation);
+    });
+
+    return activations;
+};
+
+/**
+ * Display text for a Maia style planet, e.g. "Sun 12.2 ▲" (▼ when Maia
+ * marks the base alignment as 2). Planets without a base alignment, such
+ * as the local calculator's, get no marker: "Sun 12.2".
+ */
+const formatPlanetActivation = (planet) => {
+    const planetName = PLANET_NAMES[planet.id] || `Planet ${planet.id}`;
+    const text = `${planetName} ${planet.gate}.${planet.line}`;
+    if (planet.baseAlignment === undefined || planet.baseAlignment === null) {
+        return text;
+    }
+    return `${text} ${planet.baseAlignment === 2 ? '▼' : '▲'}`;
+};
+
+/**
+ * Structured activations from Maia style planets ({ id, activation, gate,
+ * line, color?, tone?, base? }, activation 1 = personality, 0 = design)
+ */
+const activationsFromPlanets = (planets = []) => {
+    const sides = { design: [], personality: [] };
+
+    planets.forEach(planet => {
+        const activation = {
+            planet: PLANET_NAMES[planet.id] || `Planet ${planet.id}`,
+            gate: planet.gate,
+            line: planet.line
+        };
+        if (planet.color && planet.tone && planet.base) {
+            activation.color = planet.color;
+            activation.tone = planet.tone;
+            activation.base = planet.base;
+        }
+        sides[planet.activation === 1 ? 'personality' : 'design'].push(activation);
+    });
+
+    return sides;
+};
+
+/**
+ * Connected groups of defined centers, following defined channels
+ */
+const findDefinitionAreas = (definedCenters, channels) => {
+    const neighbours = {};
+    definedCenters.forEach(center => {
+        neighbours[center] = new Set();
+    });
+    channels.forEach(({ centers: [a, b] }) => {
+        neighbours[a].add(b);
+        neighbours[b].add(a);
+    });
+
+    const seen = new Set();
+    const areas = [];
+
+    definedCenters.forEach(start => {
+        if (seen.has(start)) return;
+
+        const area = [];
+        const queue = [start];
+        seen.add(start);
+
+        while (queue.length) {
+            const center = queue.shift();
+            area.push(center);
+            neighbours[center].forEach(next => {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+
+        areas.push(area);
+    });
+
+    return areas;
+};
+
+/**
+ * Derive the chart mechanics from a list of activations ({ gate } or gate numbers)
+ */
+const deriveMechanics = (activations) => {
+    const gates = new Set(activations.map(activation => typeof activation === 'number' ? activation : activation.gate));
+
+    const channels = CHANNELS
+        .filter(([a, b]) => gates.has(a) && gates.has(b))
+        .map(pair => ({
+            gates: pair,
+            key: channelKey(pair),
+            name: CHANNEL_NAMES[channelKey(pair)],
+            centers: [GATE_CENTERS[pair[0]], GATE_CENTERS[pair[1]]]
+        }));
+
+    const definedSet = new Set(channels.flatMap(channel => channel.centers));
+    const definedCenters = CENTERS.map(center => center.key).filter(key => definedSet.has(key));
+    const areas = findDefinitionAreas(definedCenters, channels);
+
+    const areaOf = (center) => areas.find(area => area.includes(center)) || [];
+    const connected = (a, b) => areaOf(a).includes(b);
+    const motorToThroat = MOTOR_CENTERS.some(motor => definedSet.has(motor) && connected(motor, 'throat'));
+
+    let type;
+    if (definedCenters.length === 0) {
+        type = 'Reflector';
+    } else if (definedSet.has('sacral')) {
+        type = motorToThroat ? 'Manifesting Generator' : 'Generator';
+    } else {
+        type = motorToThroat ? 'Manifestor' : 'Projector';
+    }
+
+    let authority;
+    if (definedSet.has('solar_plexus')) {
+        authority = 'Emotional Solar Plexus';
+    } else if (definedSet.has('sacral')) {
+        authority = 'Sacral';
+    } else if (definedSet.has('spleen')) {
+        authority = 'Splenic';
+    } else if (definedSet.has('ego')) {
+        authority = 'Ego';
+    } else if (definedSet.has('g') && connected('g', 'throat')) {
+        authority = 'Self-Projected';
+    } else if (definedCenters.length > 0) {
+        authority = 'None/Environmental';
+    } else {
+        authority = 'Lunar';
+    }
+
+    return {
+        gates: Array.from(gates).sort((a, b) => a - b),
+        channels,
+        definedCenters,
+        type,
+        authority,
+        definition: DEFINITION_NAMES[areas.length] || `${areas.length} Areas`,
+        definitionAreas: areas.length
+    };
+};
+
+/**
+ * Readable centers, channels and gates for a list of activated gates with
+ * their modes ({ gate, mode }, mode 0 = design, 1 = personality, 2 = both)
+ */
+const describeBodygraph = (gateModes) => {
+    const mechanics = deriveMechanics(gateModes);
+
+    return {
+        centers: CENTERS.map(center => {
+            const defined = mechanics.definedCenters.includes(center.key);
+            return {
+                key: center.key,
+                name: center.name,
+                defined,
+                state: defined ? 'defined' : 'open'
+            };
+        }),
+        channels: mechanics.channels.map(channel => ({
+            key: channel.key,
+            gates: channel.gates,
+            name: channel.name,
+            label: `${channel.key} ${channel.name}`,
+            centers: channel.centers
+        })),
+        gates: [...gateModes]
+            .sort((a, b) => a.gate - b.gate)
+            .map(({ gate, mode }) => ({
+                gate,
+                name: GATE_NAMES[gate],
+                center: GATE_CENTERS[gate],
+                mode,
+                activated_by: GATE_MODES[mode] || 'unknown'
+            })),
+        mechanics
+    };
+};
+
+/**
+ * Gate modes from design and personality activations
+ */
+const gateModesFromActivations = (design, personality) => {
+    const designGates = new Set(design.map(activation => activation.gate));
+    const personalityGates = new Set(personality.map(activation => activation.gate));
+
+    return Array.from(new Set([...designGates, ...personalityGates])).map(gate => ({
+        gate,
+        mode: designGates.has(gate) && personalityGates.has(gate)
+            ? 2
+            : personalityGates.has(gate) ? 1 : 0
+    }));
+};
+
+/**
+ * Structured { design, personality } activations of a canonical chart,
+ * parsed from the activation text when chart_data.activations is missing
+ */
+const chartActivations = (chart) => {
+    const chartData = chart.chart_data || {};
+    return {
+        design: chartData.activations?.design || parseActivationList(chartData.design_activations),
+        personality: chartData.activations?.personality || parseActivationList(chartData.personality_activations)
+    };
+};
+
+/**
+ * Every gate activated in a canonical chart
+ */
+const chartGates = (chart) => {
+    const { design, personality } = chartActivations(chart);
+    const gates = [...design, ...personality].map(activation => activation.gate);
+
+    if (gates.length === 0) {
+        (chart.chart_data?.gates || []).forEach(gate => gates.push(gate.gate));
+    }
+
+    return Array.from(new Set(gates)).sort((a, b) => a - b);
+};
+
+/**
+ * Profile from the personality and design Sun lines, e.g. "2/4"
+ */
+const deriveProfile = (personality, design) => {
+    const personalitySun = personality.find(activation => activation.planet === 'Sun');
+    const designSun = design.find(activation => activation.planet === 'Sun');
+    if (!personalitySun || !designSun) return null;
+    return `${personalitySun.line}/${designSun.line}`;
+};
+
+module.exports = {
+    PLANET_NAMES,
+    TYPE_DETAILS,
+    channelKey,
+    parseActivationList,
+    formatPlanetActivation,
+    activationsFromPlanets,
+    deriveMechanics,
+    describeBodygraph,
+    gateModesFromActivations,
+    chartActivations,
+    chartGates,
+    deriveProfile
+};
@@ -0,0 +1,521 @@
+/**
+ * OpenAPI 3 description of the /api/v2 endpoints.
+ *
+ * Request schemas are generated from the Joi schemas the routes validate
+ * with (middleware/validation.js), so the document cannot drift from what
+ * the API accepts. Response schemas follow the canonical chart model in
+ * utils/chartSchema.js.
+ */
+
+const { birthDataSchema } = require('../middleware/validation');
+const { SCHEMA_VERSION } = require('./chartSchema');
+
+const OPENAPI_VERSION = '3.0.3';
+const API_VERSION = '2.0.0';
+
+const RULE_KEYWORDS = {
+    string: { min: 'minLength', max: 'maxLength' },
+    number: { min: 'minimum', max: 'maximum', greater: 'exclusiveMinimum', less: 'exclusiveMaximum' }
+};
+
+/**
+ * Sentences describing Joi object dependencies (and, oxor, ...) that JSON
+ * Schema cannot express directly
+ */
+const describeDependencies = (dependencies = []) => dependencies.map(({ rel, peers }) => {
+    const names = peers.join(', ');
+    switch (rel) {
+        case 'and': return `${names} must be given together.`;
+        case 'or': return `At least one of ${names} is required.`;
+        case 'oxor': return `At most one of ${names} may be given.`;
+        case 'xor': return `Exactly one of ${names} is required.`;
+        case 'nand': return `${names} must not all be given.`;
+        default: return `${rel}: ${names}.`;
+    }
+});
+
+/**
+ * Convert a Joi schema description (schema.describe()) to an OpenAPI
+ * schema object. Conditional requirements (when) leave a field optional;
+ * the field's description says when it is needed.
+ */
+const joiToOpenApi = (description) => {
+    const flags = description.flags || {};
+    const schema = {};
+
+    if (description.type === 'object') {
+        schema.type = 'object';
+        schema.properties = {};
+        const required = [];
+
+        Object.entries(description.keys || {}).forEach(([key, child]) => {
+            schema.properties[key] = joiToOpenApi(child);
+            if (child.flags && child.flags.presence === 'required') {
+                required.push(key);
+            }
+        });
+
+        if (required.length > 0) schema.required = required;
+
+        const rules = describeDependencies(description.dependencies);
+        if (rules.length > 0) schema.description = rules.join(' ');
+    } else if (description.type === 'number') {
+        const integer = (description.rules || []).some(rule => rule.name === 'integer');
+        schema.type = integer ? 'integer' : 'number';
+    } else if (['string', 'boolean', 'array'].includes(description.type)) {
+        schema.type = description.type;
+    }
+
+    (description.rules || []).forEach(rule => {
+        const keyword = (RULE_KEYWORDS[description.type] || {})[rule.name];
+        if (keyword) {
+            schema[keyword] = rule.args.limit;
+        } else if (rule.name === 'email') {
+            schema.format = 'email';
+        }
+    });
+
+    if (flags.only && description.allow) schema.enum = description.allow;
+    if (flags.default !== undefined) schema.default = flags.default;
+    if (flags.description) {
+        schema.description = [flags.description, schema.description].filter(Boolean).join(' ');
+    }
+    if (description.examples && description.examples.length > 0) schema.example = description.examples[0];
+
+    return schema;
+};
+
+/**
+ * Query parameters equivalent to an object schema's keys
+ */
+const queryParameters = (objectSchema) => Object.entries(objectSchema.properties).map(([name, schema]) => {
+    const { description, ...rest } = schema;
+    return {
+        name,
+        in: 'query',
+        required: (objectSchema.required || []).includes(name),
+        ...(description ? { description } : {}),
+        schema: rest
+    };
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const FIELD_ERRORS = {
+    type: 'object',
+    description: 'Messages per request field',
+    additionalProperties: { type: 'array', items: { type: 'string' } },
+    example: { day: ['February 1990 has only 28 days'] }
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const jsonResponse = (description, schema) => ({ description, content: jsonContent(schema) });
+
+const SVG_CONTENT = { 'image/svg+xml': { schema: { type: 'string' } } };
+
+const PDF_CONTENT = { 'application/pdf': { schema: { type: 'string', format: 'binary' } } };
+
+const successOf = (data) => ({
+    type: 'object',
+    properties: {
+        success: { type: 'boolean', example: true },
+        data
+    }
+});
+
+const looseObject = (description) => ({ type: 'object', description, additionalProperties: true });
+
+/**
+ * Response schemas of the canonical chart model (see utils/chartSchema.js)
+ */
+const chartSchemas = () => ({
+    Location: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', example: 'pk-khyber-pakhtunkhwa-peshawar' },
+            name: { type: 'string', example: 'Peshawar' },
+            admin1: { type: 'string', example: 'Khyber Pakhtunkhwa' },
+            country: { type: 'string', example: 'Pakistan' },
+            country_code: { type: 'string', example: 'PK' },
+            country_iso3: { type: 'string', example: 'PAK' },
+            latitude: { type: 'number' },
+            longitude: { type: 'number' },
+            timezone: { type: 'string', example: 'Asia/Karachi' },
+            population: { type: 'integer' },
+            label: { type: 'string', example: 'Peshawar (Khyber Pakhtunkhwa)' }
+        }
+    },
+    BirthPlace: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', nullable: true, description: 'Gazetteer location_id; null for coordinates' },
+            city: { type: 'string', nullable: true },
+            region: { type: 'string', nullable: true },
+            country: { type: 'string', nullable: true },
+            country_code: { type: 'string', nullable: true },
+            latitude: { type: 'number', nullable: true },
+            longitude: { type: 'number', nullable: true },
+            timezone: { type: 'string', nullable: true },
+            utc_offset: { type: 'string', nullable: true }
+        }
+    },
+    ChartBirthData: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            date_local: {
+                type: 'string',
+                nullable: true,
+                description: 'Birth wall clock in the birth time zone with its UTC offset',
+                example: '1990-06-15T14:30:00+05:00'
+            },
+            date_utc: { type: 'string', format: 'date-time', nullable: true, example: '1990-06-15T09:30:00.000Z' },
+            design_date_utc: { type: 'string', format: 'date-time', nullable: true },
+            design_date_source: { type: 'string', enum: ['provider', 'local_calculation'], nullable: true },
+            timezone: { type: 'string', nullable: true },
+            utc_offset: { type: 'string', nullable: true, example: '+05:00' },
+            utc_offset_minutes: { type: 'integer', nullable: true },
+            dst_transition: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    type: { type: 'string', enum: ['gap', 'overlap'] },
+                    dst_choice: { type: 'string' }
+                }
+            },
+            location: ref('BirthPlace')
+        }
+    },
+    Properties: {
+        type: 'object',
+        properties: Object.fromEntries([
+            'type', 'strategy', 'signature', 'not_self_theme', 'authority',
+            'definition', 'incarnation_cross', 'profile', 'variable'
+        ].map(key => [key, { type: 'string' }]))
+    },
+    ChartData: {
+        type: 'object',
+        properties: {
+            centers: { type: 'array', items: looseObject('{ key, name, defined, state }') },
+            channels: { type: 'array', items: looseObject('{ key, gates, name, label, centers }') },
+            gates: { type: 'array', items: looseObject('{ gate, name, center, mode, activated_by }') },
+            design_activations: { type: 'array', items: { type: 'string' } },
+            personality_activations: { type: 'array', items: { type: 'string' } },
+            defined_centers: { type: 'array', items: { type: 'string' } },
+            activations: looseObject('Design and personality activations with gate, line, color, tone and base')
+        }
+    },
+    Chart: {
+        type: 'object',
+        properties: {
+            schema_version: { type: 'string', example: SCHEMA_VERSION },
+            source: { type: 'string', example: 'maia_mechanics' },
+            birth_data: ref('ChartBirthData'),
+            properties: ref('Properties'),
+            chart_data: ref('ChartData'),
+            variables: { ...looseObject('Determination, Environment, Motivation and Perspective'), nullable: true },
+            validation: looseObject('{ derived_from_activations, mismatches, provider_properties }'),
+            chart_image_url: { type: 'string', nullable: true },
+            download_data: { type: 'string', nullable: true },
+            generated_at: { type: 'string', format: 'date-time' },
+            chart_id: { type: 'string' },
+            raw_data: { ...looseObject('Unmodified provider response; its shape depends on source'), nullable: true }
+        }
+    },
+    ChartResponse: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', example: true },
+            message: { type: 'string' },
+            data: ref('Chart'),
+            source: { type: 'string' },
+            verification: looseObject('Comparison with a second provider (verify=true)'),
+            sensitivity: looseObject('Chart changes around the birth time (sensitivity_minutes)')
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string', example: 'Validation failed' },
+            errors: FIELD_ERRORS
+        }
+    },
+    PlaceError: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string', example: 'Birth place is ambiguous' },
+            errors: FIELD_ERRORS,
+            candidates: { type: 'array', items: ref('Location') }
+        }
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string' },
+            error: { type: 'string' }
+        }
+    }
+});
+
+/**
+ * Birth data inside another request: a stored chart, an inline chart or
+ * birth data to generate one from
+ */
+const chartReference = () => ({
+    type: 'object',
+    properties: {
+        chart_id: { type: 'string' },
+        chart: ref('Chart'),
+        birth_data: ref('BirthData')
+    }
+});
+
+const PLACE_ERRORS = {
+    409: { description: 'Birth place matches several locations', content: jsonContent(ref('PlaceError')) },
+    422: { description: 'Invalid birth data, or a birth place that was not found', content: jsonContent(ref('PlaceError')) }
+};
+
+/**
+ * The OpenAPI document for /api/v2
+ */
+const buildOpenApiDocument = ({ serverUrl = '/api/v2' } = {}) => {
+    const birthData = joiToOpenApi(birthDataSchema.describe());
+
+    const generateChart = {
+        tags: ['Charts'],
+        responses: {
+            200: {
+                description: 'Chart generated, or the birth day sampled when time_unknown is true. '
+                    + 'With format=svg, the bodygraph image, and with format=pdf, the chart report; '
+                    + 'their chart_id is in the X-Chart-Id header.',
+                content: { ...jsonContent(ref('ChartResponse')), ...SVG_CONTENT, ...PDF_CONTENT }
+            },
+            ...PLACE_ERRORS,
+            500: jsonResponse('No configured provider produced a chart', ref('Error'))
+        }
+    };
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'Human Design Chart API',
+            version: API_VERSION,
+            description: 'Human Design charts from birth data, with transits, composites, penta and planetary cycles. '
+                + 'Every chart follows the canonical chart model (schema_version '
+                + `${SCHEMA_VERSION}) whichever provider produced it. The unversioned /api routes keep the legacy v1 behaviour.`
+        },
+        servers: [{ url: serverUrl }],
+        tags: [
+            { name: 'Charts' },
+            { name: 'Transits and cycles' },
+            { name: 'Relationships' },
+            { name: 'Locations' }
+        ],
+        paths: {
+            '/generate-chart': {
+                post: {
+                    ...generateChart,
+                    summary: 'Generate a chart',
+                    operationId: 'generateChart',
+                    requestBody: { required: true, content: jsonContent(ref('BirthData')) }
+                },
+                get: {
+                    ...generateChart,
+                    summary: 'Generate a chart from query parameters',
+                    operationId: 'generateChartFromQuery',
+                    parameters: queryParameters(birthData)
+                }
+            },
+            '/charts/{id}': {
+                get: {
+                    tags: ['Charts'],
+                    summary: 'A previously generated chart',
+                    operationId: 'getChart',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: jsonResponse('The stored chart', successOf(ref('Chart'))),
+                        404: jsonResponse('No chart with that id', ref('Error'))
+                    }
+                }
+            },
+            '/charts/{id}/bodygraph.svg': {
+                get: {
+                    tags: ['Charts'],
+                    summary: 'Bodygraph of a previously generated chart',
+                    operationId: 'getChartBodygraph',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: { description: 'SVG bodygraph with the activation columns', content: SVG_CONTENT },
+                        404: jsonResponse('No chart with that id', ref('Error'))
+                    }
+                }
+            },
+            '/charts/{id}/report.pdf': {
+                get: {
+                    tags: ['Charts'],
+                    summary: 'Printable PDF report of a previously generated chart',
+                    operationId: 'getChartReport',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: { description: 'Bodygraph, properties, activations, centers and channels', content: PDF_CONTENT },
+                        404: jsonResponse('No chart with that id', ref('Error')),
+                        500: jsonResponse('The report could not be printed', ref('Error'))
+                    }
+                }
+            },
+            '/transits': {
+                get: {
+                    tags: ['Transits and cycles'],
+                    summary: 'Planetary activations at a moment',
+                    operationId: 'getTransits',
+                    parameters: [{
+                        name: 'datetime',
+                        in: 'query',
+                        description: 'ISO 8601 date and time between 1800 and 2050, read as UTC without an offset; defaults to now',
+                        schema: { type: 'string', format: 'date-time' }
+                    }],
+                    responses: {
+                        200: jsonResponse('Transit activations, gates and channels', successOf(looseObject('Transit chart'))),
+                        422: jsonResponse('Invalid datetime', ref('ValidationError'))
+                    }
+                }
+            },
+            '/transits/overlay': {
+                post: {
+                    tags: ['Transits and cycles'],
+                    summary: 'Channels and centers a transit completes in a chart',
+                    operationId: 'overlayTransits',
+                    requestBody: {
+                        required: true,
+                        content: jsonContent({
+                            ...chartReference(),
+                            properties: { ...chartReference().properties, datetime: { type: 'string', format: 'date-time' } }
+                        })
+                    },
+                    responses: {
+                        200: jsonResponse('Completed channels and centers', successOf(looseObject('Transit overlay'))),
+                        ...PLACE_ERRORS
+                    }
+                }
+            },
+            '/composite': {
+                post: {
+                    tags: ['Relationships'],
+                    summary: 'Composite chart of two people',
+                    operationId: 'createComposite',
+                    requestBody: {
+                        required: true,
+                        content: jsonContent({
+                            type: 'object',
+                            properties: { people: { type: 'array', minItems: 2, maxItems: 2, items: chartReference() } }
+                        })
+                    },
+                    responses: {
+                        200: jsonResponse('Composite chart', successOf(looseObject('Composite'))),
+                        ...PLACE_ERRORS
+                    }
+                }
+            },
+            '/penta': {
+                post: {
+                    tags: ['Relationships'],
+                    summary: 'Penta of a group of 3-5 people',
+                    operationId: 'createPenta',
+                    requestBody: {
+                        required: true,
+                        content: jsonContent({
+                            type: 'object',
+                            properties: { people: { type: 'array', minItems: 3, maxItems: 5, items: chartReference() } }
+                        })
+                    },
+                    responses: {
+                        200: jsonResponse('Penta analysis', successOf(looseObject('Penta'))),
+                        ...PLACE_ERRORS
+                    }
+                }
+            },
+            '/cycles': {
+                post: {
+                    tags: ['Transits and cycles'],
+                    summary: 'Saturn return, Uranus opposition and Chiron return',
+                    operationId: 'getCycles',
+                    requestBody: { required: true, content: jsonContent(ref('BirthData')) },
+                    responses: {
+                        200: jsonResponse('Exact dates and return charts', successOf(looseObject('Cycles'))),
+                        ...PLACE_ERRORS
+                    }
+                }
+            },
+            '/cycles/{cycle}': {
+                post: {
+                    tags: ['Transits and cycles'],
+                    summary: 'One planetary cycle',
+                    operationId: 'getCycle',
+                    parameters: [{
+                        name: 'cycle',
+                        in: 'path',
+                        required: true,
+                        schema: { type: 'string', enum: ['saturn-return', 'uranus-opposition', 'chiron-return'] }
+                    }],
+                    requestBody: { required: true, content: jsonContent(ref('BirthData')) },
+                    responses: {
+                        200: jsonResponse('Exact dates and return charts', successOf(looseObject('Cycles'))),
+                        404: jsonResponse('Unknown cycle', ref('Error')),
+                        ...PLACE_ERRORS
+                    }
+                }
+            },
+            '/locations/search': {
+                get: {
+                    tags: ['Locations'],
+                    summary: 'Birth place candidates for autocomplete',
+                    operationId: 'searchLocations',
+                    parameters: [
+                        { name: 'q', in: 'query', required: true, description: 'City name or its start', schema: { type: 'string' } },
+                        { name: 'country', in: 'query', description: 'Country name, alias or ISO code', schema: { type: 'string' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 50, default: 10 } }
+                    ],
+                    responses: {
+                        200: jsonResponse('Ranked candidates', successOf({
+                            type: 'object',
+                            properties: {
+                                query: { type: 'string' },
+                                country: { type: 'string', nullable: true },
+                                count: { type: 'integer' },
+                                results: { type: 'array', items: ref('Location') }
+                            }
+                        })),
+                        422: jsonResponse('Invalid query', ref('ValidationError'))
+                    }
+                }
+            },
+            '/locations/{id}': {
+                get: {
+                    tags: ['Locations'],
+                    summary: 'One birth place by location_id',
+                    operationId: 'getLocation',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: jsonResponse('The location', successOf(ref('Location'))),
+                        404: jsonResponse('No location with that id', ref('Error'))
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                BirthData: birthData,
+                ...chartSchemas()
+            }
+        }
+    };
+};
+
+module.exports = {
+    joiToOpenApi,
+    buildOpenApiDocument
+};
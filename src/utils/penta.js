@@ -0,0 +1,54 @@
+/**
+ * Penta analysis of a group: which of the twelve Penta gates the members
+ * fill, who fills each one and which gates are missing.
+ */
+
+const { PENTA_CHANNELS, PENTA_GATES } = require('../data/penta');
+const { GATE_NAMES, GATE_CENTERS, CHANNEL_NAMES } = require('../data/bodygraph');
+
+/**
+ * Build the Penta from each member's gates ([{ name, gates }], in order)
+ */
+const buildPenta = (members) => {
+    const gates = PENTA_GATES.map(({ gate, function: role }) => {
+        const filledBy = members
+            .map((member, index) => ({ index, name: member.name }))
+            .filter(({ index }) => members[index].gates.includes(gate));
+
+        return {
+            gate,
+            name: GATE_NAMES[gate],
+            center: GATE_CENTERS[gate],
+            function: role,
+            channel: PENTA_CHANNELS.find(channel => channel.key.split('-').map(Number).includes(gate)).key,
+            filled: filledBy.length > 0,
+            filled_by: filledBy
+        };
+    });
+
+    const isFilled = (gate) => gates.find(item => item.gate === gate).filled;
+
+    const channels = PENTA_CHANNELS.map(({ key, part }) => {
+        const channelGates = key.split('-').map(Number);
+        return {
+            key,
+            name: CHANNEL_NAMES[key],
+            label: `${key} ${CHANNEL_NAMES[key]}`,
+            part,
+            defined: channelGates.every(isFilled)
+        };
+    });
+
+    const missing = gates.filter(gate => !gate.filled);
+
+    return {
+        gates,
+        channels,
+        filled_count: gates.length - missing.length,
+        missing_gates: missing.map(({ gate, name, function: role, channel }) => ({ gate, name, function: role, channel }))
+    };
+};
+
+module.exports = {
+    buildPenta
+};
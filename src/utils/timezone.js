@@ -0,0 +1,178 @@
+/**
+ * Local wall-clock time to UTC conversion using the IANA time zone data
+ * bundled with Node's ICU, including historical offset and DST changes.
+ *
+ * When clocks go forward some wall-clock times do not exist (a gap); when
+ * they go back some occur twice (an overlap). Both are resolved with a
+ * DST choice, with the same meaning as Temporal's disambiguation option:
+ *   earlier     the earlier of the two instants (overlap), or the wall time
+ *               moved back by the gap's length (gap)
+ *   later       the later of the two instants, or the wall time moved forward
+ *   compatible  earlier in an overlap, later in a gap
+ *   reject      no instant; the caller reports the time as ambiguous
+ *
+ * Wherever a time zone is taken, a fixed UTC offset such as "+05:30" may be
+ * given instead; it has no DST and no history.
+ */
+
+const DST_CHOICES = ['earlier', 'later', 'compatible', 'reject'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIXED_OFFSET_PATTERN = /^(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+/**
+ * Minutes east of UTC of a fixed offset such as "+05:30", "-0300" or
+ * "UTC+01:00", or null when the value is not a valid offset
+ */
+const parseOffset = (value) => {
+    const match = FIXED_OFFSET_PATTERN.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[2]);
+    const minutes = parseInt(match[3]);
+    if (hours > 14 || minutes > 59 || hours * 60 + minutes > 14 * 60) return null;
+
+    return (match[1] === '-' ? -1 : 1) * (hours * 60 + minutes);
+};
+
+/**
+ * Check whether a time zone name is known to the IANA database
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * UTC offset of a time zone at a given instant, in minutes east of UTC
+ */
+const getOffsetMinutes = (timeZone, date) => {
+    const fixedOffset = parseOffset(timeZone);
+    if (fixedOffset !== null) return fixedOffset;
+
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    const wallClockAsUtc = Date.UTC(
+        parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+        parseInt(parts.hour), parseInt(parts.minute), parseInt(parts.second)
+    );
+    const instant = date.getTime() - date.getUTCMilliseconds();
+
+    return Math.round((wallClockAsUtc - instant) / 60000);
+};
+
+/**
+ * Local wall-clock time of an instant in a time zone, as "YYYY-MM-DDTHH:mm:ss"
+ */
+const formatWallClock = (date, timeZone) => {
+    const fixedOffset = parseOffset(timeZone);
+    if (fixedOffset !== null) {
+        return formatWallClock(new Date(date.getTime() + fixedOffset * 60000), 'UTC');
+    }
+
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+/**
+ * UTC offset in minutes as "+05:00" / "-03:30"
+ */
+const formatOffset = (offsetMinutes) => {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Resolve a local wall-clock time in a time zone to a UTC instant.
+ *
+ * Returns { date, offsetMinutes, transition, options }: transition is null,
+ * 'gap' or 'overlap', and options lists the instant each DST choice gives
+ * ({ dst_choice, date, offsetMinutes }) when there is a transition. date is
+ * null when dstChoice is 'reject' and the time is in a gap or overlap.
+ */
+const resolveLocalTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone, dstChoice = 'compatible') => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetBefore = getOffsetMinutes(timeZone, new Date(wallClock - DAY_MS));
+    const offsetAfter = getOffsetMinutes(timeZone, new Date(wallClock + DAY_MS));
+    const offsets = new Set([offsetBefore, getOffsetMinutes(timeZone, new Date(wallClock)), offsetAfter]);
+
+    // Each offset in force around the wall-clock time gives a candidate
+    // instant; it is real only if the zone has that offset at that instant
+    const instants = Array.from(offsets)
+        .map(offset => wallClock - offset * 60000)
+        .filter(utc => getOffsetMinutes(timeZone, new Date(utc)) * 60000 === wallClock - utc)
+        .sort((a, b) => a - b);
+
+    const describe = (utc) => ({ date: new Date(utc), offsetMinutes: getOffsetMinutes(timeZone, new Date(utc)) });
+
+    if (instants.length === 1) {
+        return { ...describe(instants[0]), transition: null, options: [] };
+    }
+
+    const transition = instants.length === 0 ? 'gap' : 'overlap';
+    const [earlier, later] = transition === 'overlap'
+        ? instants
+        : [wallClock - offsetAfter * 60000, wallClock - offsetBefore * 60000];
+    const options = [
+        { dst_choice: 'earlier', ...describe(earlier) },
+        { dst_choice: 'later', ...describe(later) }
+    ];
+
+    const choice = dstChoice === 'compatible'
+        ? (transition === 'overlap' ? 'earlier' : 'later')
+        : dstChoice;
+    const chosen = options.find(option => option.dst_choice === choice);
+
+    return {
+        date: chosen ? chosen.date : null,
+        offsetMinutes: chosen ? chosen.offsetMinutes : null,
+        transition,
+        options
+    };
+};
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC Date, resolving
+ * gaps and overlaps the compatible way
+ */
+const zonedTimeToUtc = (parts, timeZone) => resolveLocalTime(parts, timeZone).date;
+
+module.exports = {
+    DST_CHOICES,
+    parseOffset,
+    isValidTimeZone,
+    getOffsetMinutes,
+    formatWallClock,
+    formatOffset,
+    resolveLocalTime,
+    zonedTimeToUtc
+};
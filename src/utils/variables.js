@@ -0,0 +1,49 @@
+/**
+ * The four Variables (Determination, Environment, Motivation, Perspective)
+ * read from the color, tone and base of the Sun and North Node activations
+ * on both sides. Tones 1-3 point the arrow left, tones 4-6 right.
+ */
+
+const { VARIABLES } = require('../data/variables');
+
+const arrowForTone = (tone) => (tone <= 3 ? 'left' : 'right');
+
+const hasSubLines = (activation) => !!(activation && activation.color && activation.tone && activation.base);
+
+/**
+ * Derive the Variables from structured activations ({ planet, gate, line,
+ * color, tone, base }). Returns null unless all four source activations
+ * carry color, tone and base.
+ */
+const deriveVariables = ({ design = [], personality = [] }) => {
+    const sides = { design, personality };
+    const variables = {};
+
+    for (const variable of VARIABLES) {
+        const activation = sides[variable.side].find(item => item.planet === variable.planet);
+        if (!hasSubLines(activation)) return null;
+
+        variables[variable.key] = {
+            name: variable.name,
+            also_known_as: variable.also_known_as,
+            activation: `${variable.side === 'design' ? 'Design' : 'Personality'} ${variable.planet}`,
+            arrow: arrowForTone(activation.tone),
+            color: activation.color,
+            color_name: variable.colors[activation.color - 1],
+            tone: activation.tone,
+            base: activation.base
+        };
+    }
+
+    const letter = (key) => (variables[key].arrow === 'left' ? 'L' : 'R');
+
+    return {
+        notation: `P${letter('motivation')}${letter('perspective')} D${letter('determination')}${letter('environment')}`,
+        ...variables
+    };
+};
+
+module.exports = {
+    arrowForTone,
+    deriveVariables
+};
@@ -51,12 +51,13 @@ async function testAPI() {
 
         if (chartResponse.data.success && chartResponse.data.data) {
             const data = chartResponse.data.data;
+            console.log(`Source: ${data.source} (schema ${data.schema_version})`);
             console.log('Chart Properties:');
-            Object.entries(data.chart_properties || {}).forEach(([key, value]) => {
+            Object.entries(data.properties || {}).forEach(([key, value]) => {
                 console.log(`  ${key}: ${value}`);
             });
-            console.log(`Design Data: ${data.design_data?.length || 0} items`);
-            console.log(`Personality Data: ${data.personality_data?.length || 0} items`);
+            console.log(`Design Activations: ${data.chart_data?.design_activations?.length || 0} items`);
+            console.log(`Personality Activations: ${data.chart_data?.personality_activations?.length || 0} items`);
             console.log(`Chart Image URL: ${data.chart_image_url ? 'Available' : 'Not available'}`);
             console.log(`Download Data: ${data.download_data ? 'Available' : 'Not available'}`);
         }